@@ -0,0 +1,35 @@
+/**
+ * One-off data migration: move messages created before conversations
+ * existed into a default conversation per project.
+ *
+ * Usage: npm run db:migrate-conversations (after npm run db:push)
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const prisma = require('../src/lib/prisma');
+const { migrateLegacyMessages } = require('../src/lib/conversations');
+
+async function main() {
+  const projects = await prisma.message.findMany({
+    where: { conversationId: null },
+    distinct: ['projectId'],
+    select: { projectId: true }
+  });
+
+  for (const { projectId } of projects) {
+    const conversation = await migrateLegacyMessages(projectId);
+    if (conversation) {
+      console.log(`Project ${projectId}: messages moved to conversation ${conversation.id}`);
+    }
+  }
+
+  console.log(`Migrated ${projects.length} project(s)`);
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
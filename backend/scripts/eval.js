@@ -0,0 +1,90 @@
+/**
+ * Run a project's eval suite from the command line and store the report
+ * Exits with code 1 when a case fails (or the score is below --min-score),
+ * so it can gate CI. Set LLM_PROVIDER=mock to run offline.
+ *
+ * Usage: npm run eval -- <projectId> [--min-score 0.9] [--json]
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const prisma = require('../src/lib/prisma');
+const { startEvalRun, formatEvalRun } = require('../src/lib/evals');
+const { closeStore } = require('../src/lib/ratelimit');
+
+function parseArgs(argv) {
+  const args = { projectId: null, minScore: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--json') {
+      args.json = true;
+    } else if (argv[i] === '--min-score') {
+      args.minScore = Number(argv[++i]);
+    } else if (!args.projectId) {
+      args.projectId = argv[i];
+    }
+  }
+  return args;
+}
+
+const percent = (score) => `${Math.round((score ?? 0) * 100)}%`;
+
+function printReport(run) {
+  for (const result of run.results) {
+    console.log(`${result.passed ? '✓' : '✗'} ${result.name} (${percent(result.score)}, ${result.durationMs}ms)`);
+    if (result.error) console.log(`    error: ${result.error}`);
+    for (const assertion of result.assertions.filter(a => !a.pass)) {
+      console.log(`    ${assertion.type}: ${assertion.message}`);
+    }
+  }
+
+  console.log('');
+  console.log(`${run.passed}/${run.total} cases passed, score ${percent(run.score)}`);
+  console.log(`Model ${run.model} (${run.provider}), ${run.promptTokens + run.completionTokens} tokens`);
+  console.log(`Run ${run.id}`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.projectId || Number.isNaN(args.minScore)) {
+    console.error('Usage: npm run eval -- <projectId> [--min-score 0.9] [--json]');
+    process.exitCode = 2;
+    return;
+  }
+
+  const project = await prisma.project.findUnique({
+    where: { id: args.projectId },
+    include: { user: true }
+  });
+  if (!project) {
+    console.error(`Project ${args.projectId} not found`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { run: started, done } = await startEvalRun({ project, user: project.user, source: 'cli' });
+  if (!started.total) {
+    console.error('The project has no eval cases');
+  }
+  const finished = await done;
+  const run = formatEvalRun(finished || await prisma.evalRun.findUnique({ where: { id: started.id } }), { full: true });
+
+  if (args.json) {
+    console.log(JSON.stringify(run, null, 2));
+  } else {
+    printReport(run);
+  }
+
+  if (run.status !== 'complete') {
+    console.error(`Run failed: ${run.error}`);
+    process.exitCode = 1;
+  } else if (args.minScore != null ? (run.score ?? 0) < args.minScore : run.passed < run.total) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => Promise.all([prisma.$disconnect(), closeStore()]));
@@ -9,7 +9,18 @@ dotenv.config();
 const authRoutes = require('./routes/auth');
 const projectRoutes = require('./routes/projects');
 const chatRoutes = require('./routes/chat');
+const conversationRoutes = require('./routes/conversations');
 const fileRoutes = require('./routes/files');
+const attachmentRoutes = require('./routes/attachments');
+const toolRoutes = require('./routes/tools');
+const usageRoutes = require('./routes/usage');
+const evalRoutes = require('./routes/evals');
+const feedbackRoutes = require('./routes/feedback');
+
+const { failInterruptedReplies } = require('./lib/replies');
+const { failInterruptedEvalRuns } = require('./lib/evals');
+const { scheduleAttachmentCleanup } = require('./lib/attachments');
+const { parseTrustProxy } = require('./lib/trustProxy');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -17,6 +28,9 @@ const errorHandler = require('./middleware/errorHandler');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, trust its X-Forwarded-For (see lib/trustProxy.js)
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Middleware - Allow multiple origins for CORS
 const allowedOrigins = [
   'http://localhost:5173',
@@ -49,7 +63,9 @@ app.use(cors({
     console.log('CORS blocked origin:', origin);
     callback(new Error('Not allowed by CORS'));
   },
-  credentials: true
+  credentials: true,
+  // Let the frontend read rate limit headers
+  exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy']
 }));
 
 app.use(express.json());
@@ -68,7 +84,13 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/conversations', conversationRoutes);
 app.use('/api/files', fileRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/tools', toolRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/evals', evalRoutes);
+app.use('/api/feedback', feedbackRoutes);
 
 // Error handling middleware
 app.use(errorHandler);
@@ -82,6 +104,10 @@ app.use((req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 Server running on http://localhost:${PORT}`);
   console.log(`📚 Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  failInterruptedReplies().catch(error => console.error('Failed to clean up interrupted replies:', error));
+  failInterruptedEvalRuns().catch(error => console.error('Failed to clean up interrupted eval runs:', error));
+  scheduleAttachmentCleanup();
 });
 
 module.exports = app;
@@ -0,0 +1,314 @@
+const { randomUUID } = require('crypto');
+const prisma = require('./prisma');
+const { getProjectTools, executeToolCall } = require('./tools');
+const { formatMessage } = require('./messages');
+const { callUsage } = require('./context');
+const { OutputValidationError, checkOutput, repairPrompt } = require('./output');
+const { GuardrailError, parseGuardrails, screenText, guardReply } = require('./guardrails');
+const { computeCost } = require('./pricing');
+const {
+  DELEGATE_TOOL,
+  callableAgents,
+  delegationTool,
+  prepareDelegation
+} = require('./delegation');
+
+/**
+ * Agent loop
+ *
+ * The model is called with the project's enabled tools. When it answers
+ * with tool calls, the calls and their results are saved as tool_call and
+ * tool_result messages, fed back to the model and the model is called
+ * again - up to AGENT_MAX_STEPS times, after which it must answer without
+ * tools.
+ *
+ * When the prompt has an output contract (prompt.output), the final
+ * answer must be JSON matching its schema. Invalid answers are sent back
+ * with the validation errors up to prompt.output.retries times.
+ *
+ * Projects with sub-agents also get the delegate_to_agent tool, which
+ * runs another project's agent on a task (see lib/delegation.js).
+ *
+ * Tool results are screened by the project's injection guardrail before
+ * the model reads them; a blocking rule throws a GuardrailError.
+ */
+
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS, 10) || 5;
+
+/**
+ * Stream one model call, forwarding text deltas as chunk events
+ * If options.signal aborts, the text received so far is returned
+ */
+async function streamStep(llm, messages, options, onEvent) {
+  let content = '';
+  let toolCalls = [];
+  let usage = null;
+  let model;
+
+  try {
+    for await (const event of llm.stream(messages, options)) {
+      if (event.type === 'delta') {
+        content += event.content;
+        onEvent('chunk', event.content);
+      } else if (event.type === 'tool_calls') {
+        toolCalls = event.toolCalls;
+      } else if (event.type === 'model') {
+        model = event.model;
+      } else if (event.type === 'usage') {
+        usage = event.usage;
+        model = event.model || model;
+      }
+    }
+  } catch (error) {
+    if (!options.signal?.aborted) throw error;
+  }
+
+  return { content, toolCalls, usage, model };
+}
+
+/**
+ * Save a tool message after the previous one
+ * Without a conversation (eval runs) it is only kept in memory
+ */
+function saveToolMessage(data, { project, conversation }) {
+  if (!conversation) {
+    return { id: randomUUID(), ...data, projectId: project.id, createdAt: new Date() };
+  }
+  return prisma.message.create({
+    data: { ...data, projectId: project.id, conversationId: conversation.id }
+  });
+}
+
+/**
+ * Run a delegate_to_agent call: the sub-agent answers the task on its own,
+ * with its tool messages kept in memory. Like tool failures, errors are
+ * returned as the result so the model can recover.
+ *
+ * @returns {Promise<{ content: string, delegation?: Object }>} delegation is
+ *          the trace, with the sub-agent's usage and cost
+ */
+async function delegate(call, { callable, chain, user, signal, onEvent }) {
+  let args;
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch (e) {
+    return { content: 'Error: arguments are not valid JSON' };
+  }
+
+  const agent = callable.find(a => a.name === args.agent);
+  if (!agent) {
+    return { content: `Error: unknown agent ${args.agent}` };
+  }
+  if (typeof args.task !== 'string' || !args.task.trim()) {
+    return { content: 'Error: task is required' };
+  }
+
+  const trace = {
+    agent: { id: agent.id, name: agent.name },
+    task: args.task,
+    depth: chain.length,
+    reply: null,
+    model: null,
+    usage: null,
+    cost: null,
+    error: null,
+    steps: []
+  };
+
+  onEvent('delegation', { toolCallId: call.id, agent: trace.agent, task: trace.task, depth: trace.depth });
+  try {
+    const prompt = await prepareDelegation(agent, args.task, user);
+    const result = await runAgent({
+      prompt,
+      project: agent,
+      conversation: null,
+      parentId: null,
+      user,
+      chain,
+      signal,
+      onEvent: (type, data) => type === 'retry' && onEvent(type, data)
+    });
+    const guarded = guardReply(parseGuardrails(agent.guardrails), result, prompt.output);
+    Object.assign(trace, {
+      reply: guarded.content,
+      model: result.model,
+      usage: result.usage,
+      cost: result.cost,
+      steps: result.toolMessages
+    });
+    return { content: guarded.content, delegation: trace };
+  } catch (error) {
+    Object.assign(trace, { model: error.model ?? null, usage: error.usage ?? null, cost: error.cost ?? null });
+    trace.error = error.message;
+    return { content: `Error: ${agent.name} failed: ${error.message}`, delegation: trace };
+  }
+}
+
+/**
+ * Add token usage to a running total
+ */
+function addUsage(total, usage) {
+  total.promptTokens += usage.promptTokens;
+  total.completionTokens += usage.completionTokens;
+}
+
+/**
+ * Add a cost to a running total, which stays null until a cost is known
+ */
+function addCost(total, cost) {
+  return cost == null ? total : (total ?? 0) + cost;
+}
+
+/**
+ * Generate the assistant reply for a prepared prompt, running tool calls
+ *
+ * @param {Object}   options
+ * @param {Object}   options.prompt       - From buildPrompt (see lib/promptBuilder.js): { llm, options, messages }
+ * @param {Object}   options.project
+ * @param {Object}   [options.conversation] - Tool messages are not saved without one
+ * @param {string}   options.parentId     - Message the reply follows (tool messages are chained after it)
+ * @param {boolean}  [options.stream]     - Stream the model's text
+ * @param {Function} [options.onEvent]    - Called with ('chunk', text), ('tool_call', message),
+ *                                         ('tool_result', message), ('retry', info) - see llm/retry.js -
+ *                                         and ('output_retry', { attempt, errors }) before an invalid
+ *                                         structured answer is generated again
+ * @param {AbortSignal} [options.signal]  - Stops generation; the partial reply is returned with stopped: true
+ * @param {Object}   [options.user]       - The user chatting, for sub-agents' system prompts
+ * @param {string[]} [options.chain]      - Projects delegating to this one, outermost first
+ * @returns {Promise<{ content: string, data?: any, model?: string, usage: Object, cost: ?number, toolMessages: Array, parentId: string, stopped: boolean, violations: Array }>}
+ *          parentId is the message the final reply should follow; usage is
+ *          { promptTokens, completionTokens } summed over all model calls,
+ *          sub-agents' included, and cost their price in USD (null if no
+ *          model has a price); data is the validated structured answer;
+ *          violations are what the guardrails found in tool results
+ * @throws {OutputValidationError} When the answer still does not match the
+ *          output schema after all retries. Errors thrown after a model
+ *          call carry the { model, usage, cost } spent so far.
+ */
+async function runAgent({
+  prompt,
+  project,
+  conversation,
+  parentId,
+  stream = false,
+  onEvent = () => {},
+  signal,
+  user,
+  chain = []
+}) {
+  const callable = await callableAgents(project, chain);
+  const tools = [...getProjectTools(project), ...(callable.length ? [delegationTool(callable)] : [])];
+  const guardrails = parseGuardrails(project.guardrails);
+  const messages = [...prompt.messages];
+  const toolMessages = [];
+  const violations = [];
+  let lastMessageId = parentId;
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let cost = null;
+  let model = prompt.options.model || prompt.llm.defaultModel;
+  let outputRetries = 0;
+
+  try {
+    for (let step = 0; ; step++) {
+      const canUseTools = tools.length > 0 && step < AGENT_MAX_STEPS;
+      // Tools stay defined on the last step so providers accept the tool
+      // messages already in the prompt
+      const onRetry = (info) => onEvent('retry', info);
+      const options = tools.length
+        ? { ...prompt.options, tools, toolChoice: canUseTools ? 'auto' : 'none', signal, onRetry }
+        : { ...prompt.options, signal, onRetry };
+
+      const result = stream
+        ? await streamStep(prompt.llm, messages, options, onEvent)
+        : await prompt.llm.chat(messages, options);
+
+      const stepUsage = callUsage(result, messages, model);
+      if (result.model) model = result.model;
+      addUsage(usage, stepUsage);
+      cost = addCost(cost, computeCost(model, stepUsage));
+
+      const stopped = Boolean(signal?.aborted);
+      if (stopped || !canUseTools || !result.toolCalls?.length) {
+        if (stopped || !prompt.output) {
+          return { content: result.content, model, usage, cost, toolMessages, parentId: lastMessageId, stopped, violations };
+        }
+
+        const { data, errors } = checkOutput(prompt.output.schema, result.content);
+        if (!errors.length) {
+          return { content: result.content, data, model, usage, cost, toolMessages, parentId: lastMessageId, stopped, violations };
+        }
+        if (outputRetries >= prompt.output.retries) {
+          throw new OutputValidationError(errors, result.content);
+        }
+
+        outputRetries++;
+        onEvent('output_retry', { attempt: outputRetries, errors });
+        messages.push(
+          { role: 'assistant', content: result.content },
+          { role: 'user', content: repairPrompt(errors) }
+        );
+        continue;
+      }
+
+      const toolCalls = result.toolCalls.map((call, i) => ({
+        ...call,
+        id: call.id || `call_${step}_${i}`
+      }));
+
+      const callMessage = await saveToolMessage({
+        role: 'tool_call',
+        content: result.content,
+        toolCalls: JSON.stringify(toolCalls),
+        parentId: lastMessageId
+      }, { project, conversation });
+      lastMessageId = callMessage.id;
+      toolMessages.push(formatMessage(callMessage));
+      onEvent('tool_call', toolMessages[toolMessages.length - 1]);
+      messages.push({ role: 'assistant', content: result.content, toolCalls });
+
+      for (const call of toolCalls) {
+        const { content: rawContent, delegation } = call.name === DELEGATE_TOOL && callable.length
+          ? await delegate(call, { callable, chain: [...chain, project.id], user, signal, onEvent })
+          : await executeToolCall(call, { project, conversation, tools });
+
+        const { text: content, violations: found, blocked } = screenText(guardrails, rawContent, {
+          stage: 'tools',
+          source: `${call.name} result`
+        });
+        violations.push(...found);
+        if (blocked) throw new GuardrailError(violations);
+
+        // Sub-agents' tokens and cost are part of the reply's
+        if (delegation?.usage) {
+          addUsage(usage, delegation.usage);
+          cost = addCost(cost, delegation.cost);
+        }
+
+        const resultMessage = await saveToolMessage({
+          role: 'tool_result',
+          content,
+          toolCallId: call.id,
+          toolName: call.name,
+          parentId: lastMessageId,
+          ...(delegation ? { delegation: JSON.stringify(delegation) } : {})
+        }, { project, conversation });
+        lastMessageId = resultMessage.id;
+        toolMessages.push(formatMessage(resultMessage));
+        onEvent('tool_result', toolMessages[toolMessages.length - 1]);
+        messages.push({ role: 'tool', toolCallId: call.id, content });
+      }
+
+      if (signal?.aborted) {
+        return { content: '', model, usage, cost, toolMessages, parentId: lastMessageId, stopped: true, violations };
+      }
+    }
+  } catch (error) {
+    // Tokens already spent still count for the failed reply
+    if (usage.promptTokens || usage.completionTokens) {
+      Object.assign(error, { model, usage, cost });
+    }
+    throw error;
+  }
+}
+
+module.exports = { AGENT_MAX_STEPS, runAgent };
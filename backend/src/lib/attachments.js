@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const prisma = require('./prisma');
+const { getProvider } = require('./llm');
+const { supportsVision } = require('./llm/vision');
+
+/**
+ * Image attachments
+ *
+ * Images are uploaded to a project first (routes/attachments.js) and
+ * sent with a chat message by id. They are linked to the user message
+ * and sent to the model as image parts every time the message is in the
+ * prompt - as base64, so local files never need to be reachable by the
+ * provider. Models without vision get a note in place of the image.
+ */
+
+const ATTACHMENT_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const MAX_ATTACHMENTS = 4;
+// Anthropic rejects images over 5MB
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+
+const attachmentsDir = path.join(__dirname, '../../uploads/attachments');
+
+// Uploads that are never sent are removed after a day
+const UNSENT_ATTACHMENT_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Model a project's replies come from
+ */
+function getProjectModel(project) {
+  return project.model || getProvider().defaultModel;
+}
+
+/**
+ * Find unsent attachments of a project by id, in the given order
+ * Returns null if any of them does not exist or was already sent
+ */
+async function findAttachments(projectId, ids = []) {
+  if (!ids.length) return [];
+
+  const attachments = await prisma.attachment.findMany({
+    where: { id: { in: ids }, projectId, messageId: null }
+  });
+  const byId = new Map(attachments.map(a => [a.id, a]));
+  if (ids.some(id => !byId.has(id))) return null;
+
+  return [...new Set(ids)].map(id => byId.get(id));
+}
+
+/**
+ * Error response for images sent to a project whose model cannot read
+ * them, or null if the model has vision
+ */
+function imageInputError(project) {
+  const model = getProjectModel(project);
+  if (supportsVision(model)) return null;
+
+  return {
+    error: 'This model cannot read images',
+    details: `${model} does not accept image input. Choose a vision-capable model in the project settings or send the message without images.`
+  };
+}
+
+/**
+ * Link attachments to the message they were sent with
+ * Returns the message with its attachments
+ */
+async function attachToMessage(message, attachments) {
+  if (attachments.length) {
+    await prisma.attachment.updateMany({
+      where: { id: { in: attachments.map(a => a.id) } },
+      data: { messageId: message.id }
+    });
+  }
+  return { ...message, attachments };
+}
+
+/**
+ * Give a copy of a message (an edit) the original's attachments
+ * The copies share the stored image files
+ */
+async function copyAttachments(attachments, message) {
+  const copies = await prisma.$transaction(attachments.map(a => prisma.attachment.create({
+    data: {
+      originalName: a.originalName,
+      mimeType: a.mimeType,
+      size: a.size,
+      path: a.path,
+      thumbnail: a.thumbnail,
+      projectId: a.projectId,
+      messageId: message.id
+    }
+  })));
+  return { ...message, attachments: copies };
+}
+
+/**
+ * Load the images of prompt messages (see toPromptMessage) as base64
+ * { mimeType, data } for a vision model. For other models, and for image
+ * files that are gone, the image is replaced by a note in the text.
+ */
+async function loadImages(messages, model) {
+  const vision = supportsVision(model);
+
+  return Promise.all(messages.map(async (message) => {
+    if (!message.images?.length) return message;
+
+    const images = [];
+    const notes = [];
+    for (const image of message.images) {
+      if (!vision) {
+        notes.push(`[Image "${image.name}" omitted: the model cannot read images]`);
+        continue;
+      }
+      try {
+        const data = await fs.promises.readFile(image.path, 'base64');
+        images.push({ mimeType: image.mimeType, data });
+      } catch (e) {
+        notes.push(`[Image "${image.name}" is no longer available]`);
+      }
+    }
+
+    const content = [message.content, ...notes].filter(Boolean).join('\n\n');
+    return images.length
+      ? { ...message, content, images }
+      : { role: message.role, content };
+  }));
+}
+
+/**
+ * Remove unsent attachments older than UNSENT_ATTACHMENT_TTL_MS, then
+ * delete image files no attachment refers to - those uploads and the
+ * images of deleted messages, conversations and projects, whose rows
+ * are removed by cascade. Newer files are kept: an upload's file is
+ * written before its row.
+ */
+async function removeStaleAttachments({ now = Date.now(), dir = attachmentsDir } = {}) {
+  const cutoff = now - UNSENT_ATTACHMENT_TTL_MS;
+
+  const { count } = await prisma.attachment.deleteMany({
+    where: { messageId: null, createdAt: { lt: new Date(cutoff) } }
+  });
+
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return { attachments: count, files: 0 };
+    throw e;
+  }
+
+  // Edited messages share their original's files, so check every row
+  const attachments = await prisma.attachment.findMany({ select: { path: true } });
+  const used = new Set(attachments.map(a => path.resolve(a.path)));
+
+  let files = 0;
+  for (const name of names) {
+    const file = path.join(dir, name);
+    if (used.has(file)) continue;
+
+    const stat = await fs.promises.stat(file).catch(() => null);
+    if (!stat?.isFile() || stat.mtimeMs >= cutoff) continue;
+
+    await fs.promises.unlink(file);
+    files++;
+  }
+
+  if (count || files) {
+    console.log(`Removed ${count} unsent ${count === 1 ? 'attachment' : 'attachments'} and ${files} unused image ${files === 1 ? 'file' : 'files'}`);
+  }
+  return { attachments: count, files };
+}
+
+/**
+ * Run removeStaleAttachments now and every CLEANUP_INTERVAL_MS
+ */
+function scheduleAttachmentCleanup() {
+  const run = () => removeStaleAttachments()
+    .catch(error => console.error('Failed to clean up attachments:', error));
+
+  run();
+  setInterval(run, CLEANUP_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_SIZE,
+  attachmentsDir,
+  getProjectModel,
+  findAttachments,
+  imageInputError,
+  attachToMessage,
+  copyAttachments,
+  loadImages,
+  removeStaleAttachments,
+  scheduleAttachmentCleanup
+};
@@ -0,0 +1,159 @@
+const prisma = require('./prisma');
+const { FEEDBACK_SELECT } = require('./messages');
+
+/**
+ * Message branches
+ *
+ * Each message points at the message before it (parentId), so a
+ * conversation's history is a tree: regenerating a reply or editing a
+ * prompt adds a sibling instead of overwriting. Conversation.activeLeafId
+ * selects the branch that is shown and sent to the model.
+ */
+
+/**
+ * Link messages saved before branching existed into a single chain and
+ * make the newest one the active leaf. Safe to call repeatedly.
+ */
+async function ensureMessageTree(conversation) {
+  if (conversation.activeLeafId) return conversation;
+
+  const messages = await prisma.message.findMany({
+    where: { conversationId: conversation.id },
+    orderBy: { createdAt: 'asc' },
+    select: { id: true, parentId: true }
+  });
+  if (messages.length === 0) return conversation;
+
+  return prisma.$transaction(async (tx) => {
+    for (let i = 1; i < messages.length; i++) {
+      if (!messages[i].parentId) {
+        await tx.message.update({
+          where: { id: messages[i].id },
+          data: { parentId: messages[i - 1].id }
+        });
+      }
+    }
+
+    return tx.conversation.update({
+      where: { id: conversation.id },
+      data: { activeLeafId: messages[messages.length - 1].id }
+    });
+  });
+}
+
+/**
+ * Load a conversation's messages as a tree
+ * children maps a parent id (null for roots) to its children, oldest first
+ */
+async function loadMessageTree(conversationId) {
+  const messages = await prisma.message.findMany({
+    where: { conversationId },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      attachments: { orderBy: { createdAt: 'asc' } },
+      feedback: { select: FEEDBACK_SELECT }
+    }
+  });
+
+  const byId = new Map(messages.map(m => [m.id, m]));
+  const children = new Map();
+  for (const message of messages) {
+    const key = parentKey(byId, message);
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(message);
+  }
+
+  return { byId, children };
+}
+
+// Key of a message's parent in the children map
+function parentKey(byId, message) {
+  return message.parentId && byId.has(message.parentId) ? message.parentId : null;
+}
+
+/**
+ * Follow a message down to the newest leaf below it
+ */
+function findLeaf(tree, messageId) {
+  let message = tree.byId.get(messageId);
+  let children = tree.children.get(message.id);
+  while (children?.length) {
+    message = children[children.length - 1];
+    children = tree.children.get(message.id);
+  }
+  return message;
+}
+
+/**
+ * Find the user message a reply belongs to (the message itself if it is one)
+ */
+function findUserMessage(tree, messageId) {
+  let message = tree.byId.get(messageId);
+  while (message && message.role !== 'user') {
+    message = tree.byId.get(parentKey(tree.byId, message));
+  }
+  return message || null;
+}
+
+/**
+ * Get the messages from the root to a message, oldest first
+ */
+function getPath(tree, messageId) {
+  const path = [];
+  let message = tree.byId.get(messageId);
+  while (message) {
+    path.unshift(message);
+    message = tree.byId.get(parentKey(tree.byId, message));
+  }
+  return path;
+}
+
+/**
+ * Get the conversation's active branch, oldest message first
+ */
+async function getActivePath(conversation) {
+  if (!conversation.activeLeafId) return [];
+  const tree = await loadMessageTree(conversation.id);
+  return getPath(tree, conversation.activeLeafId);
+}
+
+/**
+ * Add branch info ({ index, count, siblingIds }) to messages that have
+ * alternatives; index is 1-based
+ */
+function withBranchInfo(tree, path) {
+  return path.map(message => {
+    const siblings = tree.children.get(parentKey(tree.byId, message));
+    if (siblings.length < 2) return { ...message, branch: null };
+
+    return {
+      ...message,
+      branch: {
+        index: siblings.indexOf(message) + 1,
+        count: siblings.length,
+        siblingIds: siblings.map(s => s.id)
+      }
+    };
+  });
+}
+
+/**
+ * Make a message the end of the active branch (also bumps updatedAt)
+ */
+async function setActiveLeaf(conversationId, messageId) {
+  return prisma.conversation.update({
+    where: { id: conversationId },
+    data: { activeLeafId: messageId }
+  });
+}
+
+module.exports = {
+  ensureMessageTree,
+  loadMessageTree,
+  findLeaf,
+  findUserMessage,
+  getPath,
+  getActivePath,
+  withBranchInfo,
+  setActiveLeaf
+};
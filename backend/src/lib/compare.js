@@ -0,0 +1,65 @@
+/**
+ * Compare mode
+ *
+ * One user message is answered by two to MAX_LANES "lanes" at once, each
+ * the project with some settings replaced:
+ *
+ *   { label?, model?, temperature?, topP?, maxTokens?, systemPrompt? }
+ *
+ * Lanes don't fall back to other models, so each reply comes from the
+ * lane's model. The replies are saved as sibling branches sharing a
+ * Message.comparisonId until the user keeps one of them. Replies of lanes
+ * that change a setting are not credited to the project's revision, as no
+ * revision has their settings; they keep a snapshot of them instead.
+ */
+
+const { snapshotOf } = require('./revisions');
+
+const MAX_LANES = 4;
+
+// Project settings a lane can replace
+const LANE_FIELDS = ['model', 'temperature', 'topP', 'maxTokens', 'systemPrompt'];
+
+/**
+ * The project as a lane runs it
+ */
+function laneProject(project, lane) {
+  const settings = Object.fromEntries(
+    LANE_FIELDS.filter(field => lane[field] != null && lane[field] !== '').map(field => [field, lane[field]])
+  );
+  return { ...project, ...settings, fallbackModels: null };
+}
+
+/**
+ * Whether a lane runs the project with a setting other than its own
+ */
+function changesSettings(project, lane) {
+  const running = laneProject(project, lane);
+  return LANE_FIELDS.some(field => running[field] !== project[field]);
+}
+
+/**
+ * Snapshot of the settings a lane runs with, saved on its reply as
+ * Message.settings
+ */
+function laneSnapshot(project, lane) {
+  return JSON.stringify(snapshotOf(laneProject(project, lane)));
+}
+
+/**
+ * Column title of a lane: its label, or the settings it changes
+ */
+function laneLabel(project, lane) {
+  if (lane.label) return lane.label;
+
+  const changes = [
+    lane.temperature != null && `temperature ${lane.temperature}`,
+    lane.topP != null && `top P ${lane.topP}`,
+    lane.maxTokens != null && `${lane.maxTokens} tokens`,
+    lane.systemPrompt && 'custom prompt'
+  ].filter(Boolean);
+  const model = lane.model || project.model || 'Default model';
+  return changes.length ? `${model} (${changes.join(', ')})` : model;
+}
+
+module.exports = { MAX_LANES, LANE_FIELDS, laneProject, changesSettings, laneSnapshot, laneLabel };
@@ -0,0 +1,187 @@
+const { toPromptMessage } = require('./messages');
+
+/**
+ * Token-aware context window builder
+ *
+ * Fits conversation history into a token budget while always keeping the
+ * system prompt and the newest turn.
+ */
+
+const CONTEXT_STRATEGIES = ['sliding_window', 'drop_middle', 'keep_first'];
+
+const DEFAULT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10) || 8000;
+const DEFAULT_KEEP_FIRST = 2;
+
+// Per-message framing overhead (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Rough prompt cost of one attached image; providers bill images by size,
+// typically a few hundred to about 1500 tokens
+const IMAGE_TOKENS = 1000;
+
+// Approximate characters per token by model family
+const CHARS_PER_TOKEN = [
+  [/claude|anthropic/i, 3.5],
+  [/gpt|openai|o1|o3/i, 4],
+  [/llama|mistral|mixtral|qwen|gemma|nemotron|deepseek/i, 3.7]
+];
+
+/**
+ * Estimate the number of tokens in a piece of text for a model
+ */
+function countTokens(text, model = '') {
+  if (!text) return 0;
+  const match = CHARS_PER_TOKEN.find(([pattern]) => pattern.test(model));
+  const charsPerToken = match ? match[1] : 4;
+  return Math.ceil(text.length / charsPerToken);
+}
+
+/**
+ * Estimate the tokens a single chat message takes in the prompt
+ */
+function countMessageTokens(message, model) {
+  const toolCalls = typeof message.toolCalls === 'string'
+    ? message.toolCalls
+    : (message.toolCalls ? JSON.stringify(message.toolCalls) : '');
+  const images = (message.images || message.attachments || []).length;
+  return countTokens(message.content, model) + countTokens(toolCalls, model)
+    + images * IMAGE_TOKENS + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Token usage of one model call
+ * Providers that report no usage (or a stream stopped before the usage
+ * arrived) are estimated from the prompt and the reply
+ */
+function callUsage(result, messages, model) {
+  return result.usage || {
+    promptTokens: messages.reduce((sum, m) => sum + countMessageTokens(m, model), 0),
+    completionTokens: countTokens(result.content || '', model)
+      + countTokens(result.toolCalls?.length ? JSON.stringify(result.toolCalls) : '', model)
+  };
+}
+
+/**
+ * Add messages from `candidates` (in the given order) to `selected`
+ * while they fit in the remaining budget, stopping at the first that doesn't
+ */
+function fill(candidates, selected, costs, remaining) {
+  for (const index of candidates) {
+    if (selected.has(index)) continue;
+    if (costs[index] > remaining) break;
+    selected.add(index);
+    remaining -= costs[index];
+  }
+  return remaining;
+}
+
+/**
+ * Deselect partial tool turns - a tool_call and the tool_result messages
+ * that follow it are sent together or not at all, since providers reject
+ * calls without results and results without their call
+ */
+function keepToolTurnsWhole(history, selected) {
+  let start = 0;
+  while (start < history.length) {
+    const { role } = history[start];
+    if (role !== 'tool_call' && role !== 'tool_result') {
+      start++;
+      continue;
+    }
+
+    let end = role === 'tool_call' ? start + 1 : start;
+    while (end < history.length && history[end].role === 'tool_result') end++;
+
+    const turn = history.slice(start, end).map((_, i) => start + i);
+    const complete = role === 'tool_call' && end > start + 1;
+    if (!complete || !turn.every(i => selected.has(i))) {
+      turn.forEach(i => selected.delete(i));
+    }
+    start = Math.max(end, start + 1);
+  }
+}
+
+/**
+ * Choose which history messages to send to the model
+ *
+ * @param {Object}   options
+ * @param {string}   [options.systemPrompt] - Always included
+ * @param {Array}    options.history        - Messages in chronological order; the last is the newest turn
+ * @param {string}   [options.model]        - Model used for token estimates
+ * @param {number}   [options.tokenBudget]  - Max prompt tokens
+ * @param {string}   [options.strategy]     - sliding_window | drop_middle | keep_first
+ * @param {number}   [options.keepFirst]    - Messages pinned at the start for keep_first
+ * @returns {{ messages: Array, window: Object }}
+ */
+function buildContext({
+  systemPrompt,
+  history,
+  model,
+  tokenBudget = DEFAULT_TOKEN_BUDGET,
+  strategy = 'sliding_window',
+  keepFirst = DEFAULT_KEEP_FIRST
+}) {
+  const costs = history.map(m => countMessageTokens(m, model));
+  const systemTokens = systemPrompt
+    ? countMessageTokens({ content: systemPrompt }, model)
+    : 0;
+
+  const selected = new Set();
+  const lastIndex = history.length - 1;
+  let remaining = tokenBudget - systemTokens;
+
+  // The newest turn is always sent, even if it alone exceeds the budget
+  if (lastIndex >= 0) {
+    selected.add(lastIndex);
+    remaining -= costs[lastIndex];
+  }
+
+  const newestFirst = history.map((_, i) => lastIndex - i);
+  const oldestFirst = history.map((_, i) => i);
+
+  if (strategy === 'keep_first') {
+    remaining = fill(oldestFirst.slice(0, keepFirst), selected, costs, remaining);
+    fill(newestFirst, selected, costs, remaining);
+  } else if (strategy === 'drop_middle') {
+    // Split the budget between the most recent turns and the opening turns,
+    // then give whatever is left over back to the recent turns
+    const headBudget = Math.floor(Math.max(remaining, 0) / 2);
+    let tailRemaining = fill(newestFirst, selected, costs, remaining - headBudget);
+    const headRemaining = fill(oldestFirst, selected, costs, headBudget);
+    tailRemaining += headRemaining;
+    fill(newestFirst, selected, costs, tailRemaining);
+  } else {
+    fill(newestFirst, selected, costs, remaining);
+  }
+
+  keepToolTurnsWhole(history, selected);
+
+  const included = oldestFirst.filter(i => selected.has(i));
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push(...included.map(i => toPromptMessage(history[i])));
+
+  const window = {
+    strategy,
+    tokenBudget,
+    tokens: systemTokens + included.reduce((sum, i) => sum + costs[i], 0),
+    messageIds: included.map(i => history[i].id).filter(Boolean),
+    droppedIds: oldestFirst
+      .filter(i => !selected.has(i))
+      .map(i => history[i].id)
+      .filter(Boolean)
+  };
+
+  return { messages, window };
+}
+
+module.exports = {
+  CONTEXT_STRATEGIES,
+  DEFAULT_TOKEN_BUDGET,
+  countTokens,
+  countMessageTokens,
+  callUsage,
+  buildContext
+};
@@ -0,0 +1,85 @@
+const prisma = require('./prisma');
+
+const DEFAULT_CONVERSATION_TITLE = 'New conversation';
+const MAX_TITLE_LENGTH = 60;
+
+/**
+ * Derive a conversation title from its first user message
+ */
+function titleFromMessage(message) {
+  const title = message.replace(/\s+/g, ' ').trim();
+  // Messages with only images keep the default title
+  if (!title) return DEFAULT_CONVERSATION_TITLE;
+  if (title.length <= MAX_TITLE_LENGTH) return title;
+  return `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…`;
+}
+
+/**
+ * Move messages created before conversations existed into a default
+ * conversation for the project. Safe to call repeatedly.
+ */
+async function migrateLegacyMessages(projectId) {
+  const legacyCount = await prisma.message.count({
+    where: { projectId, conversationId: null }
+  });
+  if (legacyCount === 0) return null;
+
+  const firstMessage = await prisma.message.findFirst({
+    where: { projectId, conversationId: null },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  return prisma.$transaction(async (tx) => {
+    const conversation = await tx.conversation.create({
+      data: {
+        title: 'Earlier messages',
+        projectId,
+        createdAt: firstMessage.createdAt
+      }
+    });
+
+    await tx.message.updateMany({
+      where: { projectId, conversationId: null },
+      data: { conversationId: conversation.id }
+    });
+
+    return conversation;
+  });
+}
+
+/**
+ * Find the conversation a chat message targets, or start a new one
+ * Returns null if the conversation does not belong to the project
+ */
+async function resolveConversation(projectId, conversationId, message) {
+  if (!conversationId) {
+    return prisma.conversation.create({
+      data: {
+        title: titleFromMessage(message),
+        projectId
+      }
+    });
+  }
+
+  const conversation = await prisma.conversation.findFirst({
+    where: { id: conversationId, projectId }
+  });
+  if (!conversation) return null;
+
+  // Name untitled conversations after their first message
+  if (conversation.title === DEFAULT_CONVERSATION_TITLE) {
+    return prisma.conversation.update({
+      where: { id: conversation.id },
+      data: { title: titleFromMessage(message) }
+    });
+  }
+
+  return conversation;
+}
+
+module.exports = {
+  DEFAULT_CONVERSATION_TITLE,
+  titleFromMessage,
+  migrateLegacyMessages,
+  resolveConversation
+};
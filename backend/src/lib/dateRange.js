@@ -0,0 +1,31 @@
+/**
+ * Date range filters for ?from= / ?to= query parameters (ISO 8601)
+ *
+ * A date-only `to` (YYYY-MM-DD) includes that whole day (UTC), so
+ * ?from=2025-01-01&to=2025-01-31 covers all of January. A `to` with a
+ * time is the last moment included.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Prisma filter for a createdAt column, or undefined for no range
+ *
+ * @param {Date}   [from] - Validated with toDate()
+ * @param {string} [to]   - Validated as ISO 8601, left as written
+ */
+function dateRangeFilter(from, to) {
+  const range = {};
+  if (from) range.gte = from;
+  if (to) {
+    if (DATE_ONLY.test(to)) {
+      range.lt = new Date(new Date(to).getTime() + DAY);
+    } else {
+      range.lte = new Date(to);
+    }
+  }
+  return Object.keys(range).length ? range : undefined;
+}
+
+module.exports = { dateRangeFilter };
@@ -0,0 +1,120 @@
+const prisma = require('./prisma');
+const { buildPrompt } = require('./promptBuilder');
+
+/**
+ * Sub-agent delegation
+ *
+ * A project can list other projects of the same user as sub-agents
+ * (Project.subAgents). The model then gets a delegate_to_agent tool to
+ * hand a task to one of them: the sub-agent answers it with its own
+ * system prompt, files, tools, guardrails and model, without seeing the
+ * conversation, and its reply is the tool result (see lib/agent.js).
+ *
+ * Each delegation is kept on its tool_result message (Message.delegation):
+ *
+ *   { agent: { id, name }, task, depth, reply, model, usage, cost, error, steps }
+ *
+ * steps are the sub-agent's own tool messages, with the traces of its
+ * delegations. Sub-agents delegate in turn up to AGENT_MAX_DELEGATION_DEPTH
+ * levels deep, and an agent already working further up the chain is not
+ * offered again (see callableAgents).
+ */
+
+const DELEGATE_TOOL = 'delegate_to_agent';
+const MAX_DELEGATION_DEPTH = parseInt(process.env.AGENT_MAX_DELEGATION_DEPTH, 10) || 2;
+const MAX_SUB_AGENTS = 10;
+
+/**
+ * Parse Project.subAgents (a JSON list of project IDs)
+ */
+function parseSubAgents(value) {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * The sub-agent projects a project can delegate to
+ * Projects deleted since, or of another user, are left out.
+ */
+async function loadSubAgents(project) {
+  const ids = parseSubAgents(project.subAgents);
+  if (!ids.length) return [];
+
+  const projects = await prisma.project.findMany({
+    where: { id: { in: ids }, userId: project.userId }
+  });
+  return ids.map(id => projects.find(p => p.id === id)).filter(Boolean);
+}
+
+/**
+ * The sub-agents a project can hand a task to from where it is in a
+ * delegation chain: none once the chain is MAX_DELEGATION_DEPTH deep, and
+ * never the project itself or one working further up the chain (a loop)
+ *
+ * @param {Object}   project
+ * @param {string[]} chain - IDs of the projects delegating to it, outermost first
+ */
+async function callableAgents(project, chain) {
+  if (chain.length >= MAX_DELEGATION_DEPTH) return [];
+
+  const subAgents = await loadSubAgents(project);
+  return subAgents.filter(agent => agent.id !== project.id && !chain.includes(agent.id));
+}
+
+/**
+ * The delegate_to_agent tool definition for a list of sub-agents
+ */
+function delegationTool(subAgents) {
+  return {
+    name: DELEGATE_TOOL,
+    description: [
+      'Hand a self-contained task to another agent and get its reply.',
+      'The agent does not see this conversation: include everything it needs in the task.',
+      'Available agents:',
+      ...subAgents.map(agent => `- ${agent.name}${agent.description ? `: ${agent.description}` : ''}`)
+    ].join('\n'),
+    parameters: {
+      type: 'object',
+      properties: {
+        agent: {
+          type: 'string',
+          description: 'Name of the agent',
+          enum: subAgents.map(agent => agent.name)
+        },
+        task: {
+          type: 'string',
+          description: 'The task, with the context the agent needs'
+        }
+      },
+      required: ['agent', 'task']
+    }
+  };
+}
+
+/**
+ * Build a sub-agent's prompt for a task, with the task as the only
+ * message (see lib/promptBuilder.js). The sub-agent's input and excerpt
+ * guardrails apply; a blocking rule throws a GuardrailError.
+ */
+function prepareDelegation(project, task, user) {
+  return buildPrompt(project, {
+    history: [{ role: 'user', content: task }],
+    user,
+    screenInput: true
+  });
+}
+
+module.exports = {
+  DELEGATE_TOOL,
+  MAX_DELEGATION_DEPTH,
+  MAX_SUB_AGENTS,
+  parseSubAgents,
+  loadSubAgents,
+  callableAgents,
+  delegationTool,
+  prepareDelegation
+};
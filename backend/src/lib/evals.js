@@ -0,0 +1,388 @@
+const prisma = require('./prisma');
+const { getProvider } = require('./llm');
+const { buildPrompt } = require('./promptBuilder');
+const { outputInstructions, checkOutput, OutputValidationError } = require('./output');
+const { checkSchema } = require('./jsonSchema');
+const { GuardrailError, parseGuardrails, guardReply } = require('./guardrails');
+const { runAgent } = require('./agent');
+const { currentRevisionId } = require('./revisions');
+const { computeCost } = require('./pricing');
+const { recordTokens } = require('./ratelimit');
+
+/**
+ * Eval suites
+ *
+ * A project's eval cases are an input conversation and assertions on the
+ * reply. A run sends every case through the agent with the project's
+ * current settings (system prompt, files, tools, output schema, context
+ * window) and stores a scored report. Nothing is saved as a message.
+ *
+ * Assertions:
+ *   { type: 'contains', value, ignoreCase? }
+ *   { type: 'not_contains', value, ignoreCase? }
+ *   { type: 'regex', pattern, flags? }
+ *   { type: 'json_schema', schema }       the reply parses as JSON matching it
+ *   { type: 'llm_judge', rubric }         a model grades the reply against the rubric
+ *
+ * With LLM_PROVIDER=mock runs need no network (see llm/mock.js).
+ */
+
+const ASSERTION_TYPES = ['contains', 'not_contains', 'regex', 'json_schema', 'llm_judge'];
+const MAX_EVAL_CASES = 200;
+
+// Model grading llm_judge assertions (default: the project's model)
+const JUDGE_MODEL = process.env.EVAL_JUDGE_MODEL || undefined;
+
+const JUDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    pass: { type: 'boolean' },
+    reason: { type: 'string' }
+  },
+  required: ['pass', 'reason'],
+  additionalProperties: false
+};
+
+const RUN_INTERRUPTED_ERROR = 'The server restarted before the run finished';
+
+/**
+ * Problems with a case's input conversation; empty when it can be run
+ */
+function checkCaseInput(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return ['Input must be a non-empty array of messages'];
+  }
+
+  const errors = [];
+  input.forEach((message, i) => {
+    if (!message || !['user', 'assistant'].includes(message.role)) {
+      errors.push(`Message ${i + 1}: role must be user or assistant`);
+    } else if (typeof message.content !== 'string' || !message.content.trim()) {
+      errors.push(`Message ${i + 1}: content must be a non-empty string`);
+    }
+  });
+  if (input[input.length - 1]?.role !== 'user') {
+    errors.push('The last message must be from the user');
+  }
+  return errors;
+}
+
+/**
+ * Problems with a case's assertions; empty when they can be run
+ */
+function checkAssertions(assertions) {
+  if (!Array.isArray(assertions) || assertions.length === 0) {
+    return ['Add at least one assertion'];
+  }
+
+  const errors = [];
+  assertions.forEach((assertion, i) => {
+    const at = `Assertion ${i + 1}`;
+    if (!assertion || !ASSERTION_TYPES.includes(assertion.type)) {
+      errors.push(`${at}: type must be one of ${ASSERTION_TYPES.join(', ')}`);
+      return;
+    }
+
+    switch (assertion.type) {
+      case 'contains':
+      case 'not_contains':
+        if (typeof assertion.value !== 'string' || !assertion.value) {
+          errors.push(`${at}: value must be a non-empty string`);
+        }
+        break;
+      case 'regex':
+        try {
+          new RegExp(assertion.pattern, assertion.flags || '');
+        } catch (e) {
+          errors.push(`${at}: ${e.message}`);
+        }
+        break;
+      case 'json_schema':
+        if (!assertion.schema || typeof assertion.schema !== 'object' || Array.isArray(assertion.schema)) {
+          errors.push(`${at}: schema must be a JSON Schema object`);
+        } else {
+          errors.push(...checkSchema(assertion.schema).map(error => `${at}: ${error}`));
+        }
+        break;
+      case 'llm_judge':
+        if (typeof assertion.rubric !== 'string' || !assertion.rubric.trim()) {
+          errors.push(`${at}: rubric must be a non-empty string`);
+        }
+        break;
+    }
+  });
+  return errors;
+}
+
+/**
+ * Build the prompt for a case, with the case's input as the history (see
+ * lib/promptBuilder.js). The project's guardrails run on the user
+ * messages and excerpts; a blocking rule throws a GuardrailError.
+ */
+function prepareCasePrompt(project, input, user) {
+  return buildPrompt(project, { history: input, user, screenInput: true });
+}
+
+/**
+ * Ask the judge model whether a reply meets a rubric
+ * Returns { pass, reason, model, usage }
+ */
+async function judgeReply(project, { input, content, rubric }) {
+  const llm = getProvider();
+  const model = JUDGE_MODEL || project.model || llm.defaultModel;
+  const transcript = input.map(m => `${m.role.toUpperCase()}: ${m.content}`).join('\n\n');
+
+  const result = await llm.chat([
+    {
+      role: 'system',
+      content: [
+        'You grade replies of an AI assistant against a rubric.',
+        'Pass the reply only if it meets every point of the rubric.',
+        outputInstructions(JUDGE_SCHEMA)
+      ].join('\n')
+    },
+    {
+      role: 'user',
+      content: `Conversation:\n${transcript}\n\nReply to grade:\n${content}\n\nRubric:\n${rubric}`
+    }
+  ], { model, temperature: 0, responseFormat: { schema: JUDGE_SCHEMA } });
+
+  const { data, errors } = checkOutput(JUDGE_SCHEMA, result.content);
+  if (errors.length) {
+    throw new Error(`Judge reply was invalid: ${errors.join('; ')}`);
+  }
+  return { ...data, model: result.model || model, usage: result.usage };
+}
+
+/**
+ * Check one assertion against a reply
+ * Returns { type, pass, message } and the judge's usage, if any
+ */
+async function runAssertion(assertion, { project, input, content }) {
+  const outcome = (pass, message) => ({ type: assertion.type, pass, message });
+  const fold = (text) => (assertion.ignoreCase ? text.toLowerCase() : text);
+
+  switch (assertion.type) {
+    case 'contains': {
+      const pass = fold(content).includes(fold(assertion.value));
+      return outcome(pass, pass ? `Contains "${assertion.value}"` : `Does not contain "${assertion.value}"`);
+    }
+    case 'not_contains': {
+      const pass = !fold(content).includes(fold(assertion.value));
+      return outcome(pass, pass ? `Does not contain "${assertion.value}"` : `Contains "${assertion.value}"`);
+    }
+    case 'regex': {
+      const pass = new RegExp(assertion.pattern, assertion.flags || '').test(content);
+      return outcome(pass, `${pass ? 'Matches' : 'Does not match'} /${assertion.pattern}/${assertion.flags || ''}`);
+    }
+    case 'json_schema': {
+      const { errors } = checkOutput(assertion.schema, content);
+      return outcome(!errors.length, errors.length ? errors.join('; ') : 'Matches the schema');
+    }
+    case 'llm_judge': {
+      try {
+        const verdict = await judgeReply(project, { input, content, rubric: assertion.rubric });
+        return { ...outcome(verdict.pass, verdict.reason), judge: { model: verdict.model, usage: verdict.usage } };
+      } catch (error) {
+        return outcome(false, `Judge failed: ${error.message}`);
+      }
+    }
+    default:
+      return outcome(false, `Unknown assertion type ${assertion.type}`);
+  }
+}
+
+/**
+ * Run one case: generate the reply and check its assertions
+ * A case's score is the share of its assertions that passed
+ */
+async function runCase(project, evalCase, user) {
+  const input = JSON.parse(evalCase.input);
+  const assertions = JSON.parse(evalCase.assertions);
+  const startedAt = Date.now();
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  let cost = null;
+  const addUsage = (callUsage, callCost) => {
+    if (!callUsage) return;
+    usage.promptTokens += callUsage.promptTokens;
+    usage.completionTokens += callUsage.completionTokens;
+    if (callCost != null) cost = (cost ?? 0) + callCost;
+  };
+
+  let content = '';
+  let model = null;
+  let toolCalls = [];
+  let guardrails = [];
+  let error = null;
+  try {
+    const prompt = await prepareCasePrompt(project, input, user);
+    const result = await runAgent({ prompt, project, conversation: null, parentId: null, user });
+    const guarded = guardReply(parseGuardrails(project.guardrails), result, prompt.output);
+    content = guarded.content;
+    guardrails = [...prompt.violations, ...result.violations, ...guarded.violations];
+    model = result.model;
+    toolCalls = result.toolMessages
+      .filter(m => m.role === 'tool_call')
+      .flatMap(m => m.toolCalls)
+      .map(call => ({ name: call.name, arguments: call.arguments }));
+    addUsage(result.usage, result.cost);
+  } catch (e) {
+    // Tokens spent before the failure still count
+    addUsage(e.usage, e.cost);
+    model = e.model ?? null;
+    // Invalid structured replies are still checked
+    if (e instanceof OutputValidationError) content = e.content;
+    if (e instanceof GuardrailError) guardrails = e.violations;
+    error = e.message;
+  }
+
+  const results = [];
+  for (const assertion of assertions) {
+    const result = error && !content
+      ? { type: assertion.type, pass: false, message: 'No reply' }
+      : await runAssertion(assertion, { project, input, content });
+    if (result.judge) addUsage(result.judge.usage, computeCost(result.judge.model, result.judge.usage));
+    results.push(result);
+  }
+
+  const passedCount = results.filter(r => r.pass).length;
+  return {
+    caseId: evalCase.id,
+    name: evalCase.name,
+    input,
+    reply: content,
+    model,
+    toolCalls,
+    guardrails,
+    error,
+    assertions: results,
+    passed: !error && passedCount === results.length,
+    score: results.length ? passedCount / results.length : 0,
+    usage,
+    cost,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+/**
+ * Start a run of a project's eval suite
+ * The run is saved right away with status "running"; `done` resolves
+ * with the finished run (undefined if it could not be saved). Case
+ * results are saved as each case finishes.
+ *
+ * @param {Object} options
+ * @param {Object} options.project
+ * @param {Object} options.user    - Renders {{user.*}} and is charged the tokens
+ * @param {string} [options.source] - api | cli
+ * @returns {Promise<{ run: Object, done: Promise<Object> }>}
+ */
+async function startEvalRun({ project, user, source = 'api' }) {
+  const cases = await prisma.evalCase.findMany({
+    where: { projectId: project.id },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const llm = getProvider();
+  const run = await prisma.evalRun.create({
+    data: {
+      source,
+      provider: llm.name,
+      model: project.model || llm.defaultModel || 'default',
+      total: cases.length,
+      projectId: project.id,
+      revisionId: await currentRevisionId(project)
+    }
+  });
+
+  const execute = async () => {
+    const results = [];
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    let cost = null;
+
+    for (const evalCase of cases) {
+      const result = await runCase(project, evalCase, user);
+      results.push(result);
+      usage.promptTokens += result.usage.promptTokens;
+      usage.completionTokens += result.usage.completionTokens;
+      if (result.cost != null) cost = (cost ?? 0) + result.cost;
+      recordTokens(user.id, result.usage);
+
+      // Usage so far, so a run that fails later still reports it
+      await prisma.evalRun.update({
+        where: { id: run.id },
+        data: {
+          results: JSON.stringify(results),
+          passed: results.filter(r => r.passed).length,
+          promptTokens: usage.promptTokens,
+          completionTokens: usage.completionTokens,
+          cost
+        }
+      });
+    }
+
+    return prisma.evalRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'complete',
+        score: results.length ? results.reduce((sum, r) => sum + r.score, 0) / results.length : null,
+        completedAt: new Date()
+      }
+    });
+  };
+
+  const done = execute()
+    .catch((error) => {
+      console.error(`Eval run ${run.id} failed:`, error);
+      return prisma.evalRun.update({
+        where: { id: run.id },
+        data: { status: 'failed', error: error.message, completedAt: new Date() }
+      });
+    })
+    .catch((error) => console.error(`Failed to save eval run ${run.id}:`, error));
+
+  return { run, done };
+}
+
+/**
+ * Mark runs left running by a previous server process as failed
+ */
+async function failInterruptedEvalRuns() {
+  const { count } = await prisma.evalRun.updateMany({
+    where: { status: 'running', source: 'api' },
+    data: { status: 'failed', error: RUN_INTERRUPTED_ERROR, completedAt: new Date() }
+  });
+  if (count) {
+    console.log(`Marked ${count} interrupted eval ${count === 1 ? 'run' : 'runs'} as failed`);
+  }
+}
+
+/**
+ * Format an eval case for API responses
+ */
+function formatEvalCase(evalCase) {
+  return {
+    ...evalCase,
+    input: JSON.parse(evalCase.input),
+    assertions: JSON.parse(evalCase.assertions)
+  };
+}
+
+/**
+ * Format an eval run for API responses; `full` adds the case results
+ */
+function formatEvalRun(run, { full = false } = {}) {
+  const { results, ...rest } = run;
+  return full ? { ...rest, results: results ? JSON.parse(results) : [] } : rest;
+}
+
+module.exports = {
+  ASSERTION_TYPES,
+  MAX_EVAL_CASES,
+  checkCaseInput,
+  checkAssertions,
+  runAssertion,
+  startEvalRun,
+  failInterruptedEvalRuns,
+  formatEvalCase,
+  formatEvalRun
+};
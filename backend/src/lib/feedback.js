@@ -0,0 +1,176 @@
+const prisma = require('./prisma');
+const { loadMessageTree, findUserMessage, getPath } = require('./branches');
+const { isPromptMessage, toPromptMessage } = require('./messages');
+const { parseSnapshot } = require('./revisions');
+const { renderTemplate } = require('./prompts');
+const { getProjectTools } = require('./tools');
+const { toOpenAIMessages } = require('./llm/openai');
+
+/**
+ * Reply feedback and fine-tuning datasets
+ *
+ * Users rate assistant replies up or down (MessageFeedback), optionally
+ * with a comment and the answer they wanted instead (correction). Rated
+ * replies are exported as JSONL, one example per line:
+ *
+ *   openai      { messages, tools? } in the OpenAI chat fine-tuning format.
+ *               The reply is the last message; a correction replaces it,
+ *               and replies rated down without one are left out.
+ *   preference  { prompt, chosen, rejected } pairs: a correction over the
+ *               reply it corrects, and a reply rated up over a sibling reply
+ *               (regenerated for the same message) rated down.
+ *
+ * Each example starts with the system prompt of the revision (or compare
+ * lane) the reply was generated with, followed by the conversation branch
+ * leading to it. File excerpts, summaries and images are not included.
+ */
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const DATASET_FORMATS = ['openai', 'preference'];
+
+/**
+ * Convert stored messages to OpenAI chat messages, without images
+ */
+function toDatasetMessages(messages) {
+  return toOpenAIMessages(
+    messages.filter(isPromptMessage).map(message => {
+      const { images, ...prompt } = toPromptMessage(message);
+      return prompt;
+    })
+  );
+}
+
+/**
+ * The project as it was when a reply was generated: with the settings of
+ * its compare lane or its revision
+ */
+function projectAt({ project, revision, settings }) {
+  if (settings) return { ...project, ...parseSnapshot({ snapshot: settings }) };
+  return revision ? { ...project, ...parseSnapshot(revision) } : project;
+}
+
+/**
+ * Build one conversation's examples
+ *
+ * @param {Object} tree     - The conversation's message tree
+ * @param {Array}  feedback - Feedback on replies in the conversation, with
+ *                            message.project and message.revision
+ * @param {string} format   - openai | preference
+ * @param {Object} user     - The exporting user, for system prompt variables
+ */
+async function conversationExamples(tree, feedback, format, user) {
+  const turns = [];
+  for (const item of feedback) {
+    const reply = tree.byId.get(item.messageId);
+    const userMessage = reply && findUserMessage(tree, reply.id);
+    if (!userMessage) continue;
+
+    const project = projectAt(item.message);
+    const { prompt: systemPrompt } = await renderTemplate(project.systemPrompt, {
+      project,
+      user,
+      now: reply.createdAt
+    });
+    const path = getPath(tree, reply.id);
+    const split = path.indexOf(userMessage) + 1;
+
+    turns.push({
+      feedback: item,
+      project,
+      userMessageId: userMessage.id,
+      prompt: [
+        ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+        ...toDatasetMessages(path.slice(0, split))
+      ],
+      reply: toDatasetMessages(path.slice(split))
+    });
+  }
+
+  return format === 'openai' ? openAIExamples(turns) : preferenceExamples(turns);
+}
+
+/**
+ * Chat fine-tuning examples: the reply as rated up, or its correction
+ */
+function openAIExamples(turns) {
+  return turns
+    .filter(turn => turn.feedback.correction || turn.feedback.rating === 'up')
+    .map(turn => {
+      const completion = turn.feedback.correction
+        ? [{ role: 'assistant', content: turn.feedback.correction }]
+        : turn.reply;
+      const example = { messages: [...turn.prompt, ...completion] };
+
+      if (completion.some(message => message.tool_calls)) {
+        example.tools = getProjectTools(turn.project).map(({ name, description, parameters }) => ({
+          type: 'function',
+          function: { name, description, parameters }
+        }));
+      }
+      return example;
+    });
+}
+
+/**
+ * Chosen/rejected pairs from corrections and from sibling replies
+ */
+function preferenceExamples(turns) {
+  const examples = turns
+    .filter(turn => turn.feedback.correction)
+    .map(turn => ({
+      prompt: turn.prompt,
+      chosen: [{ role: 'assistant', content: turn.feedback.correction }],
+      rejected: turn.reply
+    }));
+
+  // Replies to the same message rated both ways
+  for (const chosen of turns.filter(turn => turn.feedback.rating === 'up')) {
+    for (const rejected of turns) {
+      if (rejected.feedback.rating === 'down' && rejected.userMessageId === chosen.userMessageId) {
+        examples.push({ prompt: chosen.prompt, chosen: chosen.reply, rejected: rejected.reply });
+      }
+    }
+  }
+  return examples;
+}
+
+/**
+ * Write a dataset of rated replies, one conversation at a time
+ *
+ * @param {Object}   where  - MessageFeedback filter
+ * @param {string}   format - openai | preference
+ * @param {Object}   user   - The exporting user
+ * @param {Function} write  - Called with each JSONL line
+ * @returns {Promise<number>} Number of examples written
+ */
+async function exportDataset(where, format, user, write) {
+  const feedback = await prisma.messageFeedback.findMany({
+    where,
+    orderBy: { createdAt: 'asc' },
+    include: { message: { include: { project: true, revision: true } } }
+  });
+
+  const byConversation = new Map();
+  for (const item of feedback) {
+    const { conversationId } = item.message;
+    if (!conversationId) continue;
+    if (!byConversation.has(conversationId)) byConversation.set(conversationId, []);
+    byConversation.get(conversationId).push(item);
+  }
+
+  let count = 0;
+  for (const [conversationId, items] of byConversation) {
+    const tree = await loadMessageTree(conversationId);
+    for (const example of await conversationExamples(tree, items, format, user)) {
+      write(`${JSON.stringify(example)}\n`);
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  FEEDBACK_RATINGS,
+  DATASET_FORMATS,
+  exportDataset
+};
@@ -0,0 +1,300 @@
+/**
+ * Guardrails
+ *
+ * Checks a project runs on user messages before they reach the model,
+ * on the file excerpts added to the prompt and on replies. Each project
+ * picks its rules (Project.guardrails, a JSON object) and what each does:
+ *
+ *   block   the message is rejected / the reply is withheld
+ *   redact  the offending text is replaced (or the excerpt left out)
+ *   flag    nothing changes, the violation is only recorded
+ *
+ *   {
+ *     "pii":            { "action": "redact", "types": ["email", "phone", "card"] },  input and replies
+ *     "blockedTerms":   { "action": "block", "terms": ["project x"] },                 input and replies
+ *     "maxInputLength": { "action": "block", "limit": 4000 },                           input (redact truncates)
+ *     "injection":      { "action": "flag" }                                            files and tool results
+ *   }
+ *
+ * Violations are saved on the message they concern (Message.guardrails)
+ * as [{ rule, action, stage, detail, count }].
+ */
+
+const { checkOutput } = require('./output');
+
+const GUARDRAIL_ACTIONS = ['block', 'redact', 'flag'];
+const GUARDRAIL_RULES = ['pii', 'blockedTerms', 'maxInputLength', 'injection'];
+const MAX_BLOCKED_TERMS = 200;
+
+// Cards are matched before phone numbers so their digits aren't taken
+// for one
+const PII_PATTERNS = {
+  card: /\b\d(?:[ -]?\d){12,18}\b/g,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  phone: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}\b/g
+};
+const PII_TYPES = Object.keys(PII_PATTERNS);
+
+// Phrases typical of instructions planted in documents
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget)\s+(?:all\s+|any\s+)?(?:the\s+|your\s+)?(?:previous|prior|above|earlier|preceding)\s+(?:instructions|prompts?|rules|messages)/i,
+  /\byou\s+are\s+now\s+(?:a|an|in)\b/i,
+  /\bnew\s+(?:system\s+)?instructions\s*:/i,
+  /\b(?:reveal|print|repeat|show)\s+(?:me\s+)?(?:your|the)\s+(?:system\s+prompt|instructions)/i,
+  /\bdo\s+not\s+(?:tell|inform|let)\s+the\s+user\b/i,
+  /<\/?(?:system|assistant)>|\[\/?INST\]|<\|im_start\|>/i,
+  /^\s*#{2,}\s*(?:system|instructions?)\b/im
+];
+
+const WITHHELD_REPLY = 'This reply was withheld by the project\'s guardrails.';
+
+/**
+ * A message or excerpt rejected by a blocking rule
+ */
+class GuardrailError extends Error {
+  constructor(violations) {
+    super(`Blocked by guardrails: ${describeViolations(violations.filter(v => v.action === 'block'))}`);
+    this.name = 'GuardrailError';
+    this.violations = violations;
+  }
+}
+
+/**
+ * Parse Project.guardrails
+ */
+function parseGuardrails(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Problems with a guardrails configuration; empty when it can be used
+ */
+function checkGuardrails(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Guardrails must be an object of rules'];
+  }
+
+  const problems = [];
+  for (const [rule, settings] of Object.entries(config)) {
+    if (!GUARDRAIL_RULES.includes(rule)) {
+      problems.push(`Unknown guardrail: ${rule}`);
+      continue;
+    }
+    if (!settings || !GUARDRAIL_ACTIONS.includes(settings.action)) {
+      problems.push(`${rule}: action must be one of ${GUARDRAIL_ACTIONS.join(', ')}`);
+    }
+    if (rule === 'pii' && settings?.types !== undefined
+      && (!Array.isArray(settings.types) || settings.types.some(type => !PII_TYPES.includes(type)))) {
+      problems.push(`pii: types must be a list of ${PII_TYPES.join(', ')}`);
+    }
+    if (rule === 'blockedTerms' && (!Array.isArray(settings?.terms) || settings.terms.length > MAX_BLOCKED_TERMS
+      || settings.terms.some(term => typeof term !== 'string' || !term.trim() || term.length > 200))) {
+      problems.push(`blockedTerms: terms must be a list of at most ${MAX_BLOCKED_TERMS} terms of 1-200 characters`);
+    }
+    if (rule === 'maxInputLength' && !(Number.isInteger(settings?.limit) && settings.limit >= 1 && settings.limit <= 1000000)) {
+      problems.push('maxInputLength: limit must be a whole number of characters between 1 and 1000000');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Whether a digit string passes the Luhn checksum of card numbers
+ */
+function isLuhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Replace the matches of a pattern, counting them
+ * `accept` can reject a match (it is then kept as is)
+ */
+function replaceMatches(text, pattern, replacement, accept = () => true) {
+  let count = 0;
+  const replaced = text.replace(pattern, (match) => {
+    if (!accept(match)) return match;
+    count++;
+    return replacement;
+  });
+  return { text: replaced, count };
+}
+
+/**
+ * Run the text rules of a stage on a message or reply
+ *
+ * @param {Object} config - Parsed Project.guardrails
+ * @param {string} text
+ * @param {string} stage  - input | output
+ * @returns {{ text: string, violations: Array, blocked: boolean }}
+ *          text with redactions applied (unchanged for block and flag)
+ */
+function applyGuardrails(config, text, stage) {
+  const violations = [];
+  let result = text || '';
+
+  const record = (rule, detail, count, redacted) => {
+    const { action } = config[rule];
+    violations.push({ rule, action, stage, detail, count });
+    if (action === 'redact') result = redacted;
+  };
+
+  if (stage === 'input' && config.maxInputLength && result.length > config.maxInputLength.limit) {
+    const { limit } = config.maxInputLength;
+    record('maxInputLength', `${result.length} characters, limit ${limit}`, 1, result.slice(0, limit));
+  }
+
+  if (config.pii) {
+    for (const type of config.pii.types?.length ? config.pii.types : PII_TYPES) {
+      const accept = type === 'card' ? (match) => isLuhnValid(match.replace(/\D/g, '')) : undefined;
+      const { text: redacted, count } = replaceMatches(result, PII_PATTERNS[type], `[${type.toUpperCase()}]`, accept);
+      if (count) record('pii', type, count, redacted);
+    }
+  }
+
+  if (config.blockedTerms) {
+    for (const term of config.blockedTerms.terms) {
+      const pattern = new RegExp(`(?<!\\w)${escapeRegExp(term.trim())}(?!\\w)`, 'gi');
+      const { text: redacted, count } = replaceMatches(result, pattern, '[REDACTED]');
+      if (count) record('blockedTerms', term, count, redacted);
+    }
+  }
+
+  return { text: result, violations, blocked: violations.some(v => v.action === 'block') };
+}
+
+/**
+ * The first phrase of a text that looks like planted instructions, or null
+ */
+function findInjection(text) {
+  const pattern = INJECTION_PATTERNS.find(p => p.test(text || ''));
+  return pattern ? text.match(pattern)[0].trim().slice(0, 80) : null;
+}
+
+/**
+ * Check retrieved file excerpts (see lib/rag) for planted instructions
+ * Redacted excerpts are left out of the prompt
+ *
+ * @returns {{ chunks: Array, violations: Array, blocked: boolean }}
+ */
+function screenExcerpts(config, chunks) {
+  if (!config.injection) return { chunks, violations: [], blocked: false };
+
+  const { action } = config.injection;
+  const violations = [];
+  const kept = chunks.filter(chunk => {
+    const phrase = findInjection(chunk.text);
+    if (!phrase) return true;
+
+    violations.push({ rule: 'injection', action, stage: 'files', detail: `${chunk.fileName}: "${phrase}"`, count: 1 });
+    return action !== 'redact';
+  });
+
+  return { chunks: kept, violations, blocked: violations.some(v => v.action === 'block') };
+}
+
+/**
+ * Check other text the model reads but the user did not write - tool
+ * results and files inlined in the system prompt - for planted
+ * instructions. A redacted text is replaced by a note.
+ *
+ * @param {Object} config - Parsed Project.guardrails
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.stage  - tools | files
+ * @param {string} options.source - Tool or file name, for the violation
+ * @returns {{ text: string, violations: Array, blocked: boolean }}
+ */
+function screenText(config, text, { stage, source }) {
+  const phrase = config.injection ? findInjection(text) : null;
+  if (!phrase) return { text, violations: [], blocked: false };
+
+  const { action } = config.injection;
+  return {
+    text: action === 'redact' ? `[${source} withheld by the project's guardrails]` : text,
+    violations: [{ rule: 'injection', action, stage, detail: `${source}: "${phrase}"`, count: 1 }],
+    blocked: action === 'block'
+  };
+}
+
+/**
+ * Whether a project has rules that can change its replies
+ */
+function hasOutputRules(config) {
+  return Boolean(config.pii || config.blockedTerms);
+}
+
+/**
+ * Run the output rules on a finished reply (see lib/agent.js)
+ * A withheld reply has no data; a redacted structured reply keeps its
+ * data only if it still matches the output schema.
+ *
+ * @returns {{ content: string, data: *, violations: Array }}
+ */
+function guardReply(config, result, output) {
+  const { text, violations, blocked } = applyGuardrails(config, result.content, 'output');
+
+  if (blocked) return { content: WITHHELD_REPLY, data: undefined, violations };
+  if (text === result.content || !output) return { content: text, data: result.data, violations };
+
+  const { data, errors } = checkOutput(output.schema, text);
+  return { content: text, data: errors.length ? undefined : data, violations };
+}
+
+/**
+ * Response body for a message rejected by the input rules
+ */
+function blockedInputError(violations) {
+  return {
+    error: 'Message blocked by guardrails',
+    details: describeViolations(violations.filter(v => v.action === 'block')),
+    violations
+  };
+}
+
+/**
+ * One-line summary of violations, e.g. "pii (email), blockedTerms (secret)"
+ */
+function describeViolations(violations) {
+  return violations.map(v => `${v.rule} (${v.detail})`).join(', ');
+}
+
+/**
+ * Message column for violations
+ */
+function guardrailData(violations) {
+  return violations.length ? { guardrails: JSON.stringify(violations) } : {};
+}
+
+module.exports = {
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_RULES,
+  PII_TYPES,
+  WITHHELD_REPLY,
+  GuardrailError,
+  parseGuardrails,
+  checkGuardrails,
+  applyGuardrails,
+  screenExcerpts,
+  screenText,
+  hasOutputRules,
+  guardReply,
+  blockedInputError,
+  describeViolations,
+  guardrailData
+};
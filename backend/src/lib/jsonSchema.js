@@ -0,0 +1,195 @@
+/**
+ * JSON Schema validation
+ *
+ * Covers the keywords output contracts use in practice: type, enum,
+ * const, properties, required, additionalProperties, items, minItems,
+ * maxItems, uniqueItems, minLength, maxLength, pattern, minimum, maximum,
+ * exclusiveMinimum, exclusiveMaximum, multipleOf, anyOf, oneOf, allOf,
+ * not and local $ref (#/$defs/... or #/definitions/...). Other keywords
+ * are ignored.
+ */
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+/**
+ * JSON Schema type of a value
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ */
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) return null;
+
+  return ref
+    .slice(1)
+    .split('/')
+    .filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node == null ? null : node[part]), root);
+}
+
+/**
+ * Validate a value against a schema
+ * Returns a list of errors like "$.items[0].price must be a number";
+ * empty when the value is valid
+ */
+function validate(schema, value, path = '$', root = schema) {
+  if (schema === true || schema == null) return [];
+  if (schema === false) return [`${path} is not allowed`];
+
+  if (schema.$ref) {
+    const target = resolveRef(root, schema.$ref);
+    if (!target) return [`${path}: cannot resolve ${schema.$ref}`];
+    return validate(target, value, path, root);
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) {
+      errors.push(`${path} must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push(`${path} must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path} must not contain duplicates`);
+    }
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`, root)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (key in properties) {
+        errors.push(...validate(properties[key], item, `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, item, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) errors.push(...validate(sub, value, path, root));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validate(sub, value, path, root).length === 0)) {
+    errors.push(`${path} does not match any of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validate(sub, value, path, root).length === 0).length;
+    if (matches !== 1) errors.push(`${path} must match exactly one of the allowed schemas`);
+  }
+  if (schema.not && validate(schema.not, value, path, root).length === 0) {
+    errors.push(`${path} matches a schema it must not match`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check that a value looks like a usable schema
+ * Returns a list of problems; empty when the schema can be used
+ */
+function checkSchema(schema) {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return ['schema must be a JSON object'];
+  }
+
+  const errors = [];
+  const walk = (node, path) => {
+    if (typeof node !== 'object' || node === null) return;
+
+    const types = Array.isArray(node.type) ? node.type : (node.type ? [node.type] : []);
+    for (const type of types) {
+      if (!TYPES.includes(type)) errors.push(`${path}: unknown type "${type}"`);
+    }
+    if (node.pattern) {
+      try {
+        new RegExp(node.pattern, 'u');
+      } catch (e) {
+        errors.push(`${path}: invalid pattern ${node.pattern}`);
+      }
+    }
+    if (node.$ref && !resolveRef(schema, node.$ref)) {
+      errors.push(`${path}: cannot resolve ${node.$ref}`);
+    }
+
+    for (const [key, child] of Object.entries(node.properties || {})) walk(child, `${path}.properties.${key}`);
+    for (const key of ['items', 'additionalProperties', 'not']) walk(node[key], `${path}.${key}`);
+    for (const key of ['anyOf', 'oneOf', 'allOf']) {
+      (node[key] || []).forEach((child, i) => walk(child, `${path}.${key}[${i}]`));
+    }
+    for (const key of ['$defs', 'definitions']) {
+      for (const [name, child] of Object.entries(node[key] || {})) walk(child, `${path}.${key}.${name}`);
+    }
+  };
+  walk(schema, '$');
+
+  return errors;
+}
+
+module.exports = { validate, checkSchema };
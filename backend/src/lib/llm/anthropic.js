@@ -0,0 +1,224 @@
+const { LLMError, errorFromResponse } = require('./errors');
+const { readSSEData } = require('./sse');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Parse tool call arguments into an input object for a tool_use block
+ */
+function parseToolInput(args) {
+  try {
+    return JSON.parse(args || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Split OpenAI-style messages into Anthropic's top-level system prompt
+ * and the user/assistant message list
+ * Tool calls become tool_use blocks, tool results are sent back as
+ * tool_result blocks in a user turn and images ({ mimeType, data } in
+ * base64) become image blocks
+ */
+function toAnthropicMessages(messages) {
+  const system = messages
+    .filter(m => m.role === 'system')
+    .map(m => m.content)
+    .join('\n\n');
+
+  const conversation = [];
+  for (const m of messages) {
+    if (m.role === 'system') continue;
+
+    if (m.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+      const previous = conversation[conversation.length - 1];
+      // Results for the same assistant turn share one user message
+      if (previous?.role === 'user' && Array.isArray(previous.content)) {
+        previous.content.push(block);
+      } else {
+        conversation.push({ role: 'user', content: [block] });
+      }
+    } else if (m.role === 'assistant' && m.toolCalls?.length) {
+      conversation.push({
+        role: 'assistant',
+        content: [
+          ...(m.content ? [{ type: 'text', text: m.content }] : []),
+          ...m.toolCalls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.name,
+            input: parseToolInput(call.arguments)
+          }))
+        ]
+      });
+    } else if (m.images?.length) {
+      conversation.push({
+        role: m.role,
+        content: [
+          ...m.images.map(image => ({
+            type: 'image',
+            source: { type: 'base64', media_type: image.mimeType, data: image.data }
+          })),
+          ...(m.content ? [{ type: 'text', text: m.content }] : [])
+        ]
+      });
+    } else {
+      conversation.push({ role: m.role, content: m.content });
+    }
+  }
+
+  return { system: system || undefined, messages: conversation };
+}
+
+/**
+ * Create a provider for Anthropic's Messages API
+ */
+function createAnthropicProvider({ name = 'anthropic', baseUrl, apiKey, defaultModel }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/messages`;
+
+  const buildRequest = (messages, options, stream) => {
+    if (!apiKey) {
+      throw new LLMError('Anthropic API key not configured', { provider: name });
+    }
+
+    const model = options.model || defaultModel;
+    const { system, messages: conversation } = toAnthropicMessages(messages);
+
+    const body = {
+      model,
+      system,
+      messages: conversation,
+      max_tokens: options.maxTokens ?? 1024,
+      temperature: options.temperature ?? 0.7
+    };
+    // Anthropic has no presence/frequency penalties, and no JSON mode:
+    // options.responseFormat relies on the system prompt instructions
+    if (options.topP != null) body.top_p = options.topP;
+    if (options.stop?.length) body.stop_sequences = options.stop;
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      body.tool_choice = { type: options.toolChoice || 'auto' };
+    }
+    if (stream) {
+      body.stream = true;
+    }
+
+    console.log(`Calling ${name} API with model: ${model}`);
+
+    return {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify(body),
+      // Aborting cancels the upstream request, including a running stream
+      signal: options.signal
+    };
+  };
+
+  /**
+   * Get a complete chat response
+   */
+  const chat = async (messages, options = {}) => {
+    const response = await fetch(endpoint, buildRequest(messages, options, false));
+    console.log(`${name} response status:`, response.status);
+
+    if (!response.ok) {
+      throw await errorFromResponse(name, response);
+    }
+
+    const data = await response.json();
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = (data.content || [])
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        name: block.name,
+        arguments: JSON.stringify(block.input || {})
+      }));
+
+    return {
+      content,
+      toolCalls,
+      model: data.model,
+      usage: data.usage
+        ? { promptTokens: data.usage.input_tokens ?? 0, completionTokens: data.usage.output_tokens ?? 0 }
+        : null
+    };
+  };
+
+  /**
+   * Stream a chat response as { type: 'delta', content } events,
+   * followed by one { type: 'tool_calls', toolCalls } event if the model
+   * called tools and a { type: 'usage', usage, model } event
+   */
+  async function* stream(messages, options = {}) {
+    const response = await fetch(endpoint, buildRequest(messages, options, true));
+
+    if (!response.ok) {
+      throw await errorFromResponse(name, response);
+    }
+
+    // tool_use blocks by content block index; input arrives as JSON fragments
+    const toolCalls = new Map();
+    const usage = { promptTokens: 0, completionTokens: 0 };
+    let model;
+
+    for await (const data of readSSEData(response.body)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        continue;
+      }
+
+      if (parsed.type === 'message_start') {
+        model = parsed.message?.model;
+        usage.promptTokens = parsed.message?.usage?.input_tokens ?? 0;
+        usage.completionTokens = parsed.message?.usage?.output_tokens ?? 0;
+      } else if (parsed.type === 'message_delta' && parsed.usage) {
+        usage.completionTokens = parsed.usage.output_tokens ?? usage.completionTokens;
+      } else if (parsed.type === 'content_block_start' && parsed.content_block?.type === 'tool_use') {
+        toolCalls.set(parsed.index, {
+          id: parsed.content_block.id,
+          name: parsed.content_block.name,
+          arguments: ''
+        });
+      } else if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'input_json_delta') {
+        const call = toolCalls.get(parsed.index);
+        if (call) call.arguments += parsed.delta.partial_json;
+      } else if (parsed.type === 'content_block_delta' && parsed.delta?.type === 'text_delta') {
+        yield { type: 'delta', content: parsed.delta.text };
+      } else if (parsed.type === 'error') {
+        // Overloaded errors can arrive mid-stream instead of as HTTP 529
+        throw new LLMError(parsed.error?.message || 'AI error', {
+          provider: name,
+          status: parsed.error?.type === 'overloaded_error' ? 529 : undefined
+        });
+      }
+    }
+
+    if (toolCalls.size) {
+      yield {
+        type: 'tool_calls',
+        toolCalls: [...toolCalls.values()].map(call => ({ ...call, arguments: call.arguments || '{}' }))
+      };
+    }
+    yield { type: 'usage', usage, model };
+  }
+
+  return { name, defaultModel, chat, stream };
+}
+
+module.exports = { createAnthropicProvider, toAnthropicMessages };
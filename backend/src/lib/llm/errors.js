@@ -0,0 +1,50 @@
+/**
+ * Error raised when an LLM provider request fails
+ * retryAfterMs is the wait the provider asked for (Retry-After), if any
+ */
+class LLMError extends Error {
+  constructor(message, { provider, status, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) to milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build an LLMError from a failed provider HTTP response
+ */
+async function errorFromResponse(provider, response) {
+  const responseText = await response.text();
+  console.error(`${provider} error:`, responseText);
+
+  let errorMessage = 'Failed to get response from AI';
+  try {
+    const errorData = JSON.parse(responseText);
+    errorMessage = errorData.error?.message || errorMessage;
+  } catch (e) {
+    errorMessage = responseText || errorMessage;
+  }
+
+  return new LLMError(errorMessage, {
+    provider,
+    status: response.status,
+    retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+  });
+}
+
+module.exports = { LLMError, errorFromResponse };
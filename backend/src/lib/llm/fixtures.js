@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { LLMError } = require('./errors');
+const { sleep } = require('./retry');
+const { toChunks, LATENCY_MS, CHUNK_DELAY_MS } = require('./mock');
+
+/**
+ * Record and replay fixtures (MOCK_LLM_MODE=record | replay)
+ *
+ * Recording sends requests to a real provider and saves every successful
+ * exchange as <key>.json in the fixtures directory; replaying serves the
+ * saved replies without a network. The key is a hash of the prompt
+ * messages, tools and generation options - not the model, so fixtures
+ * recorded with one model replay with any. Prompts that change on every
+ * request (e.g. {{time}} in the system prompt) need a fixed template
+ * to replay.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../../fixtures/llm');
+
+// Options that change the reply; model, signal and callbacks are left out
+const KEY_OPTIONS = [
+  'temperature',
+  'topP',
+  'maxTokens',
+  'stop',
+  'presencePenalty',
+  'frequencyPenalty',
+  'tools',
+  'toolChoice',
+  'responseFormat'
+];
+
+/**
+ * Fixture key of a request
+ */
+function fixtureKey(messages, options) {
+  const request = {
+    messages,
+    options: Object.fromEntries(KEY_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]]))
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Messages as saved in a fixture, with image data left out
+ */
+function describeMessages(messages) {
+  return messages.map(m => (m.images?.length
+    ? { ...m, images: m.images.map(image => ({ mimeType: image.mimeType, bytes: Math.floor(image.data.length * 3 / 4) })) }
+    : m));
+}
+
+/**
+ * Wrap a real provider to save its replies as fixtures
+ */
+function createRecordingProvider(llm, { dir = DEFAULT_FIXTURES_DIR } = {}) {
+  const save = (messages, options, response) => {
+    const key = fixtureKey(messages, options);
+    const fixture = {
+      key,
+      provider: llm.name,
+      recordedAt: new Date().toISOString(),
+      request: {
+        model: options.model || llm.defaultModel,
+        messages: describeMessages(messages),
+        options: Object.fromEntries(KEY_OPTIONS.filter(k => options[k] !== undefined).map(k => [k, options[k]]))
+      },
+      response
+    };
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${key}.json`), `${JSON.stringify(fixture, null, 2)}\n`);
+    console.log(`Recorded LLM fixture ${key}`);
+  };
+
+  const chat = async (messages, options = {}) => {
+    const result = await llm.chat(messages, options);
+    save(messages, options, {
+      content: result.content,
+      toolCalls: result.toolCalls || [],
+      model: result.model || options.model || llm.defaultModel,
+      usage: result.usage || null
+    });
+    return result;
+  };
+
+  async function* stream(messages, options = {}) {
+    const chunks = [];
+    let toolCalls = [];
+    let usage = null;
+    let model = options.model || llm.defaultModel;
+
+    for await (const event of llm.stream(messages, options)) {
+      if (event.type === 'delta') chunks.push(event.content);
+      if (event.type === 'tool_calls') toolCalls = event.toolCalls;
+      if (event.type === 'usage') {
+        usage = event.usage;
+        model = event.model || model;
+      }
+      yield event;
+    }
+
+    // Streams stopped by the client are not complete replies
+    if (options.signal?.aborted) return;
+    save(messages, options, { content: chunks.join(''), chunks, toolCalls, model, usage });
+  }
+
+  return { name: 'mock', defaultModel: llm.defaultModel, chat, stream };
+}
+
+/**
+ * Create a provider serving replies from fixtures
+ * Requests without a fixture fail with a 404 LLMError
+ */
+function createReplayProvider({ dir = DEFAULT_FIXTURES_DIR, defaultModel = 'mock' } = {}) {
+  const load = (messages, options) => {
+    const key = fixtureKey(messages, options);
+    const file = path.join(dir, `${key}.json`);
+    if (!fs.existsSync(file)) {
+      throw new LLMError(
+        `No LLM fixture for this request (${key}) in ${dir}; record it with MOCK_LLM_MODE=record`,
+        { provider: 'mock', status: 404 }
+      );
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+  };
+
+  const chat = async (messages, options = {}) => {
+    const response = load(messages, options);
+    if (LATENCY_MS) await sleep(LATENCY_MS, options.signal);
+
+    return {
+      content: response.content,
+      toolCalls: response.toolCalls || [],
+      model: response.model || options.model || defaultModel,
+      usage: response.usage
+    };
+  };
+
+  async function* stream(messages, options = {}) {
+    const response = load(messages, options);
+    if (LATENCY_MS) await sleep(LATENCY_MS, options.signal);
+
+    const chunks = response.chunks || toChunks(response.content);
+    for (let i = 0; i < chunks.length; i++) {
+      if (i > 0 && CHUNK_DELAY_MS) await sleep(CHUNK_DELAY_MS, options.signal);
+      if (options.signal?.aborted) throw options.signal.reason;
+      yield { type: 'delta', content: chunks[i] };
+    }
+    if (response.toolCalls?.length) {
+      yield { type: 'tool_calls', toolCalls: response.toolCalls };
+    }
+    yield { type: 'usage', usage: response.usage, model: response.model || options.model || defaultModel };
+  }
+
+  return { name: 'mock', defaultModel, chat, stream };
+}
+
+module.exports = { DEFAULT_FIXTURES_DIR, fixtureKey, createRecordingProvider, createReplayProvider };
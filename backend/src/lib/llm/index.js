@@ -0,0 +1,131 @@
+const { createOpenAIProvider } = require('./openai');
+const { createAnthropicProvider } = require('./anthropic');
+const { createMockProvider } = require('./mock');
+const { DEFAULT_FIXTURES_DIR, createRecordingProvider, createReplayProvider } = require('./fixtures');
+const { LLMError } = require('./errors');
+const { withRetries } = require('./retry');
+
+/**
+ * Provider factories, selected with the LLM_PROVIDER environment variable
+ */
+const providerFactories = {
+  openrouter: () => createOpenAIProvider({
+    name: 'openrouter',
+    baseUrl: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+    apiKey: process.env.OPENROUTER_API_KEY,
+    requireApiKey: true,
+    defaultModel: process.env.LLM_MODEL || 'nvidia/nemotron-nano-9b-v2:free',
+    headers: {
+      'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:5173',
+      'X-Title': 'shank.ai Chatbot'
+    }
+  }),
+
+  // Any OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1)
+  // or llama.cpp (http://localhost:8080/v1)
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY,
+    defaultModel: process.env.LLM_MODEL
+  }),
+
+  anthropic: () => createAnthropicProvider({
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    defaultModel: process.env.LLM_MODEL || 'claude-3-5-haiku-latest'
+  }),
+
+  // Deterministic offline replies, for development, CI and eval suites
+  // (modes in mock.js)
+  mock: () => {
+    const mode = process.env.MOCK_LLM_MODE || 'echo';
+    const dir = process.env.MOCK_LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+    if (mode === 'record') {
+      const recorded = process.env.MOCK_LLM_RECORD_PROVIDER || 'openrouter';
+      if (recorded === 'mock') {
+        throw new LLMError('MOCK_LLM_RECORD_PROVIDER must be a real provider', { provider: 'mock' });
+      }
+      return createRecordingProvider(getProvider(recorded), { dir });
+    }
+    if (mode === 'replay') {
+      return createReplayProvider({ dir, defaultModel: process.env.LLM_MODEL || undefined });
+    }
+    if (mode === 'echo' || mode === 'script') {
+      return createMockProvider({
+        defaultModel: process.env.LLM_MODEL || undefined,
+        mode,
+        scriptPath: process.env.MOCK_LLM_SCRIPT
+      });
+    }
+    throw new LLMError(`Unknown MOCK_LLM_MODE: ${mode}`, { provider: 'mock' });
+  }
+};
+
+const providers = new Map();
+
+/**
+ * Get the configured LLM provider
+ * Every provider exposes chat(messages, options) and stream(messages, options);
+ * passing options.tools enables tool calling (see lib/agent.js),
+ * options.responseFormat ({ schema }) asks for JSON output where the API
+ * supports it (see lib/output.js) and options.signal (an AbortSignal)
+ * cancels the request
+ */
+function getProvider(name = process.env.LLM_PROVIDER || 'openrouter') {
+  if (!providers.has(name)) {
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new LLMError(`Unknown LLM provider: ${name}`, { provider: name });
+    }
+    providers.set(name, factory());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Parse a JSON list column, returning undefined for empty or invalid values
+ */
+function parseList(value) {
+  if (!value) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Models to try for a project, in order: its model (undefined for the
+ * provider default), then its fallback models
+ */
+function getModelChain(project) {
+  return [...new Set([project.model || undefined, ...(parseList(project.fallbackModels) || [])])];
+}
+
+/**
+ * Get the configured provider for a project, retrying failed calls and
+ * falling back through the project's models (see retry.js)
+ */
+function getProjectProvider(project) {
+  return withRetries(getProvider(), { models: getModelChain(project) });
+}
+
+/**
+ * Map a project's model and generation settings to provider options
+ * Unset (null) settings fall back to the provider defaults
+ */
+function getGenerationOptions(project) {
+  return {
+    model: project.model || undefined,
+    temperature: project.temperature ?? undefined,
+    topP: project.topP ?? undefined,
+    maxTokens: project.maxTokens ?? undefined,
+    stop: parseList(project.stopSequences),
+    presencePenalty: project.presencePenalty ?? undefined,
+    frequencyPenalty: project.frequencyPenalty ?? undefined
+  };
+}
+
+module.exports = { getProvider, getProjectProvider, getModelChain, getGenerationOptions, LLMError };
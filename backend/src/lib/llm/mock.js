@@ -0,0 +1,251 @@
+const fs = require('fs');
+const { LLMError } = require('./errors');
+const { sleep } = require('./retry');
+
+/**
+ * Mock provider for offline development, CI and eval suites
+ * (LLM_PROVIDER=mock). Replies are deterministic.
+ *
+ * MOCK_LLM_MODE:
+ *   echo    the last user message is sent back (default)
+ *   script  replies come from the rules in MOCK_LLM_SCRIPT (see below)
+ *   record  requests go to MOCK_LLM_RECORD_PROVIDER and the exchanges are
+ *           saved as fixtures in MOCK_LLM_FIXTURES_DIR (see fixtures.js)
+ *   replay  replies are served from those fixtures
+ *
+ * When JSON output is requested (options.responseFormat) and no rule or
+ * fixture says otherwise, the reply is a sample value of the schema.
+ *
+ * A script is a JSON array of rules, read on every call so it can be
+ * edited while the server runs. The first rule whose `match` (substring,
+ * case-insensitive) or `pattern` (regex) fits the last user message is
+ * used; a rule with neither matches everything:
+ *
+ *   {
+ *     "match": "weather",
+ *     "reply": "It is sunny.",                  // text, streamed word by word
+ *     "toolCalls": [{ "name": "calculator", "arguments": { "expression": "2+2" } }],
+ *     "usage": { "promptTokens": 100, "completionTokens": 20 },
+ *     "latencyMs": 500,                         // before the first chunk
+ *     "chunkDelayMs": 50,                       // between chunks
+ *     "error": { "status": 429, "message": "Rate limited", "times": 2, "afterChunks": 3 }
+ *   }
+ *
+ * Tool calls are made once: when the prompt already has tool results after
+ * the user message, the rule's `reply` is sent instead. An error is thrown
+ * for the first `times` calls matching the rule (every call if unset),
+ * mid-stream after `afterChunks` chunks if given.
+ *
+ * MOCK_LLM_LATENCY_MS and MOCK_LLM_CHUNK_DELAY_MS set the default delays.
+ */
+
+const DEFAULT_MODEL = 'mock';
+const LATENCY_MS = parseInt(process.env.MOCK_LLM_LATENCY_MS, 10) || 0;
+const CHUNK_DELAY_MS = parseInt(process.env.MOCK_LLM_CHUNK_DELAY_MS, 10) || 0;
+
+// Rough token estimate, about four characters per token
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * A deterministic value matching a JSON Schema (see lib/jsonSchema.js for
+ * the supported keywords): the first of enums and alternatives, the
+ * smallest allowed numbers, strings and arrays, and every property
+ */
+function sampleValue(schema, root = schema) {
+  if (!schema || typeof schema !== 'object') return null;
+
+  if (schema.$ref?.startsWith('#/')) {
+    const target = schema.$ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+    return sampleValue(target, root);
+  }
+  if ('const' in schema) return schema.const;
+  if (schema.enum?.length) return schema.enum[0];
+  if (schema.anyOf?.length) return sampleValue(schema.anyOf[0], root);
+  if (schema.oneOf?.length) return sampleValue(schema.oneOf[0], root);
+  if (schema.allOf?.length) {
+    return schema.allOf.reduce((value, part) => {
+      const sample = sampleValue(part, root);
+      return value && typeof value === 'object' && sample && typeof sample === 'object'
+        ? { ...value, ...sample }
+        : sample;
+    }, null);
+  }
+
+  const type = Array.isArray(schema.type)
+    ? schema.type.find(t => t !== 'null') || 'null'
+    : schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string');
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, sampleValue(value, root)])
+      );
+    case 'array':
+      return Array.from({ length: schema.minItems || 0 }, () => sampleValue(schema.items, root));
+    case 'number':
+    case 'integer': {
+      const min = schema.minimum ?? (schema.exclusiveMinimum != null ? schema.exclusiveMinimum + 1 : 0);
+      return Math.min(min, schema.maximum ?? Infinity);
+    }
+    case 'boolean':
+      return true;
+    case 'null':
+      return null;
+    default:
+      return 'x'.repeat(Math.max(schema.minLength || 0, 1));
+  }
+}
+
+/**
+ * Index of the last user message
+ */
+function lastUserIndex(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') return i;
+  }
+  return -1;
+}
+
+/**
+ * Split a reply into stream chunks, one word at a time
+ */
+function toChunks(content) {
+  return content.match(/\S+\s*|\s+/g) || [];
+}
+
+/**
+ * Read the script's rules
+ */
+function loadScript(scriptPath) {
+  if (!scriptPath) {
+    throw new LLMError('MOCK_LLM_SCRIPT is not set', { provider: 'mock' });
+  }
+  try {
+    const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    if (!Array.isArray(rules)) throw new Error('the script must be a JSON array of rules');
+    return rules;
+  } catch (error) {
+    throw new LLMError(`Failed to read mock script ${scriptPath}: ${error.message}`, { provider: 'mock' });
+  }
+}
+
+/**
+ * First rule matching a user message, with its index
+ */
+function findRule(rules, text) {
+  const index = rules.findIndex(rule => {
+    if (rule.match != null) return text.toLowerCase().includes(String(rule.match).toLowerCase());
+    if (rule.pattern != null) return new RegExp(rule.pattern, 'i').test(text);
+    return true;
+  });
+  return index === -1 ? { rule: null, index } : { rule: rules[index], index };
+}
+
+/**
+ * Create the mock provider
+ *
+ * @param {Object} [config]
+ * @param {string} [config.defaultModel]
+ * @param {string} [config.mode]        - echo | script
+ * @param {string} [config.scriptPath]  - Rules for script mode
+ */
+function createMockProvider({ defaultModel = DEFAULT_MODEL, mode = 'echo', scriptPath } = {}) {
+  // Calls that hit each rule's error so far, for error.times
+  const errorCounts = new Map();
+
+  /**
+   * Plan the reply to a request: { content, toolCalls, usage, latencyMs,
+   * chunkDelayMs, error, errorAfterChunks }
+   */
+  const plan = (messages, options) => {
+    const userIndex = lastUserIndex(messages);
+    const text = messages[userIndex]?.content || '';
+    const { rule, index } = mode === 'script' ? findRule(loadScript(scriptPath), text) : { rule: null };
+    const toolsDone = messages.slice(userIndex + 1).some(m => m.role === 'tool');
+
+    let content;
+    let toolCalls = [];
+    if (rule?.toolCalls?.length && !toolsDone && options.toolChoice !== 'none') {
+      content = '';
+      toolCalls = rule.toolCalls.map((call, i) => ({
+        id: `call_mock_${i}`,
+        name: call.name,
+        arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+      }));
+    } else if (rule?.reply != null) {
+      content = String(rule.reply);
+    } else if (options.responseFormat) {
+      content = JSON.stringify(sampleValue(options.responseFormat.schema));
+    } else {
+      content = text;
+    }
+
+    let error = null;
+    if (rule?.error) {
+      const count = errorCounts.get(index) || 0;
+      if (rule.error.times == null || count < rule.error.times) {
+        errorCounts.set(index, count + 1);
+        error = new LLMError(rule.error.message || 'Mock provider error', {
+          provider: 'mock',
+          status: rule.error.status ?? 500,
+          retryAfterMs: rule.error.retryAfterMs ?? null
+        });
+      }
+    }
+
+    return {
+      content,
+      toolCalls,
+      usage: rule?.usage
+        ? { promptTokens: rule.usage.promptTokens ?? 0, completionTokens: rule.usage.completionTokens ?? 0 }
+        : {
+            promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+            completionTokens: estimateTokens(content) + estimateTokens(toolCalls.length ? JSON.stringify(toolCalls) : '')
+          },
+      latencyMs: rule?.latencyMs ?? LATENCY_MS,
+      chunkDelayMs: rule?.chunkDelayMs ?? CHUNK_DELAY_MS,
+      error,
+      errorAfterChunks: rule?.error?.afterChunks ?? null
+    };
+  };
+
+  const chat = async (messages, options = {}) => {
+    const reply = plan(messages, options);
+    const model = options.model || defaultModel;
+
+    if (reply.latencyMs) await sleep(reply.latencyMs, options.signal);
+    if (reply.error) throw reply.error;
+
+    return { content: reply.content, toolCalls: reply.toolCalls, model, usage: reply.usage };
+  };
+
+  /**
+   * Stream the reply as delta events, then tool_calls (if any) and usage,
+   * like the real providers
+   */
+  async function* stream(messages, options = {}) {
+    const reply = plan(messages, options);
+    const model = options.model || defaultModel;
+
+    if (reply.latencyMs) await sleep(reply.latencyMs, options.signal);
+    if (reply.error && reply.errorAfterChunks == null) throw reply.error;
+
+    const chunks = toChunks(reply.content);
+    for (let i = 0; i < chunks.length; i++) {
+      if (reply.error && i === reply.errorAfterChunks) throw reply.error;
+      if (i > 0 && reply.chunkDelayMs) await sleep(reply.chunkDelayMs, options.signal);
+      if (options.signal?.aborted) throw options.signal.reason;
+      yield { type: 'delta', content: chunks[i] };
+    }
+    if (reply.error) throw reply.error;
+
+    if (reply.toolCalls.length) {
+      yield { type: 'tool_calls', toolCalls: reply.toolCalls };
+    }
+    yield { type: 'usage', usage: reply.usage, model };
+  }
+
+  return { name: 'mock', defaultModel, chat, stream };
+}
+
+module.exports = { LATENCY_MS, CHUNK_DELAY_MS, createMockProvider, sampleValue, toChunks };
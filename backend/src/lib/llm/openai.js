@@ -0,0 +1,204 @@
+const { LLMError, errorFromResponse } = require('./errors');
+const { readSSEData } = require('./sse');
+
+/**
+ * Convert messages to the chat completions format
+ * Tool calls are { id, name, arguments } with arguments as a JSON string;
+ * images ({ mimeType, data } in base64) become image_url data URL parts
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(m => {
+    if (m.role === 'assistant' && m.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: m.content || null,
+        tool_calls: m.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: call.arguments }
+        }))
+      };
+    }
+    if (m.role === 'tool') {
+      return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+    }
+    if (m.images?.length) {
+      return {
+        role: m.role,
+        content: [
+          ...(m.content ? [{ type: 'text', text: m.content }] : []),
+          ...m.images.map(image => ({
+            type: 'image_url',
+            image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+          }))
+        ]
+      };
+    }
+    return { role: m.role, content: m.content };
+  });
+}
+
+/**
+ * Convert a usage block to { promptTokens, completionTokens }
+ */
+function toUsage(usage) {
+  if (!usage) return null;
+  return {
+    promptTokens: usage.prompt_tokens ?? 0,
+    completionTokens: usage.completion_tokens ?? 0
+  };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * (OpenRouter, OpenAI, Ollama, llama.cpp server, vLLM, ...)
+ */
+function createOpenAIProvider({ name, baseUrl, apiKey, headers = {}, defaultModel, requireApiKey = false }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const buildRequest = (messages, options, stream) => {
+    if (requireApiKey && !apiKey) {
+      throw new LLMError(`${name} API key not configured`, { provider: name });
+    }
+
+    const model = options.model || defaultModel;
+    if (!model) {
+      throw new LLMError(`No model configured for ${name}`, { provider: name });
+    }
+
+    const requestHeaders = {
+      'Content-Type': 'application/json',
+      ...headers
+    };
+    if (apiKey) {
+      requestHeaders['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+      model,
+      messages: toOpenAIMessages(messages),
+      max_tokens: options.maxTokens ?? 1024,
+      temperature: options.temperature ?? 0.7
+    };
+    if (options.topP != null) body.top_p = options.topP;
+    if (options.stop?.length) body.stop = options.stop;
+    if (options.presencePenalty != null) body.presence_penalty = options.presencePenalty;
+    if (options.frequencyPenalty != null) body.frequency_penalty = options.frequencyPenalty;
+    if (options.tools?.length) {
+      body.tools = options.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+      body.tool_choice = options.toolChoice || 'auto';
+    }
+    // Structured output; JSON schema mode only accepts object schemas
+    if (options.responseFormat?.schema?.type === 'object') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'output', schema: options.responseFormat.schema }
+      };
+    }
+    if (stream) {
+      body.stream = true;
+      // Ask for token usage in the final chunk
+      body.stream_options = { include_usage: true };
+    }
+
+    console.log(`Calling ${name} API with model: ${model}`);
+
+    return {
+      method: 'POST',
+      headers: requestHeaders,
+      body: JSON.stringify(body),
+      // Aborting cancels the upstream request, including a running stream
+      signal: options.signal
+    };
+  };
+
+  /**
+   * Get a complete chat response
+   */
+  const chat = async (messages, options = {}) => {
+    const response = await fetch(endpoint, buildRequest(messages, options, false));
+    console.log(`${name} response status:`, response.status);
+
+    if (!response.ok) {
+      throw await errorFromResponse(name, response);
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message;
+    return {
+      content: message?.content ?? '',
+      toolCalls: (message?.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: call.function.arguments || '{}'
+      })),
+      model: data.model,
+      usage: toUsage(data.usage)
+    };
+  };
+
+  /**
+   * Stream a chat response as { type: 'delta', content } events,
+   * followed by one { type: 'tool_calls', toolCalls } event if the model
+   * called tools and a { type: 'usage', usage, model } event
+   */
+  async function* stream(messages, options = {}) {
+    const response = await fetch(endpoint, buildRequest(messages, options, true));
+
+    if (!response.ok) {
+      throw await errorFromResponse(name, response);
+    }
+
+    // Tool call fragments arrive spread over many chunks, keyed by index
+    const toolCalls = [];
+    let usage = null;
+    let model;
+
+    for await (const data of readSSEData(response.body)) {
+      if (data === '[DONE]') continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        // Skip invalid JSON
+        continue;
+      }
+
+      if (parsed.model) model = parsed.model;
+      if (parsed.usage) usage = toUsage(parsed.usage);
+
+      const delta = parsed.choices?.[0]?.delta;
+      if (delta?.content) {
+        yield { type: 'delta', content: delta.content };
+      }
+      for (const fragment of delta?.tool_calls || []) {
+        const index = fragment.index ?? toolCalls.length;
+        const call = toolCalls[index] || (toolCalls[index] = { id: '', name: '', arguments: '' });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+      }
+    }
+
+    const calls = toolCalls.filter(Boolean);
+    if (calls.length) {
+      yield {
+        type: 'tool_calls',
+        toolCalls: calls.map(call => ({ ...call, arguments: call.arguments || '{}' }))
+      };
+    }
+    yield { type: 'usage', usage, model };
+  }
+
+  return { name, defaultModel, chat, stream };
+}
+
+module.exports = { createOpenAIProvider, toOpenAIMessages };
@@ -0,0 +1,170 @@
+const { LLMError } = require('./errors');
+
+/**
+ * Retries and fallback models
+ *
+ * withRetries wraps a provider so that every call goes through a chain of
+ * models. Each model is retried on rate limits (429), timeouts (408),
+ * server errors (5xx) and network errors, with exponential backoff and
+ * jitter, or after the provider's Retry-After when it sends one. When a
+ * model keeps failing, the next model in the chain is tried.
+ *
+ * Streams are only retried until the first event arrives; text already
+ * sent to the client cannot be taken back.
+ */
+
+const MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES, 10) || 2;
+const BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS, 10) || 500;
+// Also the longest Retry-After we wait for; longer waits move on to the
+// next model instead
+const MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS, 10) || 10000;
+
+/**
+ * Whether the same request may succeed if sent again
+ */
+function isRetryable(error) {
+  if (error.name === 'AbortError') return false;
+  if (error instanceof LLMError) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  // fetch reports network failures as TypeErrors
+  return error instanceof TypeError;
+}
+
+/**
+ * Whether another model may succeed where this one failed
+ * Configuration and authentication errors affect every model
+ */
+function canFallback(error) {
+  if (error.name === 'AbortError') return false;
+  if (error instanceof LLMError) {
+    return Boolean(error.status) && error.status !== 401 && error.status !== 403;
+  }
+  return error instanceof TypeError;
+}
+
+/**
+ * Delay before retrying after a failed attempt (0-based), or null to
+ * stop retrying this model
+ */
+function retryDelay(error, attempt) {
+  if (attempt >= MAX_RETRIES || !isRetryable(error)) return null;
+
+  if (error.retryAfterMs != null) {
+    return error.retryAfterMs <= MAX_DELAY_MS ? error.retryAfterMs : null;
+  }
+
+  // Exponential backoff with jitter over the upper half of the window
+  const window = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(window / 2 + Math.random() * window / 2);
+}
+
+/**
+ * Wait, stopping early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wrap a provider with retries and a model chain
+ *
+ * @param {Object} llm              - Provider from getProvider()
+ * @param {Object} [config]
+ * @param {Array}  [config.models]  - Models to try in order; undefined
+ *                                    entries use options.model or the
+ *                                    provider default
+ * @returns {Object} A provider with the same interface. options.onRetry,
+ *          if given, is called with { type: 'retry' | 'fallback', model,
+ *          delayMs, error } before each new attempt.
+ */
+function withRetries(llm, { models = [] } = {}) {
+  const chain = models.length ? models : [undefined];
+
+  /**
+   * Run attempts through the chain until one succeeds
+   * `run(model)` makes one attempt; errors flagged `final` are rethrown
+   */
+  const attempt = async function* (options, run) {
+    let lastError;
+
+    for (let i = 0; i < chain.length; i++) {
+      const model = chain[i] || options.model || llm.defaultModel;
+
+      for (let attemptIndex = 0; ; attemptIndex++) {
+        try {
+          return yield* run(model);
+        } catch (error) {
+          if (error.final || options.signal?.aborted) throw error;
+          lastError = error;
+
+          const delayMs = retryDelay(error, attemptIndex);
+          if (delayMs === null) break;
+
+          console.warn(`${llm.name} ${model} failed (${error.message}), retrying in ${delayMs}ms`);
+          options.onRetry?.({ type: 'retry', model, delayMs, error: error.message });
+          await sleep(delayMs, options.signal);
+        }
+      }
+
+      const next = chain[i + 1] || options.model || llm.defaultModel;
+      if (i + 1 >= chain.length || !canFallback(lastError)) break;
+
+      console.warn(`${llm.name} ${model} failed (${lastError.message}), falling back to ${next}`);
+      options.onRetry?.({ type: 'fallback', model: next, delayMs: 0, error: lastError.message });
+    }
+
+    throw lastError;
+  };
+
+  /**
+   * Get a complete chat response; result.model is the model that answered
+   */
+  const chat = async (messages, options = {}) => {
+    const runs = attempt(options, async function* (model) {
+      const result = await llm.chat(messages, { ...options, model });
+      return { ...result, model: result.model || model };
+    });
+    // No events are yielded for chat, so the first step is the result
+    return (await runs.next()).value;
+  };
+
+  /**
+   * Stream a chat response, starting with a { type: 'model', model } event
+   * for the model that answers
+   */
+  async function* stream(messages, options = {}) {
+    yield* attempt(options, async function* (model) {
+      let started = false;
+      try {
+        for await (const event of llm.stream(messages, { ...options, model })) {
+          if (!started) {
+            started = true;
+            yield { type: 'model', model };
+          }
+          yield event.type === 'usage' ? { ...event, model: event.model || model } : event;
+        }
+      } catch (error) {
+        // Output already went out: the error is final
+        if (started) error.final = true;
+        throw error;
+      }
+    });
+  }
+
+  return { name: llm.name, defaultModel: llm.defaultModel, chat, stream };
+}
+
+module.exports = { withRetries, sleep };
@@ -0,0 +1,80 @@
+/**
+ * Server-Sent Events parser for upstream responses
+ *
+ * Network chunks can end anywhere: in the middle of a line, between the
+ * \r and \n of a line break or inside a multi-byte UTF-8 character. The
+ * parser keeps the unfinished line and undecoded bytes until the next
+ * chunk arrives.
+ */
+
+// Line breaks, leaving a trailing \r alone in case its \n is in the next chunk
+const LINE_BREAK = /\r\n|\r(?!$)|\n/;
+
+/**
+ * Parse an SSE response body into { id, event, data } events
+ * Multi-line data fields are joined with \n; comments are skipped
+ */
+async function* parseSSE(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = { id: undefined, event: undefined, data: [] };
+
+  const processLine = (line) => {
+    if (line === '') {
+      // Blank line dispatches the event
+      const complete = event.data.length
+        ? { id: event.id, event: event.event, data: event.data.join('\n') }
+        : null;
+      event = { id: undefined, event: undefined, data: [] };
+      return complete;
+    }
+    if (line.startsWith(':')) return null;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') event.data.push(value);
+    else if (field === 'id') event.id = value;
+    else if (field === 'event') event.event = value;
+    return null;
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(LINE_BREAK);
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const complete = processLine(line);
+        if (complete) yield complete;
+      }
+    }
+
+    // Flush the last line and an event not followed by a blank line
+    buffer += decoder.decode();
+    for (const line of [...buffer.split(/\r\n|\r|\n/), '']) {
+      const complete = processLine(line);
+      if (complete) yield complete;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Read `data:` payloads from an upstream Server-Sent Events response body
+ */
+async function* readSSEData(body) {
+  for await (const event of parseSSE(body)) {
+    yield event.data;
+  }
+}
+
+module.exports = { parseSSE, readSSEData };
@@ -0,0 +1,50 @@
+const { matchesKey } = require('../pricing');
+
+/**
+ * Vision support
+ *
+ * Models that accept images, as model id patterns with `*` wildcards
+ * (matched like price keys, with or without a provider prefix).
+ * LLM_VISION_MODELS adds comma-separated patterns, e.g. for local models:
+ *
+ *   LLM_VISION_MODELS="llama3.2-vision*,my-finetune"
+ */
+
+const DEFAULT_VISION_MODELS = [
+  'gpt-4o*',
+  'gpt-4.1*',
+  'gpt-4-turbo*',
+  'gpt-5*',
+  'o1*',
+  'o3*',
+  'o4*',
+  'claude-3*',
+  'claude-sonnet-4*',
+  'claude-opus-4*',
+  'claude-haiku-4*',
+  'gemini*',
+  'pixtral*',
+  'llama-4*',
+  '*vision*',
+  '*llava*',
+  '*-vl*',
+  // The mock provider takes images so attachments work offline
+  'mock'
+];
+
+const visionModels = [
+  ...DEFAULT_VISION_MODELS,
+  ...(process.env.LLM_VISION_MODELS || '').split(',').map(s => s.trim()).filter(Boolean)
+];
+
+/**
+ * Whether a model accepts image input
+ */
+function supportsVision(model) {
+  if (!model) return false;
+
+  const candidates = [model, model.split('/').pop()];
+  return candidates.some(candidate => visionModels.some(pattern => matchesKey(candidate, pattern)));
+}
+
+module.exports = { supportsVision };
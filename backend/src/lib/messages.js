@@ -0,0 +1,87 @@
+/**
+ * Message helpers shared by the chat and conversation routes
+ */
+
+// Message columns stored as JSON text (SQLite has no JSON type)
+const JSON_FIELDS = ['sources', 'toolCalls', 'data', 'guardrails', 'delegation'];
+
+// Feedback fields loaded with messages (see lib/feedback.js)
+const FEEDBACK_SELECT = { rating: true, comment: true, correction: true, updatedAt: true };
+
+/**
+ * Parse a JSON column, returning null for empty or invalid values
+ */
+function parseJsonField(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Format an image attachment for API responses (without its storage path)
+ */
+function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    name: attachment.originalName,
+    mimeType: attachment.mimeType,
+    size: attachment.size,
+    thumbnail: attachment.thumbnail
+  };
+}
+
+/**
+ * Format a message for API responses
+ */
+function formatMessage(message) {
+  const formatted = { ...message };
+  for (const field of JSON_FIELDS) {
+    if (field in formatted) {
+      formatted[field] = parseJsonField(formatted[field]);
+    }
+  }
+  if (formatted.attachments) {
+    formatted.attachments = formatted.attachments.map(formatAttachment);
+  }
+  return formatted;
+}
+
+/**
+ * Whether a message belongs in the model's context
+ * Failed replies and replies still being generated are left out
+ */
+function isPromptMessage(message) {
+  return !message.status || message.status === 'complete' || message.status === 'stopped';
+}
+
+/**
+ * Convert a stored message to the provider message format
+ * tool_call and tool_result rows become assistant tool calls and tool
+ * results. Attached images are listed as `images` ({ name, mimeType, path });
+ * lib/attachments.js loads them before the prompt is sent.
+ */
+function toPromptMessage(message) {
+  if (message.role === 'tool_call') {
+    return {
+      role: 'assistant',
+      content: message.content,
+      toolCalls: parseJsonField(message.toolCalls) || []
+    };
+  }
+  if (message.role === 'tool_result') {
+    return { role: 'tool', toolCallId: message.toolCallId, content: message.content };
+  }
+  if (message.attachments?.length) {
+    return {
+      role: message.role,
+      content: message.content,
+      images: message.attachments.map(a => ({ name: a.originalName, mimeType: a.mimeType, path: a.path }))
+    };
+  }
+  return { role: message.role, content: message.content };
+}
+
+module.exports = { FEEDBACK_SELECT, parseJsonField, formatAttachment, formatMessage, isPromptMessage, toPromptMessage };
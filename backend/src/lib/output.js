@@ -0,0 +1,95 @@
+const { validate } = require('./jsonSchema');
+
+/**
+ * Structured output
+ *
+ * A project with an output schema gets JSON replies: the schema is added
+ * to the system prompt and sent to the provider as a response format
+ * (where supported), and every final reply is parsed and validated
+ * against it. Invalid replies are sent back to the model with the
+ * validation errors, up to the project's retry limit.
+ */
+
+const JSON_OUTPUT_RETRIES = parseInt(process.env.JSON_OUTPUT_RETRIES, 10);
+const DEFAULT_OUTPUT_RETRIES = Number.isNaN(JSON_OUTPUT_RETRIES) ? 2 : JSON_OUTPUT_RETRIES;
+
+/**
+ * A reply that still did not match the output schema after all retries
+ */
+class OutputValidationError extends Error {
+  constructor(errors, content) {
+    super(`Reply did not match the output schema: ${errors.join('; ')}`);
+    this.name = 'OutputValidationError';
+    this.errors = errors;
+    this.content = content;
+  }
+}
+
+/**
+ * The project's output contract: { schema, retries }, or null when
+ * replies are free text
+ */
+function getOutputContract(project) {
+  if (!project.outputSchema) return null;
+
+  try {
+    return {
+      schema: JSON.parse(project.outputSchema),
+      retries: project.outputRetries ?? DEFAULT_OUTPUT_RETRIES
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * System prompt instructions describing the expected reply
+ */
+function outputInstructions(schema) {
+  return [
+    'Respond only with a JSON value matching this JSON Schema.',
+    'Do not add explanations or wrap the JSON in a code block.',
+    '',
+    JSON.stringify(schema, null, 2)
+  ].join('\n');
+}
+
+/**
+ * Parse a reply as JSON and validate it
+ * Code fences around the JSON are tolerated. Returns { data, errors };
+ * data is only set when errors is empty.
+ */
+function checkOutput(schema, content) {
+  const text = content.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/i, '$1');
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { data: null, errors: [`Reply is not valid JSON (${e.message})`] };
+  }
+
+  const errors = validate(schema, data);
+  return { data: errors.length ? null : data, errors };
+}
+
+/**
+ * Message asking the model to fix an invalid reply
+ */
+function repairPrompt(errors) {
+  return [
+    'Your reply did not match the required JSON Schema:',
+    ...errors.map(error => `- ${error}`),
+    '',
+    'Reply again with only the corrected JSON.'
+  ].join('\n');
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_RETRIES,
+  OutputValidationError,
+  getOutputContract,
+  outputInstructions,
+  checkOutput,
+  repairPrompt
+};
@@ -0,0 +1,82 @@
+/**
+ * Model prices for cost accounting
+ *
+ * Prices are USD per million tokens, keyed by model id. Keys may use `*`
+ * as a wildcard; the most specific (longest) matching key wins. The
+ * defaults can be extended or overridden with LLM_PRICES, a JSON object
+ * of the same shape:
+ *
+ *   LLM_PRICES='{"my-model": {"prompt": 0.5, "completion": 1.5}}'
+ *
+ * Models without a price (e.g. local models) get a null cost.
+ */
+
+const DEFAULT_PRICES = {
+  '*:free': { prompt: 0, completion: 0 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'claude-3-5-haiku*': { prompt: 0.8, completion: 4 },
+  'claude-3-5-sonnet*': { prompt: 3, completion: 15 },
+  'claude-3-7-sonnet*': { prompt: 3, completion: 15 },
+  'claude-sonnet-4*': { prompt: 3, completion: 15 },
+  'claude-opus-4*': { prompt: 15, completion: 75 }
+};
+
+/**
+ * Read LLM_PRICES, ignoring it if it is not valid JSON
+ */
+function loadPriceOverrides() {
+  if (!process.env.LLM_PRICES) return {};
+
+  try {
+    return JSON.parse(process.env.LLM_PRICES);
+  } catch (e) {
+    console.error('Ignoring invalid LLM_PRICES:', e.message);
+    return {};
+  }
+}
+
+const prices = { ...DEFAULT_PRICES, ...loadPriceOverrides() };
+
+/**
+ * Check a model id against a price key with `*` wildcards
+ */
+function matchesKey(model, key) {
+  const pattern = key
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`, 'i').test(model);
+}
+
+/**
+ * Find the price for a model, also trying the id without its provider
+ * prefix (OpenRouter ids look like `openai/gpt-4o`)
+ */
+function getModelPrice(model) {
+  if (!model) return null;
+
+  const candidates = [model, model.split('/').pop()];
+  const keys = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+  for (const candidate of candidates) {
+    const key = keys.find(k => matchesKey(candidate, k));
+    if (key) return prices[key];
+  }
+  return null;
+}
+
+/**
+ * Cost in USD of a model call, or null if the model has no price
+ */
+function computeCost(model, { promptTokens = 0, completionTokens = 0 } = {}) {
+  const price = getModelPrice(model);
+  if (!price) return null;
+
+  return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6;
+}
+
+module.exports = { matchesKey, getModelPrice, computeCost };
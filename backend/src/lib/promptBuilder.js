@@ -0,0 +1,89 @@
+const { getProjectProvider, getGenerationOptions } = require('./llm');
+const { buildContext } = require('./context');
+const { withSummary } = require('./summary');
+const { retrieve, formatSources } = require('./rag');
+const { renderSystemPrompt } = require('./prompts');
+const { getOutputContract, outputInstructions } = require('./output');
+const { GuardrailError, parseGuardrails, applyGuardrails, screenExcerpts } = require('./guardrails');
+const { loadImages } = require('./attachments');
+
+/**
+ * Build the prompt for a project's reply to a history of messages
+ *
+ * The system prompt is the project's rendered system prompt (see
+ * lib/prompts.js), the running summary, the project file excerpts
+ * relevant to the last user message and the output instructions; the
+ * history is fitted to the project's context window settings. Chat
+ * requests pass a conversation's active branch, eval cases their input
+ * and delegations the task as the only message.
+ *
+ * Excerpts and the files the system prompt inlines are screened by the
+ * project's guardrails. With `screenInput`, the user messages of the
+ * history are checked by the input rules first (chat routes check a
+ * message before saving it). violations lists what the guardrails found;
+ * a blocking rule throws a GuardrailError.
+ *
+ * @param {Object}  project
+ * @param {Object}  options
+ * @param {Array}   options.history       - Stored messages or { role, content } objects, oldest first
+ * @param {Object}  [options.user]        - Renders {{user.*}}
+ * @param {string}  [options.summary]     - Summary of the messages before the history
+ * @param {boolean} [options.screenInput] - Check user messages with the input guardrails
+ * @returns {Promise<{ llm, options, messages, window, output, violations }>}
+ *          output is the project's output contract, if it has one (see
+ *          lib/output.js); window.sources lists the excerpts used
+ */
+async function buildPrompt(project, { history, user, summary = null, screenInput = false }) {
+  const llm = getProjectProvider(project);
+  const options = getGenerationOptions(project);
+  const model = options.model || llm.defaultModel;
+  const output = getOutputContract(project);
+  if (output) options.responseFormat = { schema: output.schema };
+
+  const guardrails = parseGuardrails(project.guardrails);
+  const violations = [];
+  if (screenInput) {
+    history = history.map(message => {
+      if (message.role !== 'user') return message;
+      const input = applyGuardrails(guardrails, message.content, 'input');
+      violations.push(...input.violations);
+      return { ...message, content: input.text };
+    });
+    if (violations.some(v => v.action === 'block')) throw new GuardrailError(violations);
+  }
+
+  const query = history.findLast(message => message.role === 'user')?.content || '';
+  const excerpts = screenExcerpts(guardrails, await retrieve(project.id, query, { model }));
+  const systemPrompt = await renderSystemPrompt(project, user);
+  violations.push(...excerpts.violations, ...systemPrompt.violations);
+  if (violations.some(v => v.action === 'block')) throw new GuardrailError(violations);
+
+  const { prompt: filesPrompt, sources } = formatSources(excerpts.chunks);
+
+  const { messages, window } = buildContext({
+    systemPrompt: [
+      withSummary(systemPrompt.prompt, summary),
+      filesPrompt,
+      output && outputInstructions(output.schema)
+    ]
+      .filter(Boolean)
+      .join('\n\n'),
+    history,
+    model,
+    tokenBudget: project.contextTokenBudget ?? undefined,
+    strategy: project.contextStrategy,
+    keepFirst: project.contextKeepFirst ?? undefined
+  });
+  window.sources = sources;
+
+  return {
+    llm,
+    options,
+    messages: await loadImages(messages, model),
+    window,
+    output,
+    violations
+  };
+}
+
+module.exports = { buildPrompt };
@@ -0,0 +1,211 @@
+const prisma = require('./prisma');
+const { extractText } = require('./rag/extract');
+const { parseGuardrails, screenText } = require('./guardrails');
+
+/**
+ * System prompt templates
+ *
+ * A project's system prompt may contain {{variables}}, rendered on every
+ * chat request:
+ *
+ *   {{user.name}}, {{user.email}}                the user chatting
+ *   {{project.name}}, {{project.description}}
+ *   {{date}}, {{time}}, {{datetime}}, {{weekday}}  now, in PROMPT_TIMEZONE
+ *   {{file:handbook.md}}                         text of a project file
+ *   {{anything_else}}                            project variables
+ *
+ * Project variables (Project.promptVariables) are a JSON object of names
+ * and default values. Unknown variables are left in the text as written.
+ * File texts are screened by the project's injection guardrail like file
+ * excerpts (see lib/guardrails.js).
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const VARIABLE_NAME = /^[A-Za-z_][\w.-]*$/;
+
+const BUILT_IN_VARIABLES = [
+  'user.name',
+  'user.email',
+  'project.name',
+  'project.description',
+  'date',
+  'time',
+  'datetime',
+  'weekday'
+];
+
+// Longer file texts are cut off to keep the prompt within reason
+const FILE_MAX_CHARS = parseInt(process.env.PROMPT_FILE_MAX_CHARS, 10) || 20000;
+const TIMEZONE = process.env.PROMPT_TIMEZONE || undefined;
+
+// `<fileId>:<indexedAt>` -> text of files used in prompts, least recently used first
+const FILE_CACHE_SIZE = 50;
+const fileTextCache = new Map();
+
+/**
+ * Names of the variables used in a template, in order of first use
+ */
+function getTemplateVariables(template) {
+  if (!template) return [];
+  return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Parse Project.promptVariables into a { name: default } object
+ */
+function parsePromptVariables(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Values of the built-in variables
+ */
+function builtInValues({ user, project, now }) {
+  const part = (options) => new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE, ...options }).format(now);
+  const date = part({ year: 'numeric', month: '2-digit', day: '2-digit' });
+  const time = part({ hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  return {
+    'user.name': user?.name ?? '',
+    'user.email': user?.email ?? '',
+    'project.name': project.name,
+    'project.description': project.description || '',
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, weekday: 'long' }).format(now)
+  };
+}
+
+/**
+ * Variables in a template that would not be rendered
+ *
+ * @param {string} template
+ * @param {Object} options
+ * @param {Object} options.variables  - Project variables ({ name: default })
+ * @param {?Array} options.fileNames  - Names of the project's files; null
+ *                                      leaves file variables unchecked
+ * @returns {string[]} Unknown variable names (file:... for missing files)
+ */
+function findUnknownVariables(template, { variables = {}, fileNames = [] }) {
+  return getTemplateVariables(template).filter(name => {
+    if (name.startsWith('file:')) return fileNames !== null && !fileNames.includes(name.slice(5).trim());
+    return !BUILT_IN_VARIABLES.includes(name) && !(name in variables);
+  });
+}
+
+/**
+ * Read a project file's text for {{file:...}}
+ * Uploaded files don't change, so texts are cached by file (and index
+ * time, in case the file is indexed again) instead of being extracted
+ * on every request
+ */
+async function readFileVariable(file) {
+  const key = `${file.id}:${file.indexedAt ? new Date(file.indexedAt).getTime() : ''}`;
+  if (fileTextCache.has(key)) {
+    // Most recently used last
+    const text = fileTextCache.get(key);
+    fileTextCache.delete(key);
+    fileTextCache.set(key, text);
+    return text;
+  }
+
+  try {
+    const extracted = await extractText(file.path, file.mimeType);
+    const text = extracted.length > FILE_MAX_CHARS
+      ? `${extracted.slice(0, FILE_MAX_CHARS)}\n[... ${file.originalName} truncated]`
+      : extracted;
+
+    fileTextCache.set(key, text);
+    if (fileTextCache.size > FILE_CACHE_SIZE) {
+      fileTextCache.delete(fileTextCache.keys().next().value);
+    }
+    return text;
+  } catch (e) {
+    console.error(`Failed to read ${file.originalName} for the system prompt:`, e.message);
+    return `[${file.originalName} could not be read]`;
+  }
+}
+
+/**
+ * Render a system prompt template
+ *
+ * @param {string} template
+ * @param {Object} options
+ * @param {Object} options.project    - Project (name, description, promptVariables)
+ * @param {Object} [options.user]     - User chatting (name, email)
+ * @param {Object} [options.variables] - Project variables; defaults to project.promptVariables
+ * @param {Object} [options.guardrails] - Parsed guardrails to screen file texts with
+ * @param {Date}   [options.now]
+ * @returns {Promise<{ prompt: string, unknown: string[], violations: Array }>}
+ */
+async function renderTemplate(template, { project, user, variables, guardrails = {}, now = new Date() }) {
+  if (!template) return { prompt: template || '', unknown: [], violations: [] };
+
+  const names = getTemplateVariables(template);
+  const values = {
+    ...(variables ?? parsePromptVariables(project.promptVariables)),
+    ...builtInValues({ user, project, now })
+  };
+
+  // Project files are only loaded when the template uses them
+  const violations = [];
+  const fileNames = names.filter(name => name.startsWith('file:')).map(name => name.slice(5).trim());
+  if (fileNames.length && project.id) {
+    const files = await prisma.file.findMany({
+      where: { projectId: project.id, originalName: { in: fileNames } },
+      orderBy: { createdAt: 'desc' }
+    });
+    for (const fileName of fileNames) {
+      // The newest upload wins when names repeat
+      const file = files.find(f => f.originalName === fileName);
+      if (!file) continue;
+      const screened = screenText(guardrails, await readFileVariable(file), { stage: 'files', source: fileName });
+      values[`file:${fileName}`] = screened.text;
+      violations.push(...screened.violations);
+    }
+  }
+
+  const unknown = [];
+  const prompt = template.replace(VARIABLE_PATTERN, (token, rawName) => {
+    const name = rawName.startsWith('file:') ? `file:${rawName.slice(5).trim()}` : rawName;
+    if (name in values) return String(values[name]);
+    unknown.push(name);
+    return token;
+  });
+
+  return { prompt, unknown: [...new Set(unknown)], violations };
+}
+
+/**
+ * Render a project's system prompt for a chat request, screening the
+ * files it inlines with the project's guardrails
+ *
+ * @returns {Promise<{ prompt: string, violations: Array }>}
+ */
+async function renderSystemPrompt(project, user) {
+  const { prompt, unknown, violations } = await renderTemplate(project.systemPrompt, {
+    project,
+    user,
+    guardrails: parseGuardrails(project.guardrails)
+  });
+  if (unknown.length) {
+    console.warn(`Unknown variables in the system prompt of project ${project.id}: ${unknown.join(', ')}`);
+  }
+  return { prompt, violations };
+}
+
+module.exports = {
+  VARIABLE_NAME,
+  BUILT_IN_VARIABLES,
+  getTemplateVariables,
+  parsePromptVariables,
+  findUnknownVariables,
+  renderTemplate,
+  renderSystemPrompt
+};
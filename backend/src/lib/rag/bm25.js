@@ -0,0 +1,75 @@
+/**
+ * Minimal BM25 ranking over in-memory documents
+ */
+
+const K1 = 1.5;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+  'no', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercase word tokens without stopwords
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+/**
+ * Build a BM25 index from documents of the form { id, text, ... }
+ */
+function createIndex(documents) {
+  const docs = documents.map(doc => {
+    const terms = new Map();
+    const tokens = tokenize(doc.text);
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+    return { doc, terms, length: tokens.length };
+  });
+
+  const documentFrequency = new Map();
+  for (const { terms } of docs) {
+    for (const term of terms.keys()) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  const averageLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+
+  /**
+   * Rank documents against a query, best first
+   */
+  const search = (query, limit = 5) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const results = [];
+    for (const { doc, terms, length } of docs) {
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = terms.get(term);
+        if (!frequency) continue;
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + B * (length / (averageLength || 1))));
+      }
+      if (score > 0) {
+        results.push({ ...doc, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  };
+
+  return { search, size: docs.length };
+}
+
+module.exports = { tokenize, createIndex };
@@ -0,0 +1,65 @@
+/**
+ * Split extracted text into overlapping chunks for retrieval
+ */
+
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+
+/**
+ * Hard-split a block that is longer than the chunk size, preferring
+ * sentence or word boundaries
+ */
+function splitLongBlock(block, size, overlap) {
+  const pieces = [];
+  let start = 0;
+
+  while (start < block.length) {
+    let end = Math.min(start + size, block.length);
+    if (end < block.length) {
+      const window = block.slice(start, end);
+      const boundary = Math.max(window.lastIndexOf('. '), window.lastIndexOf('\n'), window.lastIndexOf(' '));
+      if (boundary > size / 2) {
+        end = start + boundary + 1;
+      }
+    }
+    pieces.push(block.slice(start, end).trim());
+    if (end >= block.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return pieces.filter(Boolean);
+}
+
+/**
+ * Pack paragraphs into chunks of roughly `size` characters
+ */
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const paragraphs = text
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(p => p.trim())
+    .filter(Boolean)
+    .flatMap(p => (p.length > size ? splitLongBlock(p, size, overlap) : [p]));
+
+  const chunks = [];
+  let current = '';
+
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length + 2 > size) {
+      chunks.push(current);
+      // Carry the end of the previous chunk over for context
+      const tail = current.slice(-overlap);
+      const wordStart = tail.indexOf(' ');
+      current = wordStart >= 0 ? tail.slice(wordStart + 1) : '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+module.exports = { chunkText };
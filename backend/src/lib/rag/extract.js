@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+
+/**
+ * Text extraction for uploaded project files
+ */
+
+const extractors = {
+  'text/plain': readText,
+  'text/markdown': readText,
+  'text/csv': readText,
+  'application/json': readJson,
+  'application/pdf': readPdf,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': readDocx
+};
+
+async function readText(filePath) {
+  return fs.readFile(filePath, 'utf8');
+}
+
+// Pretty-print so minified JSON still splits into reasonable chunks
+async function readJson(filePath) {
+  const text = await readText(filePath);
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
+
+async function readPdf(filePath) {
+  // Required lazily; the package entry point runs a self-test when loaded directly
+  const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+  const data = await pdfParse(await fs.readFile(filePath));
+  return data.text;
+}
+
+async function readDocx(filePath) {
+  const mammoth = require('mammoth');
+  const result = await mammoth.extractRawText({ path: filePath });
+  return result.value;
+}
+
+/**
+ * Whether text can be extracted from a MIME type
+ */
+function isIndexable(mimeType) {
+  return Boolean(extractors[mimeType]);
+}
+
+/**
+ * Extract plain text from a stored file
+ */
+async function extractText(filePath, mimeType) {
+  const extractor = extractors[mimeType];
+  if (!extractor) {
+    throw new Error(`Cannot extract text from ${mimeType} files`);
+  }
+  return extractor(filePath);
+}
+
+module.exports = { isIndexable, extractText };
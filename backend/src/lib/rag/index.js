@@ -0,0 +1,142 @@
+const prisma = require('../prisma');
+const { isIndexable, extractText } = require('./extract');
+const { chunkText } = require('./chunk');
+const { createIndex } = require('./bm25');
+const { countTokens } = require('../context');
+
+/**
+ * Retrieval over a project's uploaded files
+ *
+ * Text is extracted and chunked on upload and the chunks are stored in
+ * the file_chunks table. Each project's BM25 index is built in memory on
+ * first use and dropped whenever its files change.
+ */
+
+const RETRIEVAL_LIMIT = parseInt(process.env.RAG_TOP_K, 10) || 4;
+const RETRIEVAL_MAX_TOKENS = parseInt(process.env.RAG_MAX_TOKENS, 10) || 1500;
+
+// projectId -> BM25 index
+const indexCache = new Map();
+
+/**
+ * Extract, chunk and store a file's text, replacing any previous chunks
+ * Returns the updated file record; failures are recorded on the file
+ */
+async function indexFile(file) {
+  if (!isIndexable(file.mimeType)) {
+    return file;
+  }
+
+  try {
+    const text = await extractText(file.path, file.mimeType);
+    const chunks = chunkText(text);
+
+    const [, , updated] = await prisma.$transaction([
+      prisma.fileChunk.deleteMany({ where: { fileId: file.id } }),
+      prisma.fileChunk.createMany({
+        data: chunks.map((content, chunkIndex) => ({
+          content,
+          chunkIndex,
+          fileId: file.id
+        }))
+      }),
+      prisma.file.update({
+        where: { id: file.id },
+        data: { indexedAt: new Date(), indexError: null }
+      })
+    ]);
+
+    console.log(`Indexed ${file.originalName}: ${chunks.length} chunks`);
+    return updated;
+  } catch (error) {
+    console.error(`Indexing failed for ${file.originalName}:`, error);
+    return prisma.file.update({
+      where: { id: file.id },
+      data: { indexedAt: null, indexError: error.message }
+    });
+  } finally {
+    indexCache.delete(file.projectId);
+  }
+}
+
+/**
+ * Remove a file's chunks from the index
+ */
+async function removeFileIndex(file) {
+  await prisma.fileChunk.deleteMany({ where: { fileId: file.id } });
+  indexCache.delete(file.projectId);
+}
+
+/**
+ * Get (building if needed) the BM25 index for a project
+ */
+async function getProjectIndex(projectId) {
+  if (!indexCache.has(projectId)) {
+    const chunks = await prisma.fileChunk.findMany({
+      where: { file: { projectId } },
+      include: { file: { select: { id: true, originalName: true } } }
+    });
+
+    indexCache.set(projectId, createIndex(chunks.map(chunk => ({
+      id: chunk.id,
+      text: chunk.content,
+      fileId: chunk.file.id,
+      fileName: chunk.file.originalName,
+      chunkIndex: chunk.chunkIndex
+    }))));
+  }
+  return indexCache.get(projectId);
+}
+
+/**
+ * Find the chunks most relevant to a query, within a token budget
+ */
+async function retrieve(projectId, query, { limit = RETRIEVAL_LIMIT, maxTokens = RETRIEVAL_MAX_TOKENS, model } = {}) {
+  const index = await getProjectIndex(projectId);
+  if (index.size === 0) return [];
+
+  const results = [];
+  let tokens = 0;
+  for (const chunk of index.search(query, limit)) {
+    const chunkTokens = countTokens(chunk.text, model);
+    if (tokens + chunkTokens > maxTokens) break;
+    results.push(chunk);
+    tokens += chunkTokens;
+  }
+  return results;
+}
+
+/**
+ * Format retrieved chunks as a prompt block and the matching citation list
+ */
+function formatSources(chunks) {
+  if (chunks.length === 0) {
+    return { prompt: '', sources: [] };
+  }
+
+  const sources = chunks.map((chunk, i) => ({
+    index: i + 1,
+    fileId: chunk.fileId,
+    fileName: chunk.fileName,
+    chunkIndex: chunk.chunkIndex
+  }));
+
+  const excerpts = chunks
+    .map((chunk, i) => `[${i + 1}] ${chunk.fileName} (part ${chunk.chunkIndex + 1})\n${chunk.text}`)
+    .join('\n\n');
+
+  const prompt = [
+    'Relevant excerpts from the project files:',
+    excerpts,
+    'Use these excerpts when they help answer the question and cite them inline as [1], [2], etc. If they are not relevant, ignore them.'
+  ].join('\n\n');
+
+  return { prompt, sources };
+}
+
+module.exports = {
+  indexFile,
+  removeFileIndex,
+  retrieve,
+  formatSources
+};
@@ -0,0 +1,92 @@
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+
+/**
+ * Rate limit counters and quotas
+ *
+ * Counters use fixed windows in a pluggable store: in memory by default,
+ * or any Redis-compatible server when RATE_LIMIT_REDIS_URL is set (needed
+ * to share limits between server instances). A store implements
+ * increment(key, amount, windowMs) -> { count, resetAt } and close().
+ *
+ * - messages: chat requests per user per minute/day
+ * - tokens: reply tokens per user per minute/day (counted after a reply)
+ * - auth: requests per IP per minute/hour
+ *
+ * A limit of 0 disables it. The middleware is in middleware/rateLimit.js.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const WINDOW_NAMES = { [MINUTE]: 'minute', [HOUR]: 'hour', [DAY]: 'day' };
+
+/**
+ * Read a limit from the environment (0 disables it)
+ */
+function readLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : Math.max(0, value);
+}
+
+const LIMITS = {
+  messages: [
+    { limit: readLimit('RATE_LIMIT_MESSAGES_PER_MINUTE', 20), windowMs: MINUTE },
+    { limit: readLimit('RATE_LIMIT_MESSAGES_PER_DAY', 1000), windowMs: DAY }
+  ],
+  tokens: [
+    { limit: readLimit('RATE_LIMIT_TOKENS_PER_MINUTE', 100000), windowMs: MINUTE },
+    { limit: readLimit('RATE_LIMIT_TOKENS_PER_DAY', 2000000), windowMs: DAY }
+  ],
+  auth: [
+    { limit: readLimit('RATE_LIMIT_AUTH_PER_MINUTE', 10), windowMs: MINUTE },
+    { limit: readLimit('RATE_LIMIT_AUTH_PER_HOUR', 100), windowMs: HOUR }
+  ]
+};
+
+// Created on first use, so loading this module opens no connection
+let store = null;
+
+function getStore() {
+  store ||= process.env.RATE_LIMIT_REDIS_URL
+    ? createRedisStore(process.env.RATE_LIMIT_REDIS_URL)
+    : createMemoryStore();
+  return store;
+}
+
+/**
+ * Close the store (the Redis connection), so scripts can exit
+ */
+async function closeStore() {
+  if (!store) return;
+  const closing = store;
+  store = null;
+  await closing.close();
+}
+
+/**
+ * Add `amount` to the counters of a limit kind for an id
+ * Returns one { kind, limit, windowMs, window, count, resetAt } per enabled rule
+ */
+async function consume(kind, id, amount) {
+  const rules = LIMITS[kind].filter(rule => rule.limit > 0);
+
+  return Promise.all(rules.map(async (rule) => {
+    const { count, resetAt } = await getStore().increment(`ratelimit:${kind}:${id}:${rule.windowMs}`, amount, rule.windowMs);
+    return { kind, ...rule, window: WINDOW_NAMES[rule.windowMs], count, resetAt };
+  }));
+}
+
+/**
+ * Count the tokens a reply used against the user's token quota
+ */
+function recordTokens(userId, usage) {
+  const tokens = (usage?.promptTokens || 0) + (usage?.completionTokens || 0);
+  if (!tokens) return;
+
+  consume('tokens', userId, tokens)
+    .catch(error => console.error('Rate limit store error:', error.message));
+}
+
+module.exports = { consume, recordTokens, closeStore };
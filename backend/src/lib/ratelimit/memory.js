@@ -0,0 +1,49 @@
+/**
+ * In-memory rate limit store
+ *
+ * Fixed-window counters in a Map. Counters are per process, so limits
+ * are not shared between server instances - use the Redis store for that.
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore() {
+  // key -> { count, resetAt }
+  const counters = new Map();
+
+  // Drop expired counters so idle keys do not pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    /**
+     * Add `amount` to a counter, starting a new window if it expired
+     * An amount of 0 reads the counter without starting a window
+     */
+    async increment(key, amount, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        if (amount === 0) return { count: 0, resetAt: now + windowMs };
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count += amount;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async close() {
+      clearInterval(sweep);
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
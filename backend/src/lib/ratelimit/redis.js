@@ -0,0 +1,90 @@
+const Redis = require('ioredis');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Redis rate limit store
+ *
+ * Shares counters between server instances through any server speaking
+ * the Redis protocol (Redis, Valkey, KeyDB, Dragonfly, ...). The client
+ * reconnects with backoff when the connection drops; until it is back,
+ * counters are kept in memory so requests are still limited per process
+ * instead of failing.
+ *
+ * URL format: redis://[[user]:password@]host[:port][/db] (rediss:// for TLS)
+ */
+
+const COMMAND_TIMEOUT_MS = 2000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Add to a counter, setting its expiry when a new window starts
+// Returns { count, milliseconds until reset }
+const INCREMENT_SCRIPT = `
+local amount = tonumber(ARGV[1])
+if amount == 0 and redis.call('EXISTS', KEYS[1]) == 0 then
+  return {0, tonumber(ARGV[2])}
+end
+local count = redis.call('INCRBY', KEYS[1], amount)
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  ttl = tonumber(ARGV[2])
+end
+return {count, ttl}
+`;
+
+function createRedisStore(url) {
+  const fallback = createMemoryStore();
+  const client = new Redis(url, {
+    // Commands fail at once while disconnected and use the fallback
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 0,
+    commandTimeout: COMMAND_TIMEOUT_MS,
+    retryStrategy: times => Math.min(times * 500, MAX_RETRY_DELAY_MS)
+  });
+  client.defineCommand('incrementCounter', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+
+  // Log outages once, not on every reconnect attempt
+  let available = true;
+  const unavailable = (error) => {
+    if (!available) return;
+    available = false;
+    console.error(`Redis rate limit store unavailable, counting in memory: ${error.message}`);
+  };
+  client.on('error', unavailable);
+  client.on('ready', () => {
+    if (available) return;
+    available = true;
+    console.log('Redis rate limit store reconnected');
+  });
+
+  return {
+    name: 'redis',
+
+    /**
+     * Add `amount` to a counter, starting a new window if it expired
+     * An amount of 0 reads the counter without starting a window
+     */
+    async increment(key, amount, windowMs) {
+      if (client.status !== 'ready') {
+        return fallback.increment(key, amount, windowMs);
+      }
+      try {
+        const [count, ttl] = await client.incrementCounter(key, amount, windowMs);
+        return { count, resetAt: Date.now() + ttl };
+      } catch (error) {
+        unavailable(error);
+        return fallback.increment(key, amount, windowMs);
+      }
+    },
+
+    /**
+     * Close the connection once pending commands are answered
+     */
+    async close() {
+      await client.quit().catch(() => client.disconnect());
+      await fallback.close();
+    }
+  };
+}
+
+module.exports = { createRedisStore };
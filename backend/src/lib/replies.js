@@ -0,0 +1,131 @@
+const prisma = require('./prisma');
+const { setActiveLeaf } = require('./branches');
+const { currentRevisionId } = require('./revisions');
+
+/**
+ * Assistant reply lifecycle
+ *
+ * A reply is saved before generation starts and moves through
+ * Message.status as it is generated:
+ *
+ *   pending -> streaming -> complete | stopped | failed
+ *
+ * pending until the model's first text arrives (streaming replies only
+ * become streaming), stopped for partial replies and failed with
+ * Message.error when generation fails. Only complete and stopped
+ * replies are sent back to the model (see isPromptMessage in messages.js).
+ */
+
+const INTERRUPTED_ERROR = 'Generation was interrupted because the server restarted';
+
+/**
+ * Save a pending reply after `parentId` and make it the active leaf,
+ * recording the project revision it is generated with: the current one
+ * unless `revisionId` is given (null for settings no revision has)
+ * Returns a handle to follow generation and finish the reply
+ */
+async function startReply({ project, conversation, parentId, revisionId }) {
+  const message = await prisma.message.create({
+    data: {
+      role: 'assistant',
+      content: '',
+      status: 'pending',
+      revisionId: revisionId === undefined ? await currentRevisionId(project) : revisionId,
+      projectId: project.id,
+      conversationId: conversation.id,
+      parentId
+    }
+  });
+  await setActiveLeaf(conversation.id, message.id);
+
+  // Updates during generation are chained so they land in order
+  let updates = Promise.resolve();
+  const update = (data) => {
+    updates = updates
+      .then(() => prisma.message.update({ where: { id: message.id }, data }))
+      .catch(error => console.error('Failed to update reply:', error));
+  };
+  let lastParentId = parentId;
+  let streaming = false;
+
+  return {
+    id: message.id,
+
+    /**
+     * Follow agent events (see runAgent's onEvent): the first text marks
+     * the reply streaming and tool messages are placed before it
+     */
+    track(type, data) {
+      if (type === 'chunk' && !streaming) {
+        streaming = true;
+        update({ status: 'streaming' });
+      } else if (type === 'tool_call' || type === 'tool_result') {
+        lastParentId = data.id;
+        update({ parentId: data.id });
+      }
+    },
+
+    /**
+     * Save the generated reply as complete, or stopped if `data.stopped`
+     */
+    async complete(data) {
+      await updates;
+      const saved = await prisma.message.update({
+        where: { id: message.id },
+        data: { ...data, status: data.stopped ? 'stopped' : 'complete' }
+      });
+      await setActiveLeaf(conversation.id, saved.id);
+      return saved;
+    },
+
+    /**
+     * Mark the reply failed, keeping the error for the client (and the
+     * rejected text of a reply that failed output validation) and the
+     * tokens spent before it failed (see runAgent)
+     */
+    async fail(error) {
+      await updates;
+      return prisma.message.update({
+        where: { id: message.id },
+        data: {
+          status: 'failed',
+          error: error.message || 'Generation failed',
+          ...(error.content ? { content: error.content } : {}),
+          ...(error.violations ? { guardrails: JSON.stringify(error.violations) } : {}),
+          ...(error.usage ? {
+            model: error.model,
+            promptTokens: error.usage.promptTokens,
+            completionTokens: error.usage.completionTokens,
+            cost: error.cost
+          } : {})
+        }
+      });
+    },
+
+    /**
+     * Delete the reply (nothing was generated), making the message before
+     * it the active leaf again
+     */
+    async discard() {
+      await updates;
+      await prisma.message.delete({ where: { id: message.id } });
+      await setActiveLeaf(conversation.id, lastParentId);
+    }
+  };
+}
+
+/**
+ * Mark replies left pending or streaming by a previous server process
+ * as failed. Replies are generated in memory, so none of them can finish.
+ */
+async function failInterruptedReplies() {
+  const { count } = await prisma.message.updateMany({
+    where: { status: { in: ['pending', 'streaming'] } },
+    data: { status: 'failed', error: INTERRUPTED_ERROR }
+  });
+  if (count) {
+    console.log(`Marked ${count} interrupted ${count === 1 ? 'reply' : 'replies'} as failed`);
+  }
+}
+
+module.exports = { startReply, failInterruptedReplies };
@@ -0,0 +1,211 @@
+const prisma = require('./prisma');
+
+/**
+ * Project revisions
+ *
+ * Every change to a project's settings is kept as an immutable
+ * ProjectRevision holding a snapshot of all the settings below, so a bad
+ * edit can be compared and rolled back. Assistant messages record the
+ * revision that produced them (Message.revisionId).
+ */
+
+const REVISION_FIELDS = [
+  'name',
+  'description',
+  'systemPrompt',
+  'promptVariables',
+  'model',
+  'temperature',
+  'topP',
+  'maxTokens',
+  'stopSequences',
+  'presencePenalty',
+  'frequencyPenalty',
+  'fallbackModels',
+  'contextStrategy',
+  'contextTokenBudget',
+  'contextKeepFirst',
+  'enabledTools',
+  'outputSchema',
+  'outputRetries',
+  'guardrails',
+  'subAgents'
+];
+
+// Fields diffed line by line
+const TEXT_FIELDS = ['description', 'systemPrompt'];
+
+// Fields stored as JSON text
+const JSON_FIELDS = ['promptVariables', 'stopSequences', 'fallbackModels', 'enabledTools', 'outputSchema', 'guardrails', 'subAgents'];
+
+/**
+ * The revisioned settings of a project (as stored, JSON fields as text)
+ */
+function snapshotOf(project) {
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, project[field] ?? null]));
+}
+
+/**
+ * Parse a revision's snapshot
+ */
+function parseSnapshot(revision) {
+  try {
+    return { ...snapshotOf({}), ...JSON.parse(revision.snapshot) };
+  } catch (e) {
+    return snapshotOf({});
+  }
+}
+
+/**
+ * A snapshot field's value for API responses, JSON fields parsed
+ */
+function formatValue(field, value) {
+  if (!JSON_FIELDS.includes(field) || value == null) return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Fields that differ between two snapshots
+ */
+function changedFields(before, after) {
+  return REVISION_FIELDS.filter(field => (before?.[field] ?? null) !== (after[field] ?? null));
+}
+
+/**
+ * Save a revision of a project's current settings, unless nothing
+ * changed since the latest one. Pass a transaction client as `db` to
+ * save it together with the change.
+ *
+ * @returns {Promise<Object>} The new revision, or the latest if unchanged
+ */
+async function recordRevision(project, { authorId, restoredFromId = null, db = prisma }) {
+  const latest = await db.projectRevision.findFirst({
+    where: { projectId: project.id },
+    orderBy: { number: 'desc' }
+  });
+
+  const snapshot = snapshotOf(project);
+  const changed = changedFields(latest && parseSnapshot(latest), snapshot);
+  if (latest && changed.length === 0) return latest;
+
+  return db.projectRevision.create({
+    data: {
+      number: (latest?.number ?? 0) + 1,
+      snapshot: JSON.stringify(snapshot),
+      changedFields: JSON.stringify(latest ? changed : []),
+      restoredFromId,
+      projectId: project.id,
+      authorId
+    }
+  });
+}
+
+/**
+ * Id of the revision a project's replies are currently generated with
+ * Projects created before revisions existed get their first one here.
+ */
+async function currentRevisionId(project) {
+  const latest = await prisma.projectRevision.findFirst({
+    where: { projectId: project.id },
+    orderBy: { number: 'desc' },
+    select: { id: true }
+  });
+  if (latest) return latest.id;
+
+  const revision = await recordRevision(project, { authorId: project.userId });
+  return revision.id;
+}
+
+/**
+ * Line diff of two texts (longest common subsequence)
+ * Returns [{ type: 'same' | 'add' | 'remove', text }]
+ */
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ type: 'remove', text: a[i++] });
+    } else {
+      lines.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'remove', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'add', text: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Changes between two revisions
+ * Returns [{ field, from, to, lines? }]; text fields get a line diff
+ */
+function diffRevisions(from, to) {
+  const before = parseSnapshot(from);
+  const after = parseSnapshot(to);
+
+  return changedFields(before, after).map(field => ({
+    field,
+    from: formatValue(field, before[field]),
+    to: formatValue(field, after[field]),
+    ...(TEXT_FIELDS.includes(field) ? { lines: diffLines(before[field], after[field]) } : {})
+  }));
+}
+
+/**
+ * Format a revision for API responses; `full` adds the snapshot
+ */
+function formatRevision(revision, { full = false } = {}) {
+  let changed = [];
+  try {
+    changed = JSON.parse(revision.changedFields || '[]');
+  } catch (e) {
+    // Listed without changes
+  }
+
+  return {
+    id: revision.id,
+    number: revision.number,
+    changedFields: changed,
+    restoredFromId: revision.restoredFromId,
+    author: revision.author ? { id: revision.author.id, name: revision.author.name } : null,
+    createdAt: revision.createdAt,
+    ...(full ? {
+      settings: Object.fromEntries(
+        Object.entries(parseSnapshot(revision)).map(([field, value]) => [field, formatValue(field, value)])
+      )
+    } : {})
+  };
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotOf,
+  parseSnapshot,
+  recordRevision,
+  currentRevisionId,
+  diffRevisions,
+  formatRevision
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * Resumable server-sent event streams
+ *
+ * A reply is generated into an in-memory stream that buffers its events,
+ * so generation does not depend on a single HTTP connection. Every event
+ * has the id `<streamId>:<seq>`; a client that loses its connection
+ * reconnects with the last id it received (Last-Event-ID) and gets the
+ * missed events before the live ones.
+ *
+ * A stream with no connected client for STREAM_RESUME_GRACE_MS is aborted
+ * through its AbortSignal. Finished streams are kept for
+ * STREAM_BUFFER_TTL_MS so late reconnects can still replay the end.
+ */
+
+const KEEPALIVE_MS = parseInt(process.env.STREAM_KEEPALIVE_MS, 10) || 15000;
+const RESUME_GRACE_MS = parseInt(process.env.STREAM_RESUME_GRACE_MS, 10) || 10000;
+const BUFFER_TTL_MS = parseInt(process.env.STREAM_BUFFER_TTL_MS, 10) || 5 * 60 * 1000;
+
+// Client reconnect delay suggested to EventSource-style clients
+const RETRY_MS = 2000;
+
+// streamId -> stream
+const streams = new Map();
+
+/**
+ * Format one event in SSE wire format
+ */
+function formatEvent(stream, event) {
+  return `id: ${stream.id}:${event.seq}\ndata: ${JSON.stringify({ type: event.type, data: event.data })}\n\n`;
+}
+
+/**
+ * Create a stream owned by a user for a project
+ */
+function createStream({ userId, projectId }) {
+  const controller = new AbortController();
+
+  const stream = {
+    id: crypto.randomUUID(),
+    userId,
+    projectId,
+    events: [],
+    clients: new Set(),
+    done: false,
+    controller,
+    // Aborted by stopStream or when no client reconnects in time
+    signal: controller.signal,
+    graceTimer: null,
+
+    /**
+     * Buffer an event and send it to connected clients
+     */
+    send(type, data) {
+      if (stream.done) return;
+      const event = { seq: stream.events.length + 1, type, data };
+      stream.events.push(event);
+      for (const res of stream.clients) {
+        res.write(formatEvent(stream, event));
+      }
+    },
+
+    /**
+     * Finish the stream, closing client connections
+     */
+    end() {
+      if (stream.done) return;
+      stream.done = true;
+      clearTimeout(stream.graceTimer);
+      for (const res of stream.clients) {
+        res.end();
+      }
+      stream.clients.clear();
+      setTimeout(() => streams.delete(stream.id), BUFFER_TTL_MS).unref();
+    }
+  };
+
+  streams.set(stream.id, stream);
+  return stream;
+}
+
+/**
+ * Connect a response to a stream, replaying events after `afterSeq`
+ */
+function attachClient(stream, res, afterSeq = 0) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  for (const event of stream.events) {
+    if (event.seq > afterSeq) res.write(formatEvent(stream, event));
+  }
+
+  if (stream.done) {
+    res.end();
+    return;
+  }
+
+  clearTimeout(stream.graceTimer);
+  stream.clients.add(res);
+
+  // Comments keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    stream.clients.delete(res);
+
+    // Give the client a chance to reconnect before giving up on the reply
+    if (!stream.done && stream.clients.size === 0) {
+      stream.graceTimer = setTimeout(() => stream.controller.abort(), RESUME_GRACE_MS);
+    }
+  });
+}
+
+/**
+ * Find a user's stream from an event id (`<streamId>:<seq>`)
+ * Returns { stream, seq } or null if the stream is unknown or expired
+ */
+function findStream(lastEventId, userId) {
+  const match = /^([0-9a-f-]{36}):(\d+)$/i.exec(lastEventId || '');
+  if (!match) return null;
+
+  const stream = streams.get(match[1]);
+  if (!stream || stream.userId !== userId) return null;
+
+  return { stream, seq: parseInt(match[2], 10) };
+}
+
+/**
+ * Stop generating a user's stream of a project right away
+ */
+function stopStream(streamId, { userId, projectId }) {
+  const stream = streams.get(streamId);
+  if (!stream || stream.userId !== userId || stream.projectId !== projectId) return false;
+
+  stream.controller.abort();
+  return true;
+}
+
+module.exports = {
+  createStream,
+  attachClient,
+  findStream,
+  stopStream
+};
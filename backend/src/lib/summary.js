@@ -0,0 +1,163 @@
+const prisma = require('./prisma');
+const { getProjectProvider, getGenerationOptions } = require('./llm');
+const { parseJsonField, isPromptMessage } = require('./messages');
+const { getActivePath } = require('./branches');
+const { callUsage } = require('./context');
+const { computeCost } = require('./pricing');
+const { recordTokens } = require('./ratelimit');
+
+/**
+ * Rolling conversation summaries
+ *
+ * Messages that fall out of the context window are condensed into
+ * Conversation.summary by a background LLM call. Conversation.summaryMessageId
+ * marks the newest message the summary covers; only later messages
+ * are sent to the model verbatim. The summarizer's tokens count towards
+ * the user's token quota and are saved as a SummaryUpdate for the usage
+ * report.
+ */
+
+const SUMMARY_MAX_TOKENS = 512;
+
+const SUMMARY_INSTRUCTIONS = [
+  'You maintain a running summary of a conversation between a user and an AI assistant.',
+  'Update the current summary with the new messages.',
+  'Keep names, facts, preferences, decisions, open questions and any customer or account details.',
+  'Write concise notes in the third person. Reply with the updated summary only.'
+].join(' ');
+
+// Conversations with a summary update in flight
+const inProgress = new Set();
+
+/**
+ * Get the active branch's messages that are not covered by the summary,
+ * and the summary itself if it belongs to this branch
+ * A summary of messages on another branch is ignored. Failed and
+ * unfinished replies are left out.
+ */
+async function getUnsummarizedHistory(conversation) {
+  const path = (await getActivePath(conversation)).filter(isPromptMessage);
+
+  if (!conversation.summary) {
+    return { history: path, summary: null };
+  }
+  // Written by hand before any messages were summarized
+  if (!conversation.summaryMessageId) {
+    return { history: path, summary: conversation.summary };
+  }
+
+  const coveredIndex = path.findIndex(m => m.id === conversation.summaryMessageId);
+  if (coveredIndex === -1) {
+    return { history: path, summary: null };
+  }
+  return { history: path.slice(coveredIndex + 1), summary: conversation.summary };
+}
+
+/**
+ * Append the running summary to the system prompt
+ */
+function withSummary(systemPrompt, summary) {
+  if (!summary) return systemPrompt;
+
+  const summaryBlock = `Summary of the earlier conversation:\n${summary}`;
+  return systemPrompt ? `${systemPrompt}\n\n${summaryBlock}` : summaryBlock;
+}
+
+/**
+ * Format messages as a plain transcript for the summarizer
+ */
+function formatTranscript(messages) {
+  return messages
+    .map(m => {
+      if (m.role === 'user') return `User: ${m.content}`;
+      if (m.role === 'tool_call') {
+        const calls = (parseJsonField(m.toolCalls) || [])
+          .map(call => `${call.name}(${call.arguments})`)
+          .join(', ');
+        return `Assistant (calling ${calls}): ${m.content}`;
+      }
+      if (m.role === 'tool_result') return `Tool ${m.toolName}: ${m.content}`;
+      return `Assistant: ${m.content}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Fold messages dropped from the context window into the conversation summary
+ */
+async function updateSummary(conversationId, droppedIds) {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+    include: { project: true }
+  });
+  if (!conversation) return;
+
+  const { history, summary: currentSummary } = await getUnsummarizedHistory(conversation);
+  const lastDropped = history.map(m => m.id).filter(id => droppedIds.includes(id)).pop();
+  if (!lastDropped) return;
+
+  // Summaries cover a contiguous prefix of the history
+  const toSummarize = history.slice(0, history.findIndex(m => m.id === lastDropped) + 1);
+
+  const llm = getProjectProvider(conversation.project);
+  const options = getGenerationOptions(conversation.project);
+  const messages = [
+    { role: 'system', content: SUMMARY_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `Current summary:\n${currentSummary || '(none)'}\n\nNew messages:\n${formatTranscript(toSummarize)}`
+    }
+  ];
+  const result = await llm.chat(messages, {
+    ...options,
+    temperature: 0.2,
+    maxTokens: SUMMARY_MAX_TOKENS,
+    stop: undefined
+  });
+
+  const model = result.model || options.model || llm.defaultModel || 'default';
+  const usage = callUsage(result, messages, model);
+  recordTokens(conversation.project.userId, usage);
+  await prisma.summaryUpdate.create({
+    data: {
+      model,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      cost: computeCost(model, usage),
+      projectId: conversation.projectId,
+      conversationId
+    }
+  });
+
+  const summary = result.content.trim();
+  if (!summary) return;
+
+  await prisma.conversation.update({
+    where: { id: conversationId },
+    data: {
+      summary,
+      summaryMessageId: lastDropped,
+      summaryUpdatedAt: new Date()
+    }
+  });
+
+  console.log(`Summarized ${toSummarize.length} messages for conversation ${conversationId}`);
+}
+
+/**
+ * Update the summary in the background once history exceeds the context budget
+ */
+function scheduleSummaryUpdate(conversationId, window) {
+  if (!window.droppedIds.length || inProgress.has(conversationId)) return;
+
+  inProgress.add(conversationId);
+  updateSummary(conversationId, window.droppedIds)
+    .catch(error => console.error('Summary error:', error))
+    .finally(() => inProgress.delete(conversationId));
+}
+
+module.exports = {
+  getUnsummarizedHistory,
+  withSummary,
+  scheduleSummaryUpdate
+};
@@ -0,0 +1,168 @@
+/**
+ * Calculator tool - evaluates arithmetic with a small recursive-descent
+ * parser (no eval)
+ */
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  pow: Math.pow,
+  min: Math.min,
+  max: Math.max
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[a-z_]+|\*\*|[-+*/%^(),])/giy;
+  let match;
+  let position = 0;
+
+  while (position < expression.length) {
+    pattern.lastIndex = position;
+    match = pattern.exec(expression);
+    if (!match) {
+      if (expression.slice(position).trim() === '') break;
+      throw new Error(`Unexpected character at position ${position + 1}`);
+    }
+    tokens.push(match[1]);
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Evaluate an arithmetic expression
+ * Supports + - * / % ^ (or **), parentheses, constants and common functions
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}"`);
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  // unary := ('-' | '+') unary | power
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary (('^' | '**') unary)?
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function '(' args ')' | '(' expression ')'
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Unexpected end of expression');
+
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (/^[\d.]/.test(token)) {
+      return parseFloat(token);
+    }
+
+    const name = token.toLowerCase();
+    if (name in CONSTANTS) {
+      return CONSTANTS[name];
+    }
+    if (name in FUNCTIONS) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return FUNCTIONS[name](...args);
+    }
+
+    throw new Error(`Unknown token "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index]}"`);
+  }
+  return result;
+}
+
+module.exports = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, sin, cos, tan, log, ln, exp, pow, min, max.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: {
+        type: 'string',
+        description: 'The expression to evaluate, e.g. "(12.5 * 4) / 3"'
+      }
+    },
+    required: ['expression']
+  },
+  async execute({ expression }) {
+    const result = evaluate(expression);
+    if (!Number.isFinite(result)) {
+      throw new Error('Result is not a finite number');
+    }
+    return String(result);
+  },
+  evaluate
+};
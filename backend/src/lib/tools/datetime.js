@@ -0,0 +1,33 @@
+/**
+ * Date/time tool - reports the current date and time in a time zone
+ */
+
+module.exports = {
+  name: 'current_datetime',
+  description: 'Get the current date, time and weekday, optionally in a specific IANA time zone.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: {
+        type: 'string',
+        description: 'IANA time zone such as "Europe/London" or "Asia/Kolkata". Defaults to UTC.'
+      }
+    }
+  },
+  async execute({ timezone = 'UTC' }) {
+    const now = new Date();
+
+    let formatted;
+    try {
+      formatted = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        dateStyle: 'full',
+        timeStyle: 'long'
+      }).format(now);
+    } catch (e) {
+      throw new Error(`Unknown time zone: ${timezone}`);
+    }
+
+    return JSON.stringify({ iso: now.toISOString(), timezone, formatted });
+  }
+};
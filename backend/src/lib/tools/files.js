@@ -0,0 +1,95 @@
+const prisma = require('../prisma');
+const { retrieve } = require('../rag');
+
+/**
+ * Tools over the project's indexed files
+ */
+
+const searchFiles = {
+  name: 'search_files',
+  description: 'Search the project\'s uploaded files and return the most relevant excerpts with their file name and part number.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'What to search for'
+      },
+      limit: {
+        type: 'integer',
+        description: 'Maximum number of excerpts (1-10, default 4)',
+        minimum: 1,
+        maximum: 10
+      }
+    },
+    required: ['query']
+  },
+  async execute({ query, limit = 4 }, { project }) {
+    const chunks = await retrieve(project.id, query, { limit, model: project.model || undefined });
+    if (chunks.length === 0) {
+      return 'No matching excerpts found.';
+    }
+
+    return chunks
+      .map(chunk => `${chunk.fileName} (part ${chunk.chunkIndex + 1})\n${chunk.text}`)
+      .join('\n\n---\n\n');
+  }
+};
+
+const readFileExcerpt = {
+  name: 'read_file_excerpt',
+  description: 'Read consecutive parts of an uploaded file by name. Use after search_files to read around a match.',
+  parameters: {
+    type: 'object',
+    properties: {
+      file: {
+        type: 'string',
+        description: 'The file name, e.g. "handbook.pdf"'
+      },
+      part: {
+        type: 'integer',
+        description: 'First part to read (1-based, default 1)',
+        minimum: 1
+      },
+      count: {
+        type: 'integer',
+        description: 'Number of parts to read (1-5, default 1)',
+        minimum: 1,
+        maximum: 5
+      }
+    },
+    required: ['file']
+  },
+  async execute({ file: fileName, part = 1, count = 1 }, { project }) {
+    const file = await prisma.file.findFirst({
+      where: { projectId: project.id, originalName: fileName },
+      include: { _count: { select: { chunks: true } } }
+    });
+
+    if (!file) {
+      throw new Error(`File not found: ${fileName}`);
+    }
+    if (file._count.chunks === 0) {
+      throw new Error(`${fileName} has no readable text`);
+    }
+
+    const chunks = await prisma.fileChunk.findMany({
+      where: {
+        fileId: file.id,
+        chunkIndex: { gte: part - 1, lt: part - 1 + count }
+      },
+      orderBy: { chunkIndex: 'asc' }
+    });
+
+    if (chunks.length === 0) {
+      throw new Error(`${fileName} has only ${file._count.chunks} parts`);
+    }
+
+    return [
+      `${fileName} (parts ${part}-${part + chunks.length - 1} of ${file._count.chunks})`,
+      ...chunks.map(chunk => chunk.content)
+    ].join('\n\n');
+  }
+};
+
+module.exports = [searchFiles, readFileExcerpt];
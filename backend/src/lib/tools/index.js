@@ -0,0 +1,146 @@
+const calculator = require('./calculator');
+const datetime = require('./datetime');
+const fileTools = require('./files');
+
+/**
+ * Tool registry
+ *
+ * A tool is { name, description, parameters, execute(args, context) } where
+ * parameters is a JSON Schema object and execute resolves to a string the
+ * model reads back. Projects opt in to tools by name (Project.enabledTools).
+ */
+
+const MAX_RESULT_LENGTH = 8000;
+
+const registry = new Map();
+
+/**
+ * Add a tool to the registry
+ */
+function registerTool(tool) {
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name)) {
+    throw new Error(`Invalid tool name: ${tool.name}`);
+  }
+  registry.set(tool.name, tool);
+}
+
+[calculator, datetime, ...fileTools].forEach(registerTool);
+
+/**
+ * List registered tools without their implementations
+ */
+function listTools() {
+  return [...registry.values()].map(({ name, description, parameters }) => ({
+    name,
+    description,
+    parameters
+  }));
+}
+
+/**
+ * Get the tools a project has enabled
+ */
+function getProjectTools(project) {
+  let names = [];
+  if (project.enabledTools) {
+    try {
+      names = JSON.parse(project.enabledTools);
+    } catch (e) {
+      names = [];
+    }
+  }
+
+  return names
+    .filter(name => registry.has(name))
+    .map(name => registry.get(name));
+}
+
+/**
+ * Check arguments against a tool's JSON Schema
+ * Covers the subset built-in tools use: required, type, enum, minimum, maximum
+ */
+function validateArguments(schema, args) {
+  if (typeof args !== 'object' || args === null || Array.isArray(args)) {
+    return ['arguments must be an object'];
+  }
+
+  const errors = [];
+  for (const key of schema.required || []) {
+    if (args[key] === undefined) errors.push(`${key} is required`);
+  }
+
+  for (const [key, value] of Object.entries(args)) {
+    const property = schema.properties?.[key];
+    if (!property) {
+      errors.push(`unknown argument ${key}`);
+      continue;
+    }
+
+    const type = property.type === 'integer'
+      ? (Number.isInteger(value) ? 'integer' : typeof value)
+      : (Array.isArray(value) ? 'array' : typeof value);
+    if (property.type && type !== property.type) {
+      errors.push(`${key} must be ${property.type === 'integer' ? 'an' : 'a'} ${property.type}`);
+      continue;
+    }
+    if (property.enum && !property.enum.includes(value)) {
+      errors.push(`${key} must be one of: ${property.enum.join(', ')}`);
+    }
+    if (property.minimum != null && value < property.minimum) {
+      errors.push(`${key} must be at least ${property.minimum}`);
+    }
+    if (property.maximum != null && value > property.maximum) {
+      errors.push(`${key} must be at most ${property.maximum}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Run a tool call from the model
+ * Failures are returned as the result so the model can recover
+ *
+ * @param {{ name: string, arguments: string }} call - arguments is a JSON string
+ * @param {Object} context - { project, conversation }
+ * @returns {Promise<{ content: string, error: boolean }>}
+ */
+async function executeToolCall(call, context) {
+  const tool = registry.get(call.name);
+  const enabled = context.tools.some(t => t.name === call.name);
+  if (!tool || !enabled) {
+    return { content: `Error: unknown tool ${call.name}`, error: true };
+  }
+
+  let args;
+  try {
+    args = call.arguments ? JSON.parse(call.arguments) : {};
+  } catch (e) {
+    return { content: 'Error: arguments are not valid JSON', error: true };
+  }
+
+  const errors = validateArguments(tool.parameters, args);
+  if (errors.length) {
+    return { content: `Error: ${errors.join('; ')}`, error: true };
+  }
+
+  try {
+    const result = String(await tool.execute(args, context));
+    return {
+      content: result.length > MAX_RESULT_LENGTH
+        ? `${result.slice(0, MAX_RESULT_LENGTH)}\n[truncated]`
+        : result,
+      error: false
+    };
+  } catch (error) {
+    return { content: `Error: ${error.message}`, error: true };
+  }
+}
+
+module.exports = {
+  registerTool,
+  listTools,
+  getProjectTools,
+  validateArguments,
+  executeToolCall
+};
@@ -0,0 +1,363 @@
+const { v4: uuidv4 } = require('uuid');
+const prisma = require('./prisma');
+const { parseJsonField, isPromptMessage } = require('./messages');
+const { ensureMessageTree, getActivePath } = require('./branches');
+const { titleFromMessage } = require('./conversations');
+
+/**
+ * Conversation export and import
+ *
+ * A project's conversations are exported one at a time, so large
+ * histories can be streamed, as Markdown, JSON, HTML or plain text. Each
+ * export starts with the project's system prompt; a conversation is its
+ * active branch, with the time of every message. Failed and unfinished
+ * replies are left out.
+ *
+ * Imports accept three JSON shapes:
+ *
+ *   chatgpt   conversations.json from a ChatGPT data export: a list of
+ *             { title, create_time, mapping, current_node }
+ *   messages  a list of { role, content } messages (one conversation)
+ *   export    this app's JSON export
+ *
+ * Only user and assistant messages are imported, as a single branch.
+ */
+
+const EXPORT_FORMATS = ['md', 'json', 'html', 'txt'];
+const MAX_IMPORT_SIZE = 50 * 1024 * 1024;
+
+const IMPORT_ROLES = ['user', 'assistant'];
+
+/**
+ * "2024-05-01 14:03:12 UTC"
+ */
+function formatTimestamp(date) {
+  return `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+}
+
+function roleLabel(message) {
+  if (message.role === 'tool_call') return 'Tool call';
+  if (message.role === 'tool_result') return `Tool result${message.toolName ? ` (${message.toolName})` : ''}`;
+  const label = message.role === 'user' ? 'User' : 'Assistant';
+  return message.model ? `${label} (${message.model})` : label;
+}
+
+/**
+ * A message's text as shown in the text formats: tool calls are listed
+ * as name(arguments) and attached images by name
+ */
+function messageText(message) {
+  const lines = [];
+  if (message.role === 'tool_call') {
+    for (const call of parseJsonField(message.toolCalls) || []) {
+      lines.push(`${call.name}(${call.arguments})`);
+    }
+  }
+  if (message.content) lines.push(message.content);
+  if (message.attachments?.length) {
+    lines.push(`[Images: ${message.attachments.map(a => a.originalName).join(', ')}]`);
+  }
+  return lines.join('\n\n');
+}
+
+// A Markdown code fence longer than any backtick run in the text
+function fenced(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return `${fence}\n${text}\n${fence}`;
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const HTML_STYLE = [
+  'body{font-family:system-ui,sans-serif;max-width:48rem;margin:2rem auto;padding:0 1rem;color:#1f2937}',
+  'pre{white-space:pre-wrap;word-wrap:break-word;font:inherit;margin:.25rem 0 0}',
+  '.message{margin:1rem 0;padding:.75rem 1rem;border-radius:.75rem;background:#f3f4f6}',
+  '.user{background:#e0f2fe}',
+  '.tool_call,.tool_result{background:#fafafa;border:1px solid #e5e7eb}',
+  '.tool_call pre,.tool_result pre{font-family:ui-monospace,monospace;font-size:.85rem}',
+  '.meta{font-size:.8rem;color:#6b7280}'
+].join('');
+
+/**
+ * Writers of each export format: start(project, exportedAt),
+ * conversation(conversation, messages, index) and end() return the text
+ * to write
+ */
+const EXPORTERS = {
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    start: (project, exportedAt) => [
+      `# ${project.name}\n\n`,
+      `Exported ${formatTimestamp(exportedAt)}\n\n`,
+      project.systemPrompt ? `## System prompt\n\n${fenced(project.systemPrompt)}\n\n` : ''
+    ].join(''),
+    conversation: (conversation, messages) => [
+      `---\n\n## ${conversation.title}\n\n`,
+      `*Started ${formatTimestamp(conversation.createdAt)}*\n\n`,
+      ...messages.map(message => {
+        const text = messageText(message);
+        const body = message.role === 'tool_call' || message.role === 'tool_result' ? fenced(text) : text;
+        return `### ${roleLabel(message)} · ${formatTimestamp(message.createdAt)}\n\n${body}\n\n`;
+      })
+    ].join(''),
+    end: () => ''
+  },
+
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    start: (project, exportedAt) => {
+      const header = JSON.stringify({
+        exportedAt,
+        project: {
+          name: project.name,
+          description: project.description,
+          systemPrompt: project.systemPrompt,
+          model: project.model
+        }
+      });
+      // Conversations are written into the object as they are loaded
+      return `${header.slice(0, -1)},"conversations":[`;
+    },
+    conversation: (conversation, messages, index) => (index ? ',' : '') + JSON.stringify({
+      id: conversation.id,
+      title: conversation.title,
+      archived: conversation.archived,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      messages: messages.map(message => ({
+        role: message.role,
+        content: message.content,
+        createdAt: message.createdAt,
+        ...(message.model ? { model: message.model } : {}),
+        ...(message.toolCalls ? { toolCalls: parseJsonField(message.toolCalls) } : {}),
+        ...(message.toolCallId ? { toolCallId: message.toolCallId, toolName: message.toolName } : {}),
+        ...(message.data ? { data: parseJsonField(message.data) } : {}),
+        ...(message.attachments?.length ? { attachments: message.attachments.map(a => a.originalName) } : {})
+      }))
+    }),
+    end: () => ']}\n'
+  },
+
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    start: (project, exportedAt) => [
+      '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n',
+      `<title>${escapeHtml(project.name)}</title>\n<style>${HTML_STYLE}</style>\n</head>\n<body>\n`,
+      `<h1>${escapeHtml(project.name)}</h1>\n`,
+      `<p class="meta">Exported ${formatTimestamp(exportedAt)}</p>\n`,
+      project.systemPrompt
+        ? `<h2>System prompt</h2>\n<div class="message"><pre>${escapeHtml(project.systemPrompt)}</pre></div>\n`
+        : ''
+    ].join(''),
+    conversation: (conversation, messages) => [
+      `<section>\n<h2>${escapeHtml(conversation.title)}</h2>\n`,
+      `<p class="meta">Started ${formatTimestamp(conversation.createdAt)}</p>\n`,
+      ...messages.map(message => [
+        `<div class="message ${message.role}">`,
+        `<div class="meta">${escapeHtml(roleLabel(message))} · ${formatTimestamp(message.createdAt)}</div>`,
+        `<pre>${escapeHtml(messageText(message))}</pre></div>\n`
+      ].join('')),
+      '</section>\n'
+    ].join(''),
+    end: () => '</body>\n</html>\n'
+  },
+
+  txt: {
+    contentType: 'text/plain; charset=utf-8',
+    start: (project, exportedAt) => [
+      `${project.name}\n`,
+      `Exported ${formatTimestamp(exportedAt)}\n\n`,
+      project.systemPrompt ? `System prompt:\n${project.systemPrompt}\n\n` : ''
+    ].join(''),
+    conversation: (conversation, messages) => [
+      `==== ${conversation.title} ====\n`,
+      `Started ${formatTimestamp(conversation.createdAt)}\n\n`,
+      ...messages.map(message => `[${formatTimestamp(message.createdAt)}] ${roleLabel(message)}:\n${messageText(message)}\n\n`)
+    ].join(''),
+    end: () => ''
+  }
+};
+
+/**
+ * Write conversations in an export format, one conversation at a time
+ *
+ * @param {Object}   project
+ * @param {Array}    conversations - Conversations of the project, in order
+ * @param {string}   format        - md | json | html | txt
+ * @param {Function} write         - Called with each piece of the file
+ */
+async function exportConversations(project, conversations, format, write) {
+  const exporter = EXPORTERS[format];
+  write(exporter.start(project, new Date()));
+
+  for (const [index, stored] of conversations.entries()) {
+    const conversation = await ensureMessageTree(stored);
+    const messages = (await getActivePath(conversation)).filter(isPromptMessage);
+    write(exporter.conversation(conversation, messages, index));
+  }
+
+  write(exporter.end());
+}
+
+/**
+ * An import the file can't be read as; sent as a 400
+ */
+function importError(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+/**
+ * Text of a message's content: a string, or a list of text parts
+ * ({ type: 'text', text } or plain strings); other parts are left out
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map(part => (typeof part === 'string' ? part : part?.type === 'text' ? part.text : ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+function toDate(value) {
+  if (value == null) return null;
+  const date = new Date(typeof value === 'number' ? value * 1000 : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * The visible branch of a ChatGPT conversation: from current_node up
+ * through the parents of its mapping
+ */
+function fromChatGPT(conversation) {
+  const mapping = conversation.mapping || {};
+  const nodes = [];
+  let node = mapping[conversation.current_node];
+  while (node) {
+    nodes.unshift(node);
+    node = mapping[node.parent];
+  }
+
+  const messages = nodes
+    .map(node => node.message)
+    .filter(message => message
+      && IMPORT_ROLES.includes(message.author?.role)
+      && ['text', 'multimodal_text'].includes(message.content?.content_type)
+      && (!message.recipient || message.recipient === 'all')
+      && !message.metadata?.is_visually_hidden_from_conversation)
+    .map(message => ({
+      role: message.author.role,
+      content: contentText(message.content.parts),
+      createdAt: toDate(message.create_time),
+      model: message.metadata?.model_slug || null
+    }));
+
+  return { title: conversation.title, createdAt: toDate(conversation.create_time), messages };
+}
+
+function fromMessages(messages) {
+  return messages.map(message => ({
+    role: message.role,
+    content: contentText(message.content),
+    createdAt: toDate(message.createdAt),
+    model: message.role === 'assistant' && typeof message.model === 'string' ? message.model : null
+  }));
+}
+
+/**
+ * Parse an import file into conversations of { role, content, createdAt,
+ * model } messages
+ * @throws {Error} with statusCode 400 for files of another shape
+ */
+function parseImport(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw importError('The file is not valid JSON');
+  }
+
+  let conversations;
+  if (Array.isArray(json) && json.length && json.every(c => c && typeof c === 'object' && c.mapping)) {
+    conversations = json.map(fromChatGPT);
+  } else if (Array.isArray(json) && json.length && json.every(m => m && typeof m.role === 'string' && 'content' in m)) {
+    conversations = [{ title: null, createdAt: null, messages: fromMessages(json) }];
+  } else if (Array.isArray(json?.conversations)) {
+    conversations = json.conversations
+      .filter(c => Array.isArray(c?.messages))
+      .map(c => ({ title: c.title, createdAt: toDate(c.createdAt), messages: fromMessages(c.messages) }));
+  } else {
+    throw importError('Expected a ChatGPT conversations.json, a list of { role, content } messages or a conversation export');
+  }
+
+  conversations = conversations
+    .map(c => ({ ...c, messages: c.messages.filter(m => IMPORT_ROLES.includes(m.role) && m.content.trim()) }))
+    .filter(c => c.messages.length);
+  if (!conversations.length) {
+    throw importError('The file has no user or assistant messages to import');
+  }
+  return conversations;
+}
+
+/**
+ * Save parsed conversations in a project, each as a single branch
+ * Message times missing from the file, or out of order, are filled in
+ * from the ones before them.
+ *
+ * @returns {Promise<Array>} The created conversations
+ */
+async function importConversations(projectId, conversations) {
+  const created = [];
+  for (const imported of conversations) {
+    const start = imported.createdAt || imported.messages[0].createdAt || new Date();
+    let time = start.getTime() - 1;
+    let parentId = null;
+
+    const messages = imported.messages.map(message => {
+      time = Math.max(time + 1, message.createdAt?.getTime() ?? 0);
+      const row = {
+        id: uuidv4(),
+        role: message.role,
+        content: message.content,
+        createdAt: new Date(time),
+        projectId,
+        parentId,
+        ...(message.model ? { model: message.model } : {})
+      };
+      parentId = row.id;
+      return row;
+    });
+
+    const firstUser = imported.messages.find(m => m.role === 'user');
+    const title = imported.title?.trim().slice(0, 200) || titleFromMessage(firstUser?.content || '');
+
+    created.push(await prisma.$transaction(async (tx) => {
+      const conversation = await tx.conversation.create({
+        data: { title, projectId, createdAt: start }
+      });
+      await tx.message.createMany({
+        data: messages.map(message => ({ ...message, conversationId: conversation.id }))
+      });
+      return tx.conversation.update({
+        where: { id: conversation.id },
+        data: { activeLeafId: parentId },
+        include: { _count: { select: { messages: true } } }
+      });
+    }));
+  }
+  return created;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORTERS,
+  MAX_IMPORT_SIZE,
+  exportConversations,
+  parseImport,
+  importConversations
+};
@@ -0,0 +1,23 @@
+/**
+ * Express `trust proxy` setting from TRUST_PROXY
+ *
+ * Behind a reverse proxy (e.g. Render), trusting its X-Forwarded-For
+ * gives per-IP rate limits the client addresses. Express trusts any
+ * string it is given as proxy addresses, so "false" must become false
+ * or clients could set their own IP.
+ */
+
+/**
+ * Parse TRUST_PROXY: a hop count, true/false, or proxy IPs and subnets
+ * (comma-separated, or Express names such as loopback)
+ * An empty or missing value trusts no proxy.
+ */
+function parseTrustProxy(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed || trimmed.toLowerCase() === 'false') return false;
+  if (trimmed.toLowerCase() === 'true') return true;
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return trimmed;
+}
+
+module.exports = { parseTrustProxy };
@@ -26,6 +26,13 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload errors (file too large, unexpected field)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      error: err.message
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
@@ -0,0 +1,97 @@
+const { consume } = require('../lib/ratelimit');
+const { MAX_LANES } = require('../lib/compare');
+
+/**
+ * Rate limiting middleware (limits and stores are in lib/ratelimit)
+ * Sets RateLimit-Limit/-Remaining/-Reset/-Policy headers for the limit
+ * closest to running out and rejects with 429 and Retry-After once one
+ * is exceeded. If the store fails, requests are let through.
+ */
+
+const secondsUntil = (time) => Math.max(0, Math.ceil((time - Date.now()) / 1000));
+
+/**
+ * Set the RateLimit-* headers for the rule closest to its limit
+ */
+function setHeaders(res, results) {
+  if (!results.length) return;
+
+  const remaining = (result) => Math.max(0, result.limit - result.count);
+  const tightest = results.reduce((a, b) => (remaining(b) / b.limit < remaining(a) / a.limit ? b : a));
+
+  res.setHeader('RateLimit-Limit', tightest.limit);
+  res.setHeader('RateLimit-Remaining', remaining(tightest));
+  res.setHeader('RateLimit-Reset', secondsUntil(tightest.resetAt));
+  res.setHeader('RateLimit-Policy', results.map(r => `${r.limit};w=${r.windowMs / 1000}`).join(', '));
+}
+
+/**
+ * Send a 429 for the exceeded rules, retrying after the last one resets
+ */
+function rejectRequest(res, exceeded) {
+  const retryAfter = Math.max(...exceeded.map(result => secondsUntil(result.resetAt)));
+  const rule = exceeded[0];
+  const unit = rule.kind === 'auth' ? 'requests' : rule.kind;
+
+  res.setHeader('Retry-After', retryAfter);
+  res.status(429).json({
+    error: 'Too many requests',
+    details: `Limit of ${rule.limit} ${unit} per ${rule.window} reached`,
+    limit: rule.kind,
+    retryAfter
+  });
+}
+
+/**
+ * Limit chat requests per user: counts the messages a request asks the
+ * model for (`countMessages(req)`) and checks the token quota used by
+ * earlier replies
+ * Must run after authenticate
+ */
+const limitMessages = (countMessages) => async (req, res, next) => {
+  try {
+    const messages = await consume('messages', req.user.id, countMessages(req));
+    const tokens = await consume('tokens', req.user.id, 0);
+    setHeaders(res, [...messages, ...tokens]);
+
+    const exceeded = [
+      ...messages.filter(result => result.count > result.limit),
+      ...tokens.filter(result => result.count >= result.limit)
+    ];
+    if (exceeded.length) {
+      return rejectRequest(res, exceeded);
+    }
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
+  }
+  next();
+};
+
+// One reply per request
+const limitChat = limitMessages(() => 1);
+
+// Compare mode: one reply per lane (see lib/compare.js)
+const limitCompare = limitMessages((req) => {
+  const lanes = Array.isArray(req.body?.lanes) ? req.body.lanes.length : 1;
+  return Math.min(Math.max(lanes, 1), MAX_LANES);
+});
+
+/**
+ * Limit requests per client IP (for the public auth routes)
+ */
+const limitAuth = async (req, res, next) => {
+  try {
+    const results = await consume('auth', req.ip, 1);
+    setHeaders(res, results);
+
+    const exceeded = results.filter(result => result.count > result.limit);
+    if (exceeded.length) {
+      return rejectRequest(res, exceeded);
+    }
+  } catch (error) {
+    console.error('Rate limit store error:', error.message);
+  }
+  next();
+};
+
+module.exports = { limitChat, limitCompare, limitAuth };
@@ -0,0 +1,194 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { body, param, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { formatAttachment } = require('../lib/messages');
+const { ATTACHMENT_TYPES, MAX_ATTACHMENT_SIZE, attachmentsDir } = require('../lib/attachments');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Ensure attachments directory exists
+if (!fs.existsSync(attachmentsDir)) {
+  fs.mkdirSync(attachmentsDir, { recursive: true });
+}
+
+// Thumbnails are small data URLs made by the client
+const MAX_THUMBNAIL_LENGTH = 200 * 1024;
+const THUMBNAIL_PATTERN = /^data:image\/(png|jpeg|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, attachmentsDir);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${uuidv4()}${path.extname(file.originalname)}`);
+    }
+  }),
+  limits: {
+    fileSize: MAX_ATTACHMENT_SIZE
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Only PNG, JPEG, GIF and WebP images can be attached'), { statusCode: 400 }), false);
+    }
+  }
+});
+
+const attachmentParams = [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  param('attachmentId').isUUID().withMessage('Invalid attachment ID')
+];
+
+/**
+ * Find an attachment in a project owned by the current user
+ */
+function findAttachment(req) {
+  return prisma.attachment.findFirst({
+    where: {
+      id: req.params.attachmentId,
+      projectId: req.params.projectId,
+      project: { userId: req.user.id }
+    }
+  });
+}
+
+/**
+ * @route   POST /api/attachments/:projectId
+ * @desc    Upload an image to send with a chat message (field `file`,
+ *          optional `thumbnail` data URL)
+ * @access  Private
+ */
+router.post('/:projectId', [
+  param('projectId').isUUID().withMessage('Invalid project ID')
+], upload.single('file'), [
+  body('thumbnail').optional()
+    .isLength({ max: MAX_THUMBNAIL_LENGTH }).withMessage('Thumbnail is too large')
+    .matches(THUMBNAIL_PATTERN).withMessage('Thumbnail must be a PNG, JPEG or WebP data URL')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      if (req.file) fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    const { projectId } = req.params;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      fs.unlinkSync(req.file.path);
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const attachment = await prisma.attachment.create({
+      data: {
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        path: req.file.path,
+        thumbnail: req.body.thumbnail || null,
+        projectId
+      }
+    });
+
+    res.status(201).json({ attachment: formatAttachment(attachment) });
+  } catch (error) {
+    // Clean up file on error
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/attachments/:projectId/:attachmentId
+ * @desc    Get an attached image
+ * @access  Private
+ */
+router.get('/:projectId/:attachmentId', attachmentParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const attachment = await findAttachment(req);
+
+    if (!attachment || !fs.existsSync(attachment.path)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.type(attachment.mimeType);
+    res.sendFile(attachment.path);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/attachments/:projectId/:attachmentId
+ * @desc    Remove an image that has not been sent yet
+ * @access  Private
+ */
+router.delete('/:projectId/:attachmentId', attachmentParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const attachment = await findAttachment(req);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    if (attachment.messageId) {
+      return res.status(409).json({ error: 'Attachment was already sent' });
+    }
+
+    if (fs.existsSync(attachment.path)) {
+      fs.unlinkSync(attachment.path);
+    }
+
+    await prisma.attachment.delete({
+      where: { id: attachment.id }
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
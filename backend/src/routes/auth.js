@@ -4,6 +4,7 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticate } = require('../middleware/auth');
+const { limitAuth } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
@@ -26,7 +27,7 @@ const loginValidation = [
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', registerValidation, async (req, res, next) => {
+router.post('/register', limitAuth, registerValidation, async (req, res, next) => {
   try {
     // Check validation
     const errors = validationResult(req);
@@ -91,7 +92,7 @@ router.post('/register', registerValidation, async (req, res, next) => {
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', loginValidation, async (req, res, next) => {
+router.post('/login', limitAuth, loginValidation, async (req, res, next) => {
   try {
     // Check validation
     const errors = validationResult(req);
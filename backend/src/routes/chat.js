@@ -1,86 +1,297 @@
+const { randomUUID } = require('crypto');
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticate } = require('../middleware/auth');
+const { limitChat, limitCompare } = require('../middleware/rateLimit');
+const { getUnsummarizedHistory, scheduleSummaryUpdate } = require('../lib/summary');
+const { resolveConversation } = require('../lib/conversations');
+const { ensureMessageTree, loadMessageTree, findUserMessage, getPath, setActiveLeaf } = require('../lib/branches');
+const { formatMessage } = require('../lib/messages');
+const { runAgent } = require('../lib/agent');
+const { startReply } = require('../lib/replies');
+const { currentRevisionId } = require('../lib/revisions');
+const { createStream, attachClient, findStream, stopStream } = require('../lib/streams');
+const { recordTokens } = require('../lib/ratelimit');
+const { buildPrompt } = require('../lib/promptBuilder');
+const { OutputValidationError } = require('../lib/output');
+const {
+  GuardrailError,
+  parseGuardrails,
+  applyGuardrails,
+  hasOutputRules,
+  guardReply,
+  blockedInputError,
+  guardrailData
+} = require('../lib/guardrails');
+const { MAX_LANES, laneProject, changesSettings, laneSnapshot, laneLabel } = require('../lib/compare');
+const {
+  MAX_ATTACHMENTS,
+  findAttachments,
+  imageInputError,
+  attachToMessage,
+  copyAttachments
+} = require('../lib/attachments');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Validation rules
+const chatValidation = [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  // A message may be only images
+  body('message').default('').trim()
+    .custom((message, { req }) => Boolean(message) || req.body.attachmentIds?.length > 0)
+    .withMessage('Message is required'),
+  body('conversationId').optional({ values: 'null' }).isUUID().withMessage('Invalid conversation ID'),
+  body('attachmentIds').optional()
+    .isArray({ max: MAX_ATTACHMENTS }).withMessage(`Attach at most ${MAX_ATTACHMENTS} images`),
+  body('attachmentIds.*').isUUID().withMessage('Invalid attachment ID')
+];
+
+// Compare mode: lanes of replaced settings (see lib/compare.js)
+const compareValidation = [
+  ...chatValidation,
+  body('lanes').isArray({ min: 2, max: MAX_LANES }).withMessage(`Compare 2 to ${MAX_LANES} lanes`),
+  body('lanes.*').isObject().withMessage('Each lane must be an object of settings'),
+  body('lanes.*.label').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 60 }).withMessage('Lane labels must be at most 60 characters'),
+  body('lanes.*.model').optional({ values: 'null' }).isString().trim()
+    .isLength({ max: 200 }).withMessage('Lane models must be at most 200 characters'),
+  body('lanes.*.temperature').optional({ values: 'null' })
+    .isFloat({ min: 0, max: 2 }).withMessage('Temperature must be between 0 and 2').toFloat(),
+  body('lanes.*.topP').optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1 }).withMessage('Top P must be between 0 and 1').toFloat(),
+  body('lanes.*.maxTokens').optional({ values: 'null' })
+    .isInt({ min: 1, max: 200000 }).withMessage('Max tokens must be between 1 and 200000').toInt(),
+  body('lanes.*.systemPrompt').optional({ values: 'null' }).isString()
+    .isLength({ max: 100000 }).withMessage('Lane system prompts must be at most 100000 characters')
+];
+
+const messageParams = [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  param('messageId').isUUID().withMessage('Invalid message ID')
+];
+
+/**
+ * Build the prompt for a conversation's active branch, with its running
+ * summary (see lib/promptBuilder.js)
+ */
+async function preparePrompt(project, conversation, user) {
+  const { history, summary } = await getUnsummarizedHistory(conversation);
+
+  const prompt = await buildPrompt(project, { history, summary, user });
+  prompt.window.summaryMessageId = summary ? conversation.summaryMessageId : null;
+  return prompt;
+}
+
+/**
+ * Message columns recording the model, token usage and cost of a reply
+ */
+function usageData({ model, usage, cost }) {
+  return {
+    model,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    cost
+  };
+}
+
+/**
+ * Message columns for a validated structured reply
+ */
+function outputData({ data }) {
+  return data === undefined ? {} : { data: JSON.stringify(data) };
+}
+
 /**
- * Call OpenRouter API for chat completion (uses free models)
+ * Generate the reply to a saved user message, sending its events with
+ * `send`: context, the agent's events (see runAgent) and done with the
+ * saved reply (null when nothing was generated). A reply that fails is
+ * saved as failed and sent in the done event; errors before it exists
+ * are sent as an error event. Resolves with the saved reply, if any.
+ * `extra` columns are saved on the reply, and `revisionId` is the revision
+ * it is credited to (see startReply).
+ *
+ * When the project has output guardrails, the reply's text is held back
+ * and sent as one chunk once it has passed them, so neither the client
+ * nor the resumable stream buffer ever gets text they would change.
  */
-async function callLLM(messages, systemPrompt) {
-  const apiKey = process.env.OPENROUTER_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('OpenRouter API key not configured');
+async function generateReply(req, { project, conversation, userMessage, send, signal, revisionId, extra = {} }) {
+  let reply;
+  try {
+    reply = await startReply({ project, conversation, parentId: userMessage.id, revisionId });
+
+    // Report which messages were sent to the model
+    const prompt = await preparePrompt(project, conversation, req.user);
+    send('context', prompt.window);
+
+    const guardrails = parseGuardrails(project.guardrails);
+    const holdText = hasOutputRules(guardrails);
+
+    // Stream from the configured LLM provider; tool calls and their
+    // results are sent as tool_call and tool_result events
+    const result = await runAgent({
+      prompt,
+      project,
+      conversation,
+      parentId: userMessage.id,
+      stream: true,
+      user: req.user,
+      onEvent: (type, data) => {
+        reply.track(type, data);
+        if (!(holdText && type === 'chunk')) send(type, data);
+      },
+      signal
+    });
+    const { parentId, toolMessages, stopped } = result;
+    recordTokens(req.user.id, result.usage);
+
+    const guarded = guardReply(guardrails, result, prompt.output);
+    const fullResponse = guarded.content;
+    if (holdText && fullResponse) send('chunk', fullResponse);
+
+    // Nothing to keep if generation stopped before the model wrote anything
+    if (stopped && !fullResponse && toolMessages.length === 0) {
+      await reply.discard();
+      send('done', null);
+      return null;
+    }
+
+    // Save assistant message, marked if it is a partial reply
+    const assistantMessage = await reply.complete({
+      content: fullResponse,
+      parentId,
+      stopped,
+      sources: prompt.window.sources.length ? JSON.stringify(prompt.window.sources) : null,
+      ...usageData(result),
+      ...outputData(guarded),
+      ...guardrailData([...prompt.violations, ...result.violations, ...guarded.violations]),
+      ...extra
+    });
+
+    scheduleSummaryUpdate(conversation.id, prompt.window);
+
+    send('done', formatMessage(assistantMessage));
+    return assistantMessage;
+  } catch (error) {
+    console.error('Stream error:', error);
+    if (error.usage) recordTokens(req.user.id, error.usage);
+    const failed = reply && await reply.fail(error).catch(() => null);
+    if (failed) {
+      send('done', formatMessage(failed));
+    } else {
+      send('error', error.message);
+    }
+    return failed;
   }
+}
+
+/**
+ * Stream the reply to a saved user message as server-sent events
+ * The user message must be the conversation's active leaf. The reply is
+ * generated into a resumable stream (see lib/streams.js), so it survives
+ * a dropped connection.
+ */
+async function streamReply(req, res, { project, conversation, userMessage }) {
+  const stream = createStream({ userId: req.user.id, projectId: project.id });
+  attachClient(stream, res);
 
-  // Prepare messages with system prompt
-  const formattedMessages = [];
-  
-  if (systemPrompt) {
-    formattedMessages.push({
-      role: 'system',
-      content: systemPrompt
+  try {
+    // Send conversation and user message events
+    stream.send('conversation', conversation);
+    stream.send('user_message', formatMessage(userMessage));
+
+    await generateReply(req, {
+      project,
+      conversation,
+      userMessage,
+      send: stream.send,
+      signal: stream.signal
     });
+  } finally {
+    stream.end();
+  }
+}
+
+/**
+ * Stream replies to a saved user message from several lanes at once (see
+ * lib/compare.js). After the lanes event, { lane, label }, each lane's
+ * events are sent as lane events, { lane, type, data }, with the types
+ * streamReply sends; done follows once every lane has finished. The
+ * first complete reply is made the active leaf until one is kept.
+ */
+async function streamComparison(req, res, { project, conversation, userMessage, lanes }) {
+  const stream = createStream({ userId: req.user.id, projectId: project.id });
+  attachClient(stream, res);
+  const comparisonId = randomUUID();
+
+  try {
+    stream.send('conversation', conversation);
+    stream.send('user_message', formatMessage(userMessage));
+    stream.send('lanes', lanes.map((lane, index) => ({ lane: index, label: laneLabel(project, lane) })));
+
+    // Lanes that change a setting run with settings no revision has, so
+    // their replies keep a snapshot of them
+    const revisionId = await currentRevisionId(project);
+    const replies = await Promise.all(lanes.map((lane, index) => {
+      const changed = changesSettings(project, lane);
+      return generateReply(req, {
+        project: laneProject(project, lane),
+        conversation,
+        userMessage,
+        send: (type, data) => stream.send('lane', { lane: index, type, data }),
+        signal: stream.signal,
+        revisionId: changed ? null : revisionId,
+        extra: { comparisonId, ...(changed ? { settings: laneSnapshot(project, lane) } : {}) }
+      });
+    }));
+
+    const leaf = replies.find(reply => reply?.status === 'complete') || replies.find(Boolean);
+    if (leaf) await setActiveLeaf(conversation.id, leaf.id);
+
+    stream.send('done', null);
+  } catch (error) {
+    console.error('Stream error:', error);
+    stream.send('error', error.message);
+  } finally {
+    stream.end();
   }
+}
 
-  // Add conversation history
-  formattedMessages.push(...messages.map(msg => ({
-    role: msg.role,
-    content: msg.content
-  })));
-
-  console.log('Calling OpenRouter API with model: nvidia/nemotron-nano-9b-v2:free');
-  
-  const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:5173',
-      'X-Title': 'shank.ai Chatbot'
+/**
+ * Find a message in a project owned by the current user, with its
+ * conversation's message tree
+ */
+async function findMessage(req) {
+  const { projectId, messageId } = req.params;
+
+  const message = await prisma.message.findFirst({
+    where: {
+      id: messageId,
+      projectId,
+      project: { userId: req.user.id },
+      conversationId: { not: null }
     },
-    body: JSON.stringify({
-      model: 'nvidia/nemotron-nano-9b-v2:free',
-      messages: formattedMessages,
-      max_tokens: 1024,
-      temperature: 0.7
-    })
+    include: { project: true, conversation: true, attachments: true }
   });
+  if (!message) return null;
 
-  const responseText = await response.text();
-  console.log('OpenRouter response status:', response.status);
-  
-  if (!response.ok) {
-    console.error('OpenRouter error:', responseText);
-    let errorMessage = 'Failed to get response from AI';
-    try {
-      const errorData = JSON.parse(responseText);
-      errorMessage = errorData.error?.message || errorMessage;
-    } catch (e) {
-      errorMessage = responseText || errorMessage;
-    }
-    throw new Error(errorMessage);
-  }
+  const conversation = await ensureMessageTree(message.conversation);
+  const tree = await loadMessageTree(conversation.id);
 
-  const data = JSON.parse(responseText);
-  console.log('OpenRouter success, got response');
-  return data.choices[0].message.content;
+  return { message, project: message.project, conversation, tree };
 }
 
 /**
  * @route   POST /api/chat/:projectId
- * @desc    Send a message and get AI response
+ * @desc    Send a message and get AI response; for projects with an
+ *          output schema, data is the parsed and validated reply
  * @access  Private
  */
-router.post('/:projectId', [
-  param('projectId').isUUID().withMessage('Invalid project ID'),
-  body('message').trim().notEmpty().withMessage('Message is required')
-], async (req, res, next) => {
+router.post('/:projectId', limitChat, chatValidation, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -91,19 +302,13 @@ router.post('/:projectId', [
     }
 
     const { projectId } = req.params;
-    const { message } = req.body;
+    const { message, conversationId } = req.body;
 
     // Check project ownership
     const project = await prisma.project.findFirst({
       where: { 
         id: projectId,
         userId: req.user.id 
-      },
-      include: {
-        messages: {
-          orderBy: { createdAt: 'asc' },
-          take: 50 // Limit context window
-        }
       }
     });
 
@@ -111,49 +316,98 @@ router.post('/:projectId', [
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Save user message
-    const userMessage = await prisma.message.create({
+    // Images must be uploaded to the project first and be readable by its model
+    const attachments = await findAttachments(projectId, req.body.attachmentIds);
+    if (!attachments) {
+      return res.status(400).json({ error: 'Attachment not found' });
+    }
+    const imageError = attachments.length ? imageInputError(project) : null;
+    if (imageError) {
+      return res.status(400).json(imageError);
+    }
+
+    // A message blocked by the project's guardrails is not saved
+    const input = applyGuardrails(parseGuardrails(project.guardrails), message, 'input');
+    if (input.blocked) {
+      return res.status(400).json(blockedInputError(input.violations));
+    }
+
+    // Find the target conversation, or start a new one
+    let conversation = await resolveConversation(projectId, conversationId, input.text);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    conversation = await ensureMessageTree(conversation);
+
+    // Save user message at the end of the active branch
+    const userMessage = await attachToMessage(await prisma.message.create({
       data: {
         role: 'user',
-        content: message,
-        projectId
+        content: input.text,
+        projectId,
+        conversationId: conversation.id,
+        parentId: conversation.activeLeafId,
+        ...guardrailData(input.violations)
       }
-    });
+    }), attachments);
+    conversation = await setActiveLeaf(conversation.id, userMessage.id);
 
     // Get AI response
-    const conversationHistory = [...project.messages, { role: 'user', content: message }];
-    
-    let aiResponse;
+    const reply = await startReply({ project, conversation, parentId: userMessage.id });
+
+    let prompt;
+    let result;
+    let guarded;
     try {
-      aiResponse = await callLLM(conversationHistory, project.systemPrompt);
+      prompt = await preparePrompt(project, conversation, req.user);
+      result = await runAgent({
+        prompt,
+        project,
+        conversation,
+        parentId: userMessage.id,
+        user: req.user,
+        onEvent: reply.track
+      });
+      recordTokens(req.user.id, result.usage);
+      guarded = guardReply(parseGuardrails(project.guardrails), result, prompt.output);
     } catch (error) {
       console.error('AI Error:', error);
-      // Save error as assistant message
-      await prisma.message.create({
-        data: {
-          role: 'assistant',
-          content: 'I apologize, but I encountered an error processing your request. Please try again.',
-          projectId
-        }
-      });
-      return res.status(503).json({ 
-        error: 'AI service temporarily unavailable',
-        details: error.message 
+      if (error.usage) recordTokens(req.user.id, error.usage);
+      // The failed reply stays in the conversation so it can be retried
+      const failed = await reply.fail(error);
+      const invalidOutput = error instanceof OutputValidationError;
+      const blocked = error instanceof GuardrailError;
+      return res.status(invalidOutput || blocked ? 422 : 503).json({
+        error: invalidOutput
+          ? 'Reply did not match the output schema'
+          : blocked ? 'Blocked by guardrails' : 'AI service temporarily unavailable',
+        details: error.message,
+        conversation,
+        userMessage: formatMessage(userMessage),
+        assistantMessage: formatMessage(failed)
       });
     }
 
     // Save assistant message
-    const assistantMessage = await prisma.message.create({
-      data: {
-        role: 'assistant',
-        content: aiResponse,
-        projectId
-      }
+    const assistantMessage = await reply.complete({
+      content: guarded.content,
+      parentId: result.parentId,
+      sources: prompt.window.sources.length ? JSON.stringify(prompt.window.sources) : null,
+      ...usageData(result),
+      ...outputData(guarded),
+      ...guardrailData([...prompt.violations, ...result.violations, ...guarded.violations])
     });
 
+    scheduleSummaryUpdate(conversation.id, prompt.window);
+
     res.json({
-      userMessage,
-      assistantMessage
+      conversation,
+      userMessage: formatMessage(userMessage),
+      toolMessages: result.toolMessages,
+      assistantMessage: formatMessage(assistantMessage),
+      data: guarded.data ?? null,
+      context: prompt.window
     });
   } catch (error) {
     next(error);
@@ -165,10 +419,7 @@ router.post('/:projectId', [
  * @desc    Send a message and get streaming AI response
  * @access  Private
  */
-router.post('/:projectId/stream', [
-  param('projectId').isUUID().withMessage('Invalid project ID'),
-  body('message').trim().notEmpty().withMessage('Message is required')
-], async (req, res, next) => {
+router.post('/:projectId/stream', limitChat, chatValidation, async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -179,19 +430,13 @@ router.post('/:projectId/stream', [
     }
 
     const { projectId } = req.params;
-    const { message } = req.body;
+    const { message, conversationId } = req.body;
 
     // Check project ownership
     const project = await prisma.project.findFirst({
       where: { 
         id: projectId,
         userId: req.user.id 
-      },
-      include: {
-        messages: {
-          orderBy: { createdAt: 'asc' },
-          take: 50
-        }
       }
     });
 
@@ -199,104 +444,318 @@ router.post('/:projectId/stream', [
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Save user message
-    const userMessage = await prisma.message.create({
+    // Images must be uploaded to the project first and be readable by its model
+    const attachments = await findAttachments(projectId, req.body.attachmentIds);
+    if (!attachments) {
+      return res.status(400).json({ error: 'Attachment not found' });
+    }
+    const imageError = attachments.length ? imageInputError(project) : null;
+    if (imageError) {
+      return res.status(400).json(imageError);
+    }
+
+    // A message blocked by the project's guardrails is not saved
+    const input = applyGuardrails(parseGuardrails(project.guardrails), message, 'input');
+    if (input.blocked) {
+      return res.status(400).json(blockedInputError(input.violations));
+    }
+
+    // Find the target conversation, or start a new one
+    let conversation = await resolveConversation(projectId, conversationId, input.text);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    conversation = await ensureMessageTree(conversation);
+
+    // Save user message at the end of the active branch
+    const userMessage = await attachToMessage(await prisma.message.create({
       data: {
         role: 'user',
-        content: message,
-        projectId
+        content: input.text,
+        projectId,
+        conversationId: conversation.id,
+        parentId: conversation.activeLeafId,
+        ...guardrailData(input.violations)
       }
-    });
+    }), attachments);
+    conversation = await setActiveLeaf(conversation.id, userMessage.id);
 
-    // Set up SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-
-    // Send user message event
-    res.write(`data: ${JSON.stringify({ type: 'user_message', data: userMessage })}\n\n`);
-
-    const apiKey = process.env.OPENROUTER_API_KEY;
-    if (!apiKey) {
-      res.write(`data: ${JSON.stringify({ type: 'error', data: 'API key not configured' })}\n\n`);
-      res.end();
-      return;
-    }
-
-    // Prepare messages
-    const formattedMessages = [];
-    if (project.systemPrompt) {
-      formattedMessages.push({ role: 'system', content: project.systemPrompt });
-    }
-    formattedMessages.push(...project.messages.map(m => ({ role: m.role, content: m.content })));
-    formattedMessages.push({ role: 'user', content: message });
-
-    // Stream from OpenRouter
-    const response = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        'HTTP-Referer': process.env.FRONTEND_URL || 'http://localhost:5173',
-        'X-Title': 'shank.ai Chatbot'
-      },
-      body: JSON.stringify({
-        model: 'nvidia/nemotron-nano-9b-v2:free',
-        messages: formattedMessages,
-        max_tokens: 1024,
-        temperature: 0.7,
-        stream: true
-      })
-    });
+    await streamReply(req, res, { project, conversation, userMessage });
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.write(`data: ${JSON.stringify({ type: 'error', data: error.message })}\n\n`);
+    res.end();
+  }
+});
 
-    if (!response.ok) {
-      const error = await response.json();
-      res.write(`data: ${JSON.stringify({ type: 'error', data: error.error?.message || 'AI error' })}\n\n`);
-      res.end();
-      return;
-    }
-
-    let fullResponse = '';
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n');
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') continue;
-          
-          try {
-            const parsed = JSON.parse(data);
-            const content = parsed.choices?.[0]?.delta?.content;
-            if (content) {
-              fullResponse += content;
-              res.write(`data: ${JSON.stringify({ type: 'chunk', data: content })}\n\n`);
-            }
-          } catch (e) {
-            // Skip invalid JSON
-          }
-        }
+/**
+ * @route   POST /api/chat/:projectId/compare
+ * @desc    Send a message and stream replies from 2-4 models or settings
+ *          at once, multiplexed as lane events; keep one with
+ *          POST /messages/:messageId/keep
+ * @access  Private
+ */
+router.post('/:projectId/compare', limitCompare, compareValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { projectId } = req.params;
+    const { message, conversationId, lanes } = req.body;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
       }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    // Save assistant message
-    const assistantMessage = await prisma.message.create({
+    // Images must be readable by every lane's model
+    const attachments = await findAttachments(projectId, req.body.attachmentIds);
+    if (!attachments) {
+      return res.status(400).json({ error: 'Attachment not found' });
+    }
+    const imageError = attachments.length
+      ? lanes.map(lane => imageInputError(laneProject(project, lane))).find(Boolean)
+      : null;
+    if (imageError) {
+      return res.status(400).json(imageError);
+    }
+
+    // A message blocked by the project's guardrails is not saved
+    const input = applyGuardrails(parseGuardrails(project.guardrails), message, 'input');
+    if (input.blocked) {
+      return res.status(400).json(blockedInputError(input.violations));
+    }
+
+    // Find the target conversation, or start a new one
+    let conversation = await resolveConversation(projectId, conversationId, input.text);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+    conversation = await ensureMessageTree(conversation);
+
+    // Save user message at the end of the active branch
+    const userMessage = await attachToMessage(await prisma.message.create({
       data: {
-        role: 'assistant',
-        content: fullResponse,
-        projectId
+        role: 'user',
+        content: input.text,
+        projectId,
+        conversationId: conversation.id,
+        parentId: conversation.activeLeafId,
+        ...guardrailData(input.violations)
       }
+    }), attachments);
+    conversation = await setActiveLeaf(conversation.id, userMessage.id);
+
+    await streamComparison(req, res, { project, conversation, userMessage, lanes });
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.write(`data: ${JSON.stringify({ type: 'error', data: error.message })}\n\n`);
+    res.end();
+  }
+});
+
+/**
+ * @route   GET /api/chat/:projectId/stream/resume
+ * @desc    Reconnect to a reply stream, replaying the events after the
+ *          Last-Event-ID header (or ?lastEventId=)
+ * @access  Private
+ */
+router.get('/:projectId/stream/resume', [
+  param('projectId').isUUID().withMessage('Invalid project ID')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
     });
+  }
+
+  const found = findStream(req.get('Last-Event-ID') || req.query.lastEventId, req.user.id);
+
+  if (!found || found.stream.projectId !== req.params.projectId) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
+  }
+
+  attachClient(found.stream, res, found.seq);
+});
+
+/**
+ * @route   POST /api/chat/:projectId/stream/:streamId/stop
+ * @desc    Stop generating a reply; the partial reply is saved as stopped
+ * @access  Private
+ */
+router.post('/:projectId/stream/:streamId/stop', [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  param('streamId').isUUID().withMessage('Invalid stream ID')
+], (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+
+  if (!stopStream(req.params.streamId, { userId: req.user.id, projectId: req.params.projectId })) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
+  }
+
+  res.json({ message: 'Generation stopped' });
+});
+
+/**
+ * @route   POST /api/chat/:projectId/messages/:messageId/regenerate
+ * @desc    Generate a new reply to a user message as a sibling branch of
+ *          the existing replies (streaming). The id may be the user message
+ *          or any reply to it.
+ * @access  Private
+ */
+router.post('/:projectId/messages/:messageId/regenerate', limitChat, messageParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const found = await findMessage(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const userMessage = findUserMessage(found.tree, found.message.id);
+
+    if (!userMessage) {
+      return res.status(400).json({ error: 'There is no user message to reply to' });
+    }
+
+    // Branch off after the user message
+    const conversation = await setActiveLeaf(found.conversation.id, userMessage.id);
+
+    await streamReply(req, res, { project: found.project, conversation, userMessage });
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.write(`data: ${JSON.stringify({ type: 'error', data: error.message })}\n\n`);
+    res.end();
+  }
+});
+
+/**
+ * @route   POST /api/chat/:projectId/messages/:messageId/retry
+ * @desc    Re-run generation for a failed reply (streaming). The failed
+ *          reply and any tool messages of its turn are replaced.
+ * @access  Private
+ */
+router.post('/:projectId/messages/:messageId/retry', limitChat, messageParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const found = await findMessage(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { message, tree } = found;
+
+    if (message.role !== 'assistant' || message.status !== 'failed') {
+      return res.status(400).json({ error: 'Only failed replies can be retried' });
+    }
+    if (tree.children.get(message.id)?.length) {
+      return res.status(409).json({ error: 'The conversation continued after this reply; regenerate it instead' });
+    }
+
+    const userMessage = findUserMessage(tree, message.id);
+
+    if (!userMessage) {
+      return res.status(400).json({ error: 'There is no user message to reply to' });
+    }
 
-    res.write(`data: ${JSON.stringify({ type: 'done', data: assistantMessage })}\n\n`);
+    // Drop the failed turn: everything after the user message on the way
+    // to the failed reply (deleting the first message cascades)
+    const path = getPath(tree, message.id);
+    const turnStart = path[path.indexOf(userMessage) + 1];
+    await prisma.message.delete({ where: { id: turnStart.id } });
+
+    const conversation = await setActiveLeaf(found.conversation.id, userMessage.id);
+
+    await streamReply(req, res, { project: found.project, conversation, userMessage });
+  } catch (error) {
+    console.error('Stream error:', error);
+    res.write(`data: ${JSON.stringify({ type: 'error', data: error.message })}\n\n`);
     res.end();
+  }
+});
+
+/**
+ * @route   POST /api/chat/:projectId/messages/:messageId/edit
+ * @desc    Save an edited copy of a user message as a sibling branch and
+ *          stream a reply to it
+ * @access  Private
+ */
+router.post('/:projectId/messages/:messageId/edit', limitChat, [
+  ...messageParams,
+  body('message').trim().notEmpty().withMessage('Message is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const found = await findMessage(req);
+
+    if (!found || found.message.role !== 'user') {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    // A message blocked by the project's guardrails is not saved
+    const input = applyGuardrails(parseGuardrails(found.project.guardrails), req.body.message, 'input');
+    if (input.blocked) {
+      return res.status(400).json(blockedInputError(input.violations));
+    }
+
+    // The edited message keeps the original's images
+    const userMessage = await copyAttachments(found.message.attachments, await prisma.message.create({
+      data: {
+        role: 'user',
+        content: input.text,
+        projectId: found.project.id,
+        conversationId: found.conversation.id,
+        parentId: found.message.parentId,
+        ...guardrailData(input.violations)
+      }
+    }));
+    const conversation = await setActiveLeaf(found.conversation.id, userMessage.id);
+
+    await streamReply(req, res, { project: found.project, conversation, userMessage });
   } catch (error) {
     console.error('Stream error:', error);
     res.write(`data: ${JSON.stringify({ type: 'error', data: error.message })}\n\n`);
@@ -304,4 +763,59 @@ router.post('/:projectId/stream', [
   }
 });
 
+/**
+ * @route   POST /api/chat/:projectId/messages/:messageId/keep
+ * @desc    Keep one reply of a comparison: the other lanes' replies are
+ *          deleted (unless the conversation continued after them) and
+ *          the kept reply becomes the active leaf
+ * @access  Private
+ */
+router.post('/:projectId/messages/:messageId/keep', messageParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const found = await findMessage(req);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const { message, tree } = found;
+
+    if (message.role !== 'assistant' || !message.comparisonId) {
+      return res.status(400).json({ error: 'Only compared replies can be kept' });
+    }
+    if (message.status !== 'complete' && message.status !== 'stopped') {
+      return res.status(400).json({ error: 'Only finished replies can be kept' });
+    }
+
+    // Drop the other lanes' turns: everything after the user message on
+    // the way to their replies (deleting the first message cascades)
+    const userMessage = findUserMessage(tree, message.id);
+    const others = [...tree.byId.values()].filter(m => m.comparisonId === message.comparisonId && m.id !== message.id);
+    for (const other of others) {
+      if (tree.children.get(other.id)?.length) continue;
+      const path = getPath(tree, other.id);
+      const turnStart = path[path.indexOf(userMessage) + 1];
+      await prisma.message.delete({ where: { id: turnStart.id } });
+    }
+
+    await prisma.message.updateMany({
+      where: { comparisonId: message.comparisonId },
+      data: { comparisonId: null }
+    });
+    const conversation = await setActiveLeaf(found.conversation.id, message.id);
+
+    res.json({ message: 'Reply kept', conversation });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,502 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { DEFAULT_CONVERSATION_TITLE, migrateLegacyMessages } = require('../lib/conversations');
+const { formatMessage } = require('../lib/messages');
+const { ensureMessageTree, loadMessageTree, findLeaf, getPath, withBranchInfo } = require('../lib/branches');
+const { EXPORT_FORMATS, EXPORTERS, MAX_IMPORT_SIZE, exportConversations, parseImport, importConversations } = require('../lib/transcripts');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validation rules
+const conversationParams = [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  param('conversationId').isUUID().withMessage('Invalid conversation ID')
+];
+
+// Import files are parsed in memory and not kept
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_SIZE
+  }
+});
+
+const titleValidation = body('title')
+  .trim()
+  .notEmpty().withMessage('Title is required')
+  .isLength({ max: 200 }).withMessage('Title must be at most 200 characters');
+
+/**
+ * Find a conversation in a project owned by the current user
+ */
+async function findConversation(req) {
+  const { projectId, conversationId } = req.params;
+
+  return prisma.conversation.findFirst({
+    where: {
+      id: conversationId,
+      projectId,
+      project: { userId: req.user.id }
+    }
+  });
+}
+
+/**
+ * @route   GET /api/conversations/:projectId
+ * @desc    List a project's conversations (?archived=true for archived ones)
+ * @access  Private
+ */
+router.get('/:projectId', [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  query('archived').optional().isBoolean().withMessage('archived must be true or false').toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { projectId } = req.params;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await migrateLegacyMessages(projectId);
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        projectId,
+        archived: req.query.archived ?? false
+      },
+      orderBy: { updatedAt: 'desc' },
+      include: {
+        _count: {
+          select: { messages: true }
+        }
+      }
+    });
+
+    res.json({ conversations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:projectId
+ * @desc    Start a new conversation
+ * @access  Private
+ */
+router.post('/:projectId', [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  body('title').optional().trim()
+    .isLength({ max: 200 }).withMessage('Title must be at most 200 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { projectId } = req.params;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        title: req.body.title || DEFAULT_CONVERSATION_TITLE,
+        projectId
+      }
+    });
+
+    res.status(201).json({
+      message: 'Conversation created successfully',
+      conversation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/conversations/:projectId/export
+ * @desc    Download a project's conversations (?format=md, json, html or
+ *          txt; ?conversationId= for one conversation), streamed one
+ *          conversation at a time
+ * @access  Private
+ */
+router.get('/:projectId/export', [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('conversationId').optional().isUUID().withMessage('Invalid conversation ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { projectId } = req.params;
+    const { format = 'md', conversationId } = req.query;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    await migrateLegacyMessages(projectId);
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        projectId,
+        ...(conversationId ? { id: conversationId } : {})
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (conversationId && !conversations.length) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.setHeader('Content-Type', EXPORTERS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="conversations.${format}"`);
+    await exportConversations(project, conversations, format, (text) => res.write(text));
+    res.end();
+  } catch (error) {
+    // Cut a download that already started short instead of ending it as
+    // if it were complete
+    if (res.headersSent) {
+      console.error('Conversation export failed:', error);
+      return res.destroy();
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/conversations/:projectId/import
+ * @desc    Import conversations from a JSON file (field `file`): a ChatGPT
+ *          conversations.json, a list of { role, content } messages or a
+ *          JSON export
+ * @access  Private
+ */
+router.post('/:projectId/import', [
+  param('projectId').isUUID().withMessage('Invalid project ID')
+], upload.single('file'), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { projectId } = req.params;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const conversations = await importConversations(projectId, parseImport(req.file.buffer.toString('utf8')));
+    const messageCount = conversations.reduce((sum, c) => sum + c._count.messages, 0);
+
+    res.status(201).json({
+      message: `Imported ${conversations.length} conversation${conversations.length === 1 ? '' : 's'} with ${messageCount} messages`,
+      conversations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Get the messages on a conversation's active branch, with branch info
+ */
+async function getBranchMessages(conversation) {
+  if (!conversation.activeLeafId) return [];
+
+  const tree = await loadMessageTree(conversation.id);
+  return withBranchInfo(tree, getPath(tree, conversation.activeLeafId)).map(formatMessage);
+}
+
+/**
+ * @route   GET /api/conversations/:projectId/:conversationId
+ * @desc    Get a conversation with the messages on its active branch
+ * @access  Private
+ */
+router.get('/:projectId/:conversationId', conversationParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingConversation = await findConversation(req);
+
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await ensureMessageTree(existingConversation);
+    const messages = await getBranchMessages(conversation);
+
+    res.json({ conversation: { ...conversation, messages } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:projectId/:conversationId
+ * @desc    Rename a conversation
+ * @access  Private
+ */
+router.put('/:projectId/:conversationId', [
+  ...conversationParams,
+  titleValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingConversation = await findConversation(req);
+
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await prisma.conversation.update({
+      where: { id: existingConversation.id },
+      data: { title: req.body.title }
+    });
+
+    res.json({
+      message: 'Conversation renamed successfully',
+      conversation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:projectId/:conversationId/archive
+ * @desc    Archive or unarchive a conversation
+ * @access  Private
+ */
+router.put('/:projectId/:conversationId/archive', [
+  ...conversationParams,
+  body('archived').isBoolean().withMessage('archived must be true or false').toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingConversation = await findConversation(req);
+
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await prisma.conversation.update({
+      where: { id: existingConversation.id },
+      data: { archived: req.body.archived }
+    });
+
+    res.json({
+      message: req.body.archived ? 'Conversation archived' : 'Conversation restored',
+      conversation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:projectId/:conversationId/branch
+ * @desc    Switch to the branch containing a message (its newest continuation)
+ * @access  Private
+ */
+router.put('/:projectId/:conversationId/branch', [
+  ...conversationParams,
+  body('messageId').isUUID().withMessage('Invalid message ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingConversation = await findConversation(req);
+
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await ensureMessageTree(existingConversation);
+    const tree = await loadMessageTree(existingConversation.id);
+
+    if (!tree.byId.has(req.body.messageId)) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const conversation = await prisma.conversation.update({
+      where: { id: existingConversation.id },
+      data: { activeLeafId: findLeaf(tree, req.body.messageId).id }
+    });
+
+    res.json({
+      conversation,
+      messages: withBranchInfo(tree, getPath(tree, conversation.activeLeafId)).map(formatMessage)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/conversations/:projectId/:conversationId/summary
+ * @desc    Edit or clear the running conversation summary
+ * @access  Private
+ */
+router.put('/:projectId/:conversationId/summary', [
+  ...conversationParams,
+  body('summary').optional({ values: 'null' }).isString().withMessage('Summary must be text')
+    .isLength({ max: 20000 }).withMessage('Summary must be at most 20000 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existingConversation = await findConversation(req);
+
+    if (!existingConversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const summary = req.body.summary?.trim() || null;
+
+    // Clearing the summary sends the covered messages to the model again
+    const conversation = await prisma.conversation.update({
+      where: { id: existingConversation.id },
+      data: summary
+        ? { summary, summaryUpdatedAt: new Date() }
+        : { summary: null, summaryMessageId: null, summaryUpdatedAt: null }
+    });
+
+    res.json({
+      message: summary ? 'Summary updated successfully' : 'Summary cleared successfully',
+      conversation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/conversations/:projectId/:conversationId
+ * @desc    Delete a conversation and its messages
+ * @access  Private
+ */
+router.delete('/:projectId/:conversationId', conversationParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const conversation = await findConversation(req);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await prisma.conversation.delete({
+      where: { id: conversation.id }
+    });
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
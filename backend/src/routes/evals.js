@@ -0,0 +1,348 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { limitChat } = require('../middleware/rateLimit');
+const {
+  MAX_EVAL_CASES,
+  checkCaseInput,
+  checkAssertions,
+  startEvalRun,
+  formatEvalCase,
+  formatEvalRun
+} = require('../lib/evals');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validation rules
+const projectParam = param('projectId').isUUID().withMessage('Invalid project ID');
+
+const caseValidation = [
+  projectParam,
+  body('name').trim().notEmpty().withMessage('Case name is required')
+    .isLength({ max: 200 }).withMessage('Case name must be at most 200 characters'),
+  body('input').custom((input) => {
+    const errors = checkCaseInput(input);
+    if (errors.length) throw new Error(errors.join('; '));
+    return true;
+  }),
+  body('assertions').custom((assertions) => {
+    const errors = checkAssertions(assertions);
+    if (errors.length) throw new Error(errors.join('; '));
+    return true;
+  })
+];
+
+/**
+ * Find a project owned by the current user
+ */
+function findProject(req) {
+  return prisma.project.findFirst({
+    where: { id: req.params.projectId, userId: req.user.id }
+  });
+}
+
+/**
+ * @route   GET /api/evals/:projectId/cases
+ * @desc    List a project's eval cases
+ * @access  Private
+ */
+router.get('/:projectId/cases', [projectParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const project = await findProject(req);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const cases = await prisma.evalCase.findMany({
+      where: { projectId: project.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ cases: cases.map(formatEvalCase) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/evals/:projectId/cases
+ * @desc    Add an eval case (`name`, `input` messages, `assertions`)
+ * @access  Private
+ */
+router.post('/:projectId/cases', caseValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const project = await findProject(req);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const count = await prisma.evalCase.count({ where: { projectId: project.id } });
+    if (count >= MAX_EVAL_CASES) {
+      return res.status(400).json({ error: `A project can have at most ${MAX_EVAL_CASES} eval cases` });
+    }
+
+    const { name, input, assertions } = req.body;
+    const evalCase = await prisma.evalCase.create({
+      data: {
+        name,
+        input: JSON.stringify(input),
+        assertions: JSON.stringify(assertions),
+        projectId: project.id
+      }
+    });
+
+    res.status(201).json({ case: formatEvalCase(evalCase) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/evals/:projectId/cases/:caseId
+ * @desc    Update an eval case
+ * @access  Private
+ */
+router.put('/:projectId/cases/:caseId', [
+  ...caseValidation,
+  param('caseId').isUUID().withMessage('Invalid case ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const existing = await prisma.evalCase.findFirst({
+      where: {
+        id: req.params.caseId,
+        projectId: req.params.projectId,
+        project: { userId: req.user.id }
+      }
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Eval case not found' });
+    }
+
+    const { name, input, assertions } = req.body;
+    const evalCase = await prisma.evalCase.update({
+      where: { id: existing.id },
+      data: {
+        name,
+        input: JSON.stringify(input),
+        assertions: JSON.stringify(assertions)
+      }
+    });
+
+    res.json({ case: formatEvalCase(evalCase) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/evals/:projectId/cases/:caseId
+ * @desc    Delete an eval case
+ * @access  Private
+ */
+router.delete('/:projectId/cases/:caseId', [
+  projectParam,
+  param('caseId').isUUID().withMessage('Invalid case ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { count } = await prisma.evalCase.deleteMany({
+      where: {
+        id: req.params.caseId,
+        projectId: req.params.projectId,
+        project: { userId: req.user.id }
+      }
+    });
+    if (!count) {
+      return res.status(404).json({ error: 'Eval case not found' });
+    }
+
+    res.json({ message: 'Eval case deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/evals/:projectId/runs
+ * @desc    List a project's eval runs, newest first (without case results)
+ * @access  Private
+ */
+router.get('/:projectId/runs', [projectParam], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const project = await findProject(req);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const runs = await prisma.evalRun.findMany({
+      where: { projectId: project.id },
+      orderBy: { createdAt: 'desc' },
+      include: { revision: { select: { number: true } } }
+    });
+
+    res.json({ runs: runs.map(run => formatEvalRun(run)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/evals/:projectId/runs
+ * @desc    Run the project's eval suite with its current settings
+ *          Responds 202 with the running run; poll it for the report
+ * @access  Private
+ */
+router.post('/:projectId/runs', [projectParam], limitChat, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const project = await findProject(req);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const [cases, running] = await Promise.all([
+      prisma.evalCase.count({ where: { projectId: project.id } }),
+      prisma.evalRun.count({ where: { projectId: project.id, status: 'running', source: 'api' } })
+    ]);
+    if (!cases) {
+      return res.status(400).json({ error: 'Add an eval case before running the suite' });
+    }
+    if (running) {
+      return res.status(409).json({ error: 'The suite is already running' });
+    }
+
+    const { run } = await startEvalRun({ project, user: req.user, source: 'api' });
+
+    res.status(202).json({ run: formatEvalRun(run, { full: true }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/evals/:projectId/runs/:runId
+ * @desc    Get an eval run with its case results
+ * @access  Private
+ */
+router.get('/:projectId/runs/:runId', [
+  projectParam,
+  param('runId').isUUID().withMessage('Invalid run ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const run = await prisma.evalRun.findFirst({
+      where: {
+        id: req.params.runId,
+        projectId: req.params.projectId,
+        project: { userId: req.user.id }
+      },
+      include: { revision: { select: { number: true } } }
+    });
+    if (!run) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+
+    res.json({ run: formatEvalRun(run, { full: true }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/evals/:projectId/runs/:runId
+ * @desc    Delete a finished eval run
+ * @access  Private
+ */
+router.delete('/:projectId/runs/:runId', [
+  projectParam,
+  param('runId').isUUID().withMessage('Invalid run ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const run = await prisma.evalRun.findFirst({
+      where: {
+        id: req.params.runId,
+        projectId: req.params.projectId,
+        project: { userId: req.user.id }
+      }
+    });
+    if (!run) {
+      return res.status(404).json({ error: 'Eval run not found' });
+    }
+    if (run.status === 'running') {
+      return res.status(409).json({ error: 'The run has not finished yet' });
+    }
+
+    await prisma.evalRun.delete({ where: { id: run.id } });
+
+    res.json({ message: 'Eval run deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
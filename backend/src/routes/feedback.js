@@ -0,0 +1,180 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { dateRangeFilter } = require('../lib/dateRange');
+const { FEEDBACK_SELECT } = require('../lib/messages');
+const { FEEDBACK_RATINGS, DATASET_FORMATS, exportDataset } = require('../lib/feedback');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validation rules
+const messageParams = [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  param('messageId').isUUID().withMessage('Invalid message ID')
+];
+
+const feedbackValidation = [
+  ...messageParams,
+  body('rating').isIn(FEEDBACK_RATINGS).withMessage(`Rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`),
+  body('comment').optional({ values: 'null' }).isString().withMessage('Comment must be text').trim()
+    .isLength({ max: 2000 }).withMessage('Comment must be at most 2000 characters'),
+  body('correction').optional({ values: 'null' }).isString().withMessage('Correction must be text').trim()
+    .isLength({ max: 20000 }).withMessage('Correction must be at most 20000 characters')
+];
+
+const exportValidation = [
+  query('format').optional().isIn(DATASET_FORMATS).withMessage(`Format must be one of: ${DATASET_FORMATS.join(', ')}`),
+  query('projectId').optional().isUUID().withMessage('Invalid project ID'),
+  query('rating').optional().isIn(FEEDBACK_RATINGS).withMessage(`Rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+  // Left as written: a date-only value includes the whole day (see lib/dateRange.js)
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+/**
+ * Find an assistant reply in a project owned by the current user
+ */
+async function findReply(req) {
+  const { projectId, messageId } = req.params;
+
+  return prisma.message.findFirst({
+    where: {
+      id: messageId,
+      projectId,
+      role: 'assistant',
+      project: { userId: req.user.id }
+    }
+  });
+}
+
+/**
+ * @route   GET /api/feedback/export
+ * @desc    Download rated replies as a JSONL dataset (?format=openai for
+ *          chat fine-tuning, ?format=preference for chosen/rejected pairs),
+ *          filtered by ?projectId=, ?rating= and the ?from= / ?to= dates
+ *          the feedback was given
+ * @access  Private
+ */
+router.get('/export', exportValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { format = 'openai', projectId, rating, from, to } = req.query;
+
+    if (projectId) {
+      const project = await prisma.project.findFirst({
+        where: { id: projectId, userId: req.user.id }
+      });
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
+    const createdAt = dateRangeFilter(from, to);
+
+    const where = {
+      userId: req.user.id,
+      ...(projectId ? { projectId } : {}),
+      ...(rating ? { rating } : {}),
+      ...(createdAt ? { createdAt } : {})
+    };
+
+    res.setHeader('Content-Type', 'application/jsonl; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="feedback-${format}.jsonl"`);
+    await exportDataset(where, format, req.user, (line) => res.write(line));
+    res.end();
+  } catch (error) {
+    // Cut a download that already started short instead of ending it as
+    // if it were complete
+    if (res.headersSent) {
+      console.error('Dataset export failed:', error);
+      return res.destroy();
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route   PUT /api/feedback/:projectId/messages/:messageId
+ * @desc    Rate an assistant reply, with an optional comment and corrected
+ *          answer (replaces earlier feedback on it)
+ * @access  Private
+ */
+router.put('/:projectId/messages/:messageId', feedbackValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const message = await findReply(req);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (message.status !== 'complete' && message.status !== 'stopped') {
+      return res.status(400).json({ error: 'Only finished replies can be rated' });
+    }
+
+    const data = {
+      rating: req.body.rating,
+      comment: req.body.comment || null,
+      correction: req.body.correction || null
+    };
+
+    const feedback = await prisma.messageFeedback.upsert({
+      where: { messageId: message.id },
+      create: { ...data, messageId: message.id, projectId: message.projectId, userId: req.user.id },
+      update: data,
+      select: FEEDBACK_SELECT
+    });
+
+    res.json({ feedback });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   DELETE /api/feedback/:projectId/messages/:messageId
+ * @desc    Remove the feedback on a reply
+ * @access  Private
+ */
+router.delete('/:projectId/messages/:messageId', messageParams, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const message = await findReply(req);
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    await prisma.messageFeedback.deleteMany({ where: { messageId: message.id } });
+
+    res.json({ message: 'Feedback deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const { v4: uuidv4 } = require('uuid');
 const { param, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticate } = require('../middleware/auth');
+const { indexFile, removeFileIndex } = require('../lib/rag');
 
 const router = express.Router();
 
@@ -106,9 +107,17 @@ router.post('/:projectId', [
       }
     });
 
+    // Extract and index the text for retrieval
+    await indexFile(file);
+
+    const indexedFile = await prisma.file.findUnique({
+      where: { id: file.id },
+      include: { _count: { select: { chunks: true } } }
+    });
+
     res.status(201).json({
       message: 'File uploaded successfully',
-      file
+      file: indexedFile
     });
   } catch (error) {
     // Clean up file on error
@@ -152,7 +161,8 @@ router.get('/:projectId', [
 
     const files = await prisma.file.findMany({
       where: { projectId },
-      orderBy: { createdAt: 'desc' }
+      orderBy: { createdAt: 'desc' },
+      include: { _count: { select: { chunks: true } } }
     });
 
     res.json({ files });
@@ -210,6 +220,9 @@ router.delete('/:projectId/:fileId', [
       fs.unlinkSync(file.path);
     }
 
+    // Remove its chunks from the retrieval index
+    await removeFileIndex(file);
+
     // Delete database record
     await prisma.file.delete({
       where: { id: fileId }
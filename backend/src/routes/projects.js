@@ -1,7 +1,26 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const prisma = require('../lib/prisma');
 const { authenticate } = require('../middleware/auth');
+const { CONTEXT_STRATEGIES } = require('../lib/context');
+const { listTools } = require('../lib/tools');
+const { checkSchema } = require('../lib/jsonSchema');
+const { checkGuardrails, parseGuardrails } = require('../lib/guardrails');
+const { MAX_SUB_AGENTS } = require('../lib/delegation');
+const {
+  VARIABLE_NAME,
+  BUILT_IN_VARIABLES,
+  parsePromptVariables,
+  findUnknownVariables,
+  renderTemplate
+} = require('../lib/prompts');
+const {
+  REVISION_FIELDS,
+  parseSnapshot,
+  recordRevision,
+  diffRevisions,
+  formatRevision
+} = require('../lib/revisions');
 
 const router = express.Router();
 
@@ -12,9 +31,229 @@ router.use(authenticate);
 const projectValidation = [
   body('name').trim().notEmpty().withMessage('Project name is required'),
   body('description').optional().trim(),
-  body('systemPrompt').optional().trim()
+  body('systemPrompt').optional().trim(),
+  body('promptVariables').optional({ values: 'null' })
+    .isObject().withMessage('Prompt variables must be an object of names and default values')
+    .custom(variables => {
+      const entries = Object.entries(variables);
+      if (entries.length > 50) throw new Error('At most 50 prompt variables are allowed');
+      for (const [name, value] of entries) {
+        if (!VARIABLE_NAME.test(name) || BUILT_IN_VARIABLES.includes(name)) {
+          throw new Error(`Invalid prompt variable name: ${name}`);
+        }
+        if (typeof value !== 'string' || value.length > 10000) {
+          throw new Error(`Prompt variable ${name} must be text of at most 10000 characters`);
+        }
+      }
+      return true;
+    }),
+
+  // Model and generation settings (null resets to the provider default)
+  body('model').optional({ values: 'null' }).trim()
+    .isLength({ max: 200 }).withMessage('Model must be at most 200 characters'),
+  body('temperature').optional({ values: 'null' })
+    .isFloat({ min: 0, max: 2 }).withMessage('Temperature must be between 0 and 2').toFloat(),
+  body('topP').optional({ values: 'null' })
+    .isFloat({ min: 0, max: 1 }).withMessage('Top P must be between 0 and 1').toFloat(),
+  body('maxTokens').optional({ values: 'null' })
+    .isInt({ min: 1, max: 200000 }).withMessage('Max tokens must be between 1 and 200000').toInt(),
+  body('stopSequences').optional({ values: 'null' })
+    .isArray({ max: 4 }).withMessage('Stop sequences must be a list of at most 4 entries'),
+  body('stopSequences.*')
+    .isString().isLength({ min: 1, max: 100 }).withMessage('Each stop sequence must be 1-100 characters'),
+  body('fallbackModels').optional({ values: 'null' })
+    .isArray({ max: 5 }).withMessage('Fallback models must be a list of at most 5 models'),
+  body('fallbackModels.*')
+    .isString().trim().isLength({ min: 1, max: 200 }).withMessage('Each fallback model must be 1-200 characters'),
+  body('presencePenalty').optional({ values: 'null' })
+    .isFloat({ min: -2, max: 2 }).withMessage('Presence penalty must be between -2 and 2').toFloat(),
+  body('frequencyPenalty').optional({ values: 'null' })
+    .isFloat({ min: -2, max: 2 }).withMessage('Frequency penalty must be between -2 and 2').toFloat(),
+
+  // Context window settings
+  body('contextStrategy').optional()
+    .isIn(CONTEXT_STRATEGIES).withMessage(`Context strategy must be one of: ${CONTEXT_STRATEGIES.join(', ')}`),
+  body('contextTokenBudget').optional({ values: 'null' })
+    .isInt({ min: 256, max: 1000000 }).withMessage('Context token budget must be between 256 and 1000000').toInt(),
+  body('contextKeepFirst').optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 }).withMessage('Pinned first messages must be between 0 and 100').toInt(),
+
+  // Tools the model may call
+  body('enabledTools').optional({ values: 'null' })
+    .isArray().withMessage('Enabled tools must be a list of tool names'),
+  body('enabledTools.*')
+    .custom(name => listTools().some(tool => tool.name === name)).withMessage('Unknown tool'),
+
+  // Structured output (a JSON Schema object; null turns it off)
+  body('outputSchema').optional({ values: 'null' })
+    .custom(schema => {
+      const problems = checkSchema(schema);
+      if (problems.length) throw new Error(`Invalid output schema: ${problems.join('; ')}`);
+      return true;
+    }),
+  body('outputRetries').optional({ values: 'null' })
+    .isInt({ min: 0, max: 5 }).withMessage('Output retries must be between 0 and 5').toInt(),
+
+  // Guardrails (an object of rules; null turns them off)
+  body('guardrails').optional({ values: 'null' })
+    .custom(guardrails => {
+      const problems = checkGuardrails(guardrails);
+      if (problems.length) throw new Error(`Invalid guardrails: ${problems.join('; ')}`);
+      return true;
+    }),
+
+  // Other projects of the user this one can delegate to
+  body('subAgents').optional({ values: 'null' })
+    .isArray({ max: MAX_SUB_AGENTS }).withMessage(`Sub-agents must be a list of at most ${MAX_SUB_AGENTS} projects`),
+  body('subAgents.*').isUUID().withMessage('Invalid sub-agent project ID')
 ];
 
+/**
+ * Pick the writable project fields from a validated request body
+ * Fields left undefined are not changed on update
+ */
+function getProjectData(body) {
+  const {
+    name,
+    description,
+    systemPrompt,
+    promptVariables,
+    model,
+    temperature,
+    topP,
+    maxTokens,
+    stopSequences,
+    presencePenalty,
+    frequencyPenalty,
+    fallbackModels,
+    contextStrategy,
+    contextTokenBudget,
+    contextKeepFirst,
+    enabledTools,
+    outputSchema,
+    outputRetries,
+    guardrails,
+    subAgents
+  } = body;
+
+  return {
+    name,
+    description,
+    systemPrompt,
+    promptVariables: promptVariables === undefined
+      ? undefined
+      : (Object.keys(promptVariables || {}).length ? JSON.stringify(promptVariables) : null),
+    model: model === undefined ? undefined : (model || null),
+    temperature,
+    topP,
+    maxTokens,
+    stopSequences: stopSequences === undefined
+      ? undefined
+      : (stopSequences?.length ? JSON.stringify(stopSequences) : null),
+    presencePenalty,
+    frequencyPenalty,
+    fallbackModels: fallbackModels === undefined
+      ? undefined
+      : (fallbackModels?.length ? JSON.stringify([...new Set(fallbackModels)]) : null),
+    contextStrategy,
+    contextTokenBudget,
+    contextKeepFirst,
+    enabledTools: enabledTools === undefined
+      ? undefined
+      : (enabledTools?.length ? JSON.stringify([...new Set(enabledTools)]) : null),
+    outputSchema: outputSchema === undefined
+      ? undefined
+      : (outputSchema ? JSON.stringify(outputSchema) : null),
+    outputRetries,
+    guardrails: guardrails === undefined
+      ? undefined
+      : (Object.keys(guardrails || {}).length ? JSON.stringify(guardrails) : null),
+    subAgents: subAgents === undefined
+      ? undefined
+      : (subAgents?.length ? JSON.stringify([...new Set(subAgents)]) : null)
+  };
+}
+
+/**
+ * Format a project for API responses
+ */
+function formatProject(project) {
+  // Unreadable values are returned as empty
+  const parseJson = (value, empty) => {
+    if (!value) return empty;
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return empty;
+    }
+  };
+
+  return {
+    ...project,
+    stopSequences: parseJson(project.stopSequences, []),
+    fallbackModels: parseJson(project.fallbackModels, []),
+    enabledTools: parseJson(project.enabledTools, []),
+    subAgents: parseJson(project.subAgents, []),
+    promptVariables: parsePromptVariables(project.promptVariables),
+    outputSchema: parseJson(project.outputSchema, null),
+    guardrails: parseGuardrails(project.guardrails)
+  };
+}
+
+/**
+ * Validation error for variables in the system prompt that would not be
+ * rendered (unknown names, files the project doesn't have), or null
+ * `project` is the saved project on update. A new project has no files
+ * yet, so {{file:...}} variables are only checked on update.
+ */
+async function checkPromptVariables(body, project = null) {
+  const systemPrompt = body.systemPrompt ?? project?.systemPrompt;
+  const variables = body.promptVariables !== undefined
+    ? (body.promptVariables || {})
+    : parsePromptVariables(project?.promptVariables);
+  const files = project
+    ? await prisma.file.findMany({ where: { projectId: project.id }, select: { originalName: true } })
+    : null;
+
+  const unknown = findUnknownVariables(systemPrompt, { variables, fileNames: files && files.map(f => f.originalName) });
+  if (!unknown.length) return null;
+
+  return {
+    error: 'Validation failed',
+    details: [{
+      type: 'field',
+      path: 'systemPrompt',
+      location: 'body',
+      msg: `Unknown variables in the system prompt: ${unknown.map(name => `{{${name}}}`).join(', ')}`,
+      unknown
+    }]
+  };
+}
+
+/**
+ * Validation error for sub-agents that are not other projects of the
+ * user, or null
+ */
+async function checkSubAgents(body, userId, projectId = null) {
+  const ids = [...new Set(body.subAgents || [])];
+  if (!ids.length) return null;
+
+  const owned = await prisma.project.count({
+    where: { id: { in: ids, not: projectId ?? undefined }, userId }
+  });
+  if (owned === ids.length) return null;
+
+  return {
+    error: 'Validation failed',
+    details: [{
+      type: 'field',
+      path: 'subAgents',
+      location: 'body',
+      msg: 'Sub-agents must be your other projects'
+    }]
+  };
+}
+
 /**
  * @route   GET /api/projects
  * @desc    Get all projects for current user
@@ -32,7 +271,7 @@ router.get('/', async (req, res, next) => {
       }
     });
 
-    res.json({ projects });
+    res.json({ projects: projects.map(formatProject) });
   } catch (error) {
     next(error);
   }
@@ -53,20 +292,31 @@ router.post('/', projectValidation, async (req, res, next) => {
       });
     }
 
-    const { name, description, systemPrompt } = req.body;
+    const variablesError = await checkPromptVariables(req.body);
+    if (variablesError) {
+      return res.status(400).json(variablesError);
+    }
 
-    const project = await prisma.project.create({
-      data: {
-        name,
-        description,
-        systemPrompt,
-        userId: req.user.id
-      }
+    const subAgentsError = await checkSubAgents(req.body, req.user.id);
+    if (subAgentsError) {
+      return res.status(400).json(subAgentsError);
+    }
+
+    // The first revision is saved with the project
+    const project = await prisma.$transaction(async (tx) => {
+      const created = await tx.project.create({
+        data: {
+          ...getProjectData(req.body),
+          userId: req.user.id
+        }
+      });
+      await recordRevision(created, { authorId: req.user.id, db: tx });
+      return created;
     });
 
     res.status(201).json({ 
       message: 'Project created successfully',
-      project 
+      project: formatProject(project)
     });
   } catch (error) {
     next(error);
@@ -75,7 +325,7 @@ router.post('/', projectValidation, async (req, res, next) => {
 
 /**
  * @route   GET /api/projects/:id
- * @desc    Get a single project with messages
+ * @desc    Get a single project with its conversations and files
  * @access  Private
  */
 router.get('/:id', [
@@ -96,11 +346,13 @@ router.get('/:id', [
         userId: req.user.id 
       },
       include: {
-        messages: {
-          orderBy: { createdAt: 'asc' }
+        conversations: {
+          where: { archived: false },
+          orderBy: { updatedAt: 'desc' }
         },
         files: {
-          orderBy: { createdAt: 'desc' }
+          orderBy: { createdAt: 'desc' },
+          include: { _count: { select: { chunks: true } } }
         }
       }
     });
@@ -109,7 +361,7 @@ router.get('/:id', [
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    res.json({ project });
+    res.json({ project: formatProject(project) });
   } catch (error) {
     next(error);
   }
@@ -145,20 +397,30 @@ router.put('/:id', [
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const { name, description, systemPrompt } = req.body;
+    const variablesError = await checkPromptVariables(req.body, existingProject);
+    if (variablesError) {
+      return res.status(400).json(variablesError);
+    }
 
-    const project = await prisma.project.update({
-      where: { id: req.params.id },
-      data: {
-        name,
-        description,
-        systemPrompt
-      }
+    const subAgentsError = await checkSubAgents(req.body, req.user.id, existingProject.id);
+    if (subAgentsError) {
+      return res.status(400).json(subAgentsError);
+    }
+
+    // Keep the previous settings: save a revision if anything changed
+    const project = await prisma.$transaction(async (tx) => {
+      await recordRevision(existingProject, { authorId: existingProject.userId, db: tx });
+      const updated = await tx.project.update({
+        where: { id: req.params.id },
+        data: getProjectData(req.body)
+      });
+      await recordRevision(updated, { authorId: req.user.id, db: tx });
+      return updated;
     });
 
     res.json({ 
       message: 'Project updated successfully',
-      project 
+      project: formatProject(project)
     });
   } catch (error) {
     next(error);
@@ -166,50 +428,249 @@ router.put('/:id', [
 });
 
 /**
- * @route   DELETE /api/projects/:id
- * @desc    Delete a project
+ * @route   POST /api/projects/:id/prompt-preview
+ * @desc    Render a system prompt template for the current user, listing
+ *          unknown variables. Unsaved settings in the body (name,
+ *          description, systemPrompt, promptVariables, guardrails) replace
+ *          the saved ones.
  * @access  Private
  */
-router.delete('/:id', [
+router.post('/:id/prompt-preview', [
+  param('id').isUUID().withMessage('Invalid project ID'),
+  body('name').optional().isString().withMessage('Project name must be text'),
+  body('description').optional({ values: 'null' }).isString().withMessage('Description must be text'),
+  body('systemPrompt').optional({ values: 'null' }).isString().withMessage('System prompt must be text'),
+  body('promptVariables').optional({ values: 'null' })
+    .isObject().withMessage('Prompt variables must be an object of names and default values'),
+  body('guardrails').optional({ values: 'null' })
+    .custom(guardrails => {
+      const problems = checkGuardrails(guardrails);
+      if (problems.length) throw new Error(`Invalid guardrails: ${problems.join('; ')}`);
+      return true;
+    })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const project = await prisma.project.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    // Unsaved settings from the body replace the saved ones
+    const { name, description, systemPrompt, promptVariables, guardrails } = req.body;
+    const preview = {
+      ...project,
+      ...(name !== undefined ? { name } : {}),
+      ...(description !== undefined ? { description } : {})
+    };
+    const template = systemPrompt !== undefined ? systemPrompt : project.systemPrompt;
+    const variables = promptVariables !== undefined
+      ? (promptVariables || {})
+      : parsePromptVariables(project.promptVariables);
+    const { prompt, unknown } = await renderTemplate(template || '', {
+      project: preview,
+      user: req.user,
+      variables,
+      guardrails: guardrails !== undefined ? (guardrails || {}) : parseGuardrails(project.guardrails)
+    });
+
+    res.json({
+      prompt,
+      unknown,
+      variables: [...BUILT_IN_VARIABLES, ...Object.keys(variables)]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Find a revision of a project owned by the current user
+ */
+function findRevision(req, revisionId) {
+  return prisma.projectRevision.findFirst({
+    where: {
+      id: revisionId,
+      projectId: req.params.id,
+      project: { userId: req.user.id }
+    },
+    include: { author: { select: { id: true, name: true } } }
+  });
+}
+
+/**
+ * @route   GET /api/projects/:id/revisions
+ * @desc    List a project's setting revisions, newest first
+ * @access  Private
+ */
+router.get('/:id/revisions', [
   param('id').isUUID().withMessage('Invalid project ID')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        error: 'Validation failed', 
-        details: errors.array() 
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
       });
     }
 
-    // Check ownership
-    const existingProject = await prisma.project.findFirst({
-      where: { 
+    const project = await prisma.project.findFirst({
+      where: {
         id: req.params.id,
-        userId: req.user.id 
+        userId: req.user.id
       }
     });
 
-    if (!existingProject) {
+    if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    await prisma.project.delete({
-      where: { id: req.params.id }
+    // Projects saved before revisions existed start with their current settings
+    await recordRevision(project, { authorId: project.userId });
+
+    const revisions = await prisma.projectRevision.findMany({
+      where: { projectId: project.id },
+      orderBy: { number: 'desc' },
+      include: { author: { select: { id: true, name: true } } }
     });
 
-    res.json({ message: 'Project deleted successfully' });
+    res.json({ revisions: revisions.map(revision => formatRevision(revision)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/revisions/diff
+ * @desc    Changes between two revisions (?from=&to= revision ids)
+ * @access  Private
+ */
+router.get('/:id/revisions/diff', [
+  param('id').isUUID().withMessage('Invalid project ID'),
+  query('from').isUUID().withMessage('Invalid from revision ID'),
+  query('to').isUUID().withMessage('Invalid to revision ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [from, to] = await Promise.all([
+      findRevision(req, req.query.from),
+      findRevision(req, req.query.to)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: formatRevision(from),
+      to: formatRevision(to),
+      changes: diffRevisions(from, to)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/projects/:id/revisions/:revisionId
+ * @desc    Get a revision with its settings
+ * @access  Private
+ */
+router.get('/:id/revisions/:revisionId', [
+  param('id').isUUID().withMessage('Invalid project ID'),
+  param('revisionId').isUUID().withMessage('Invalid revision ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const revision = await findRevision(req, req.params.revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision: formatRevision(revision, { full: true }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/projects/:id/revisions/:revisionId/restore
+ * @desc    Restore a revision's settings, saved as a new revision
+ * @access  Private
+ */
+router.post('/:id/revisions/:revisionId/restore', [
+  param('id').isUUID().withMessage('Invalid project ID'),
+  param('revisionId').isUUID().withMessage('Invalid revision ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const revision = await findRevision(req, req.params.revisionId);
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const snapshot = parseSnapshot(revision);
+    const project = await prisma.$transaction(async (tx) => {
+      const updated = await tx.project.update({
+        where: { id: req.params.id },
+        data: Object.fromEntries(REVISION_FIELDS.map(field => [field, snapshot[field]]))
+      });
+      await recordRevision(updated, { authorId: req.user.id, restoredFromId: revision.id, db: tx });
+      return updated;
+    });
+
+    res.json({
+      message: `Restored revision ${revision.number}`,
+      project: formatProject(project)
+    });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * @route   GET /api/projects/:id/messages
- * @desc    Get messages for a project
+ * @route   DELETE /api/projects/:id
+ * @desc    Delete a project
  * @access  Private
  */
-router.get('/:id/messages', [
+router.delete('/:id', [
   param('id').isUUID().withMessage('Invalid project ID')
 ], async (req, res, next) => {
   try {
@@ -222,23 +683,22 @@ router.get('/:id/messages', [
     }
 
     // Check ownership
-    const project = await prisma.project.findFirst({
+    const existingProject = await prisma.project.findFirst({
       where: { 
         id: req.params.id,
         userId: req.user.id 
       }
     });
 
-    if (!project) {
+    if (!existingProject) {
       return res.status(404).json({ error: 'Project not found' });
     }
 
-    const messages = await prisma.message.findMany({
-      where: { projectId: req.params.id },
-      orderBy: { createdAt: 'asc' }
+    await prisma.project.delete({
+      where: { id: req.params.id }
     });
 
-    res.json({ messages });
+    res.json({ message: 'Project deleted successfully' });
   } catch (error) {
     next(error);
   }
@@ -246,7 +706,7 @@ router.get('/:id/messages', [
 
 /**
  * @route   DELETE /api/projects/:id/messages
- * @desc    Clear all messages in a project
+ * @desc    Clear all messages and conversations in a project
  * @access  Private
  */
 router.delete('/:id/messages', [
@@ -277,6 +737,10 @@ router.delete('/:id/messages', [
       where: { projectId: req.params.id }
     });
 
+    await prisma.conversation.deleteMany({
+      where: { projectId: req.params.id }
+    });
+
     res.json({ message: 'Chat history cleared successfully' });
   } catch (error) {
     next(error);
@@ -0,0 +1,19 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { listTools } = require('../lib/tools');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/tools
+ * @desc    List the tools projects can enable
+ * @access  Private
+ */
+router.get('/', (req, res) => {
+  res.json({ tools: listTools() });
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const prisma = require('../lib/prisma');
+const { authenticate } = require('../middleware/auth');
+const { dateRangeFilter } = require('../lib/dateRange');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validation rules
+const rangeValidation = [
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date').toDate(),
+  // Left as written: a date-only value includes the whole day (see lib/dateRange.js)
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
+const USAGE_SUMS = { promptTokens: true, completionTokens: true, cost: true };
+const USAGE_COUNTS = { _all: true, cost: true };
+
+// Model calls the report counts: the model they are saved in and which
+// of its rows count. Failed replies count when the model was called
+// before they failed; eval runs count, whatever their status, once they
+// have spent tokens.
+const USAGE_SOURCES = {
+  replies: {
+    model: 'message',
+    where: {
+      role: 'assistant',
+      OR: [
+        { status: { in: ['complete', 'stopped'] } },
+        { status: 'failed', promptTokens: { not: null } }
+      ]
+    }
+  },
+  summaries: { model: 'summaryUpdate', where: {} },
+  evals: { model: 'evalRun', where: { promptTokens: { gt: 0 } } }
+};
+
+/**
+ * Format an aggregate/groupBy row as usage totals
+ * `unpriced` counts model calls whose model has no price, so their cost
+ * is missing from the total
+ */
+function formatTotals(row) {
+  const promptTokens = row._sum.promptTokens || 0;
+  const completionTokens = row._sum.completionTokens || 0;
+
+  return {
+    calls: row._count._all,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    cost: row._sum.cost || 0,
+    unpriced: row._count._all - row._count.cost
+  };
+}
+
+/**
+ * Add up usage totals
+ */
+function sumTotals(list) {
+  const sum = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpriced: 0 };
+  for (const totals of list) {
+    for (const key of Object.keys(sum)) sum[key] += totals[key];
+  }
+  return sum;
+}
+
+/**
+ * Usage of every source in the requested date range, in total and
+ * grouped by a field
+ * Totals carry `messages`, the number of replies, next to `calls`.
+ * Returns { totals, sources: { [source]: totals }, groups: [{ [by], ...totals }] }
+ */
+async function collectUsage(req, where, by) {
+  const createdAt = dateRangeFilter(req.query.from, req.query.to);
+
+  const results = await Promise.all(Object.entries(USAGE_SOURCES).map(async ([name, source]) => {
+    const sourceWhere = { ...where, ...source.where, ...(createdAt ? { createdAt } : {}) };
+    const [total, groups] = await Promise.all([
+      prisma[source.model].aggregate({ where: sourceWhere, _sum: USAGE_SUMS, _count: USAGE_COUNTS }),
+      prisma[source.model].groupBy({ by: [by], where: sourceWhere, _sum: USAGE_SUMS, _count: USAGE_COUNTS })
+    ]);
+    return { name, total: formatTotals(total), groups };
+  }));
+
+  const groups = new Map();
+  for (const { name, groups: rows } of results) {
+    for (const row of rows) {
+      const group = groups.get(row[by]) || {};
+      group[name] = formatTotals(row);
+      groups.set(row[by], group);
+    }
+  }
+
+  const withMessages = (bySource) => ({
+    messages: bySource.replies?.calls || 0,
+    ...sumTotals(Object.values(bySource))
+  });
+  const sources = Object.fromEntries(results.map(({ name, total }) => [name, total]));
+
+  return {
+    totals: withMessages(sources),
+    sources,
+    groups: [...groups]
+      .map(([key, bySource]) => ({ [by]: key, ...withMessages(bySource) }))
+      .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens)
+  };
+}
+
+/**
+ * @route   GET /api/usage
+ * @desc    Token usage and cost of the current user's model calls, in
+ *          total, per source and per project (?from= and ?to= limit the
+ *          date range)
+ * @access  Private
+ */
+router.get('/', rangeValidation, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [usage, projects] = await Promise.all([
+      collectUsage(req, { project: { userId: req.user.id } }, 'projectId'),
+      prisma.project.findMany({
+        where: { userId: req.user.id },
+        select: { id: true, name: true }
+      })
+    ]);
+
+    const names = new Map(projects.map(p => [p.id, p.name]));
+
+    res.json({
+      from: req.query.from || null,
+      to: req.query.to || null,
+      totals: usage.totals,
+      sources: usage.sources,
+      projects: usage.groups.map(row => ({ ...row, name: names.get(row.projectId) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/usage/projects/:projectId
+ * @desc    Token usage and cost of a project's model calls, in total, per
+ *          source and per model (?from= and ?to= limit the date range)
+ * @access  Private
+ */
+router.get('/projects/:projectId', [
+  param('projectId').isUUID().withMessage('Invalid project ID'),
+  ...rangeValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { projectId } = req.params;
+
+    // Check project ownership
+    const project = await prisma.project.findFirst({
+      where: {
+        id: projectId,
+        userId: req.user.id
+      }
+    });
+
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const usage = await collectUsage(req, { projectId }, 'model');
+
+    res.json({
+      from: req.query.from || null,
+      to: req.query.to || null,
+      totals: usage.totals,
+      sources: usage.sources,
+      models: usage.groups
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
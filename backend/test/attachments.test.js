@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const { removeStaleAttachments } = require('../src/lib/attachments');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('unsent attachments and unused image files are removed after a day', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+  const now = Date.now();
+  const image = (name, age) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, 'png');
+    const time = new Date(now - age);
+    fs.utimesSync(file, time, time);
+    return file;
+  };
+  const attachment = (file, age, messageId = null) => db.seed('attachment', {
+    originalName: path.basename(file),
+    mimeType: 'image/png',
+    size: 3,
+    path: file,
+    projectId: 'project-1',
+    messageId,
+    createdAt: new Date(now - age)
+  });
+
+  const sent = attachment(image('sent.png', 2 * DAY), 2 * DAY, 'message-1');
+  // An edit's copy of a sent image shares the file
+  const copy = attachment(sent.path, DAY / 2, 'message-2');
+  const pending = attachment(image('pending.png', DAY / 2), DAY / 2);
+  const stale = attachment(image('stale.png', 2 * DAY), 2 * DAY);
+  // Left behind by a deleted conversation
+  const orphan = image('orphan.png', 2 * DAY);
+  // Being uploaded: the file is written before its row
+  const uploading = image('uploading.png', 0);
+
+  const removed = await removeStaleAttachments({ now, dir });
+
+  assert.deepEqual(removed, { attachments: 1, files: 2 });
+  assert.deepEqual(db.rows('attachment').map(a => a.id).sort(), [sent.id, copy.id, pending.id].sort());
+  assert.ok(fs.existsSync(sent.path));
+  assert.ok(fs.existsSync(pending.path));
+  assert.ok(fs.existsSync(uploading));
+  assert.ok(!fs.existsSync(stale.path));
+  assert.ok(!fs.existsSync(orphan));
+});
@@ -0,0 +1,135 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const setScript = require('./helpers/mockScript').useMockScript();
+const { startApp, readEvents } = require('./helpers/app');
+const chatRoutes = require('../src/routes/chat');
+const { WITHHELD_REPLY } = require('../src/lib/guardrails');
+const { exportDataset } = require('../src/lib/feedback');
+
+let app;
+let user;
+let project;
+
+before(async () => {
+  app = await startApp({ '/api/chat': chatRoutes });
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  db.reset();
+  user = db.seed('user', { email: 'chat@example.com', name: 'Chat' });
+  project = db.seed('project', { name: 'Support', userId: user.id, contextStrategy: 'sliding_window' });
+  setScript([{ reply: 'Write to support@example.com for help.' }]);
+});
+
+function streamMessage(message) {
+  return app.request(`/api/chat/${project.id}/stream`, { user, method: 'POST', body: { message } });
+}
+
+const streamedText = (events) => events.filter(e => e.type === 'chunk').map(e => e.data).join('');
+
+test('streams the reply as it is generated', async () => {
+  const events = await readEvents(await streamMessage('How do I get help?'));
+
+  assert.equal(streamedText(events), 'Write to support@example.com for help.');
+  assert.equal(events.at(-1).type, 'done');
+});
+
+test('holds the reply back until it passes the output guardrails', async () => {
+  project.guardrails = JSON.stringify({ pii: { action: 'redact', types: ['email'] } });
+
+  const events = await readEvents(await streamMessage('How do I get help?'));
+  const chunks = events.filter(e => e.type === 'chunk');
+
+  assert.equal(chunks.length, 1);
+  assert.equal(chunks[0].data, 'Write to [EMAIL] for help.');
+  assert.equal(events.at(-1).data.content, 'Write to [EMAIL] for help.');
+
+  // A reconnecting client gets the same guarded text from the stream buffer
+  const resumed = await readEvents(await app.request(`/api/chat/${project.id}/stream/resume`, {
+    user,
+    headers: { 'Last-Event-ID': events[0].id }
+  }));
+  assert.equal(streamedText(resumed), 'Write to [EMAIL] for help.');
+  assert.doesNotMatch(JSON.stringify(resumed), /support@example\.com/);
+});
+
+test('compare lanes hold their replies back too', async () => {
+  project.guardrails = JSON.stringify({ blockedTerms: { action: 'block', terms: ['support@example.com'] } });
+
+  const response = await app.request(`/api/chat/${project.id}/compare`, {
+    user,
+    method: 'POST',
+    body: { message: 'How do I get help?', lanes: [{ temperature: 0 }, { temperature: 1 }] }
+  });
+  const events = (await readEvents(response)).filter(e => e.type === 'lane');
+
+  for (const lane of [0, 1]) {
+    const laneEvents = events.filter(e => e.data.lane === lane).map(e => e.data);
+    assert.equal(streamedText(laneEvents), WITHHELD_REPLY);
+    assert.equal(laneEvents.at(-1).data.content, WITHHELD_REPLY);
+  }
+});
+
+test('only credits lanes that keep the project\'s settings to its revision', async () => {
+  const response = await app.request(`/api/chat/${project.id}/compare`, {
+    user,
+    method: 'POST',
+    body: { message: 'Hello', lanes: [{ label: 'As saved' }, { temperature: 0.5 }, { model: 'other-model' }] }
+  });
+  const replies = (await readEvents(response))
+    .filter(e => e.type === 'lane' && e.data.type === 'done')
+    .sort((a, b) => a.data.lane - b.data.lane)
+    .map(e => e.data.data);
+
+  const revisions = db.rows('projectRevision');
+  assert.equal(revisions.length, 1);
+  assert.deepEqual(replies.map(reply => reply.revisionId), [revisions[0].id, null, null]);
+});
+
+test('exports lane replies with the settings their lane ran with', async () => {
+  project.systemPrompt = 'You are the support team.';
+  const response = await app.request(`/api/chat/${project.id}/compare`, {
+    user,
+    method: 'POST',
+    body: { message: 'Hello', lanes: [{ label: 'As saved' }, { systemPrompt: 'Answer in one word.' }] }
+  });
+  await readEvents(response);
+
+  const replies = db.rows('message').filter(m => m.role === 'assistant');
+  const lane = replies.find(reply => reply.settings);
+  assert.equal(JSON.parse(lane.settings).systemPrompt, 'Answer in one word.');
+
+  // The stub returns rows without relations, so the feedback carries them
+  for (const reply of replies) {
+    db.seed('messageFeedback', { messageId: reply.id, rating: 'up', message: { ...reply, project, revision: null } });
+  }
+  const lines = [];
+  await exportDataset({}, 'openai', user, line => lines.push(JSON.parse(line)));
+
+  const systemPrompts = lines.map(line => line.messages[0].content).sort();
+  assert.deepEqual(systemPrompts, ['Answer in one word.', 'You are the support team.']);
+});
+
+test('a stream can only be stopped through its own project', async () => {
+  const other = db.seed('project', { name: 'Other', userId: user.id, contextStrategy: 'sliding_window' });
+  setScript([{ reply: 'A slow answer.', latencyMs: 300 }]);
+
+  const response = await streamMessage('Take your time');
+  const reader = response.body.getReader();
+  const { value } = await reader.read();
+  const streamId = /^id: ([0-9a-f-]{36}):/m.exec(Buffer.from(value).toString())[1];
+  const stop = projectId => app.request(`/api/chat/${projectId}/stream/${streamId}/stop`, { user, method: 'POST' });
+
+  assert.equal((await stop(other.id)).status, 404);
+  assert.equal((await stop(project.id)).status, 200);
+
+  let text = Buffer.from(value).toString();
+  for (let read = await reader.read(); !read.done; read = await reader.read()) {
+    text += Buffer.from(read.value).toString();
+  }
+  assert.match(text, /"type":"done"/);
+  assert.doesNotMatch(text, /slow answer/);
+});
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { dateRangeFilter } = require('../src/lib/dateRange');
+
+test('a date-only end includes that whole day', () => {
+  assert.deepEqual(dateRangeFilter(new Date('2025-01-01'), '2025-01-31'), {
+    gte: new Date('2025-01-01T00:00:00.000Z'),
+    lt: new Date('2025-02-01T00:00:00.000Z')
+  });
+});
+
+test('an end with a time is the last moment included', () => {
+  assert.deepEqual(dateRangeFilter(undefined, '2025-01-31T12:30:00Z'), {
+    lte: new Date('2025-01-31T12:30:00.000Z')
+  });
+});
+
+test('no dates means no filter', () => {
+  assert.equal(dateRangeFilter(undefined, undefined), undefined);
+});
@@ -0,0 +1,125 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const setScript = require('./helpers/mockScript').useMockScript();
+const { getProvider } = require('../src/lib/llm');
+const { runAgent } = require('../src/lib/agent');
+const { MAX_DELEGATION_DEPTH } = require('../src/lib/delegation');
+
+let researcher;
+let lead;
+
+beforeEach(() => {
+  db.reset();
+  researcher = db.seed('project', {
+    name: 'Researcher',
+    userId: 'user-1',
+    model: 'gpt-4o',
+    contextStrategy: 'sliding_window'
+  });
+  lead = db.seed('project', {
+    name: 'Lead',
+    userId: 'user-1',
+    subAgents: JSON.stringify([researcher.id]),
+    contextStrategy: 'sliding_window'
+  });
+});
+
+function run(project, message) {
+  return runAgent({
+    prompt: { llm: getProvider(), options: {}, messages: [{ role: 'user', content: message }] },
+    project,
+    conversation: null,
+    parentId: null
+  });
+}
+
+test('adds the sub-agent\'s usage and cost to the reply\'s', async () => {
+  setScript([
+    {
+      match: 'find out',
+      toolCalls: [{ name: 'delegate_to_agent', arguments: { agent: 'Researcher', task: 'Look up the facts' } }],
+      reply: 'Here is what I found.',
+      usage: { promptTokens: 10, completionTokens: 2 }
+    },
+    { match: 'facts', reply: 'The facts.', usage: { promptTokens: 1000, completionTokens: 100 } }
+  ]);
+
+  const result = await run(lead, 'Please find out the facts');
+
+  const trace = result.toolMessages.find(m => m.role === 'tool_result').delegation;
+  assert.equal(trace.reply, 'The facts.');
+  assert.deepEqual(trace.usage, { promptTokens: 1000, completionTokens: 100 });
+  assert.equal(trace.cost, (1000 * 2.5 + 100 * 10) / 1e6);
+
+  // Two calls of the lead (mock model, no price) and the researcher's one
+  assert.deepEqual(result.usage, { promptTokens: 1020, completionTokens: 104 });
+  assert.equal(result.cost, trace.cost);
+});
+
+// A → B → C → D, each delegating the task on to the next
+function delegationChain() {
+  const [b, c, d] = ['B', 'C', 'D'].map(name => db.seed('project', { name, userId: 'user-1' }));
+  lead.subAgents = JSON.stringify([b.id]);
+  b.subAgents = JSON.stringify([c.id]);
+  c.subAgents = JSON.stringify([d.id]);
+
+  const handOff = (match, agent) => ({
+    match,
+    toolCalls: [{ name: 'delegate_to_agent', arguments: { agent, task: `step ${agent}` } }],
+    reply: `${match} done`
+  });
+  setScript([
+    handOff('start', 'B'),
+    handOff('step B', 'C'),
+    handOff('step C', 'D'),
+    { match: 'step D', reply: 'D done' }
+  ]);
+}
+
+const delegations = (toolMessages) => toolMessages
+  .filter(m => m.role === 'tool_result' && m.delegation)
+  .map(m => m.delegation);
+
+test(`stops delegating at depth ${MAX_DELEGATION_DEPTH}`, async () => {
+  delegationChain();
+
+  const result = await run(lead, 'start');
+
+  // Follow the chain down to the deepest delegation
+  let trace = delegations(result.toolMessages)[0];
+  const depths = [];
+  while (trace) {
+    depths.push(trace.depth);
+    assert.equal(trace.error, null);
+    trace = delegations(trace.steps)[0];
+  }
+  assert.deepEqual(depths, Array.from({ length: MAX_DELEGATION_DEPTH }, (_, i) => i + 1));
+});
+
+test('an agent can\'t delegate back up its chain (A → B → A)', async () => {
+  const helper = db.seed('project', { name: 'Helper', userId: 'user-1' });
+  researcher.subAgents = JSON.stringify([lead.id, helper.id]);
+  setScript([
+    {
+      match: 'plan',
+      toolCalls: [{ name: 'delegate_to_agent', arguments: { agent: 'Researcher', task: 'research this' } }],
+      reply: 'Planned.'
+    },
+    {
+      match: 'research',
+      toolCalls: [{ name: 'delegate_to_agent', arguments: { agent: 'Lead', task: 'plan again' } }],
+      reply: 'Researched.'
+    }
+  ]);
+
+  const result = await run(lead, 'plan it');
+
+  const [trace] = delegations(result.toolMessages);
+  assert.equal(trace.agent.name, 'Researcher');
+  assert.equal(trace.reply, 'Researched.');
+
+  // The researcher was offered only the helper, so calling the lead fails
+  const loop = trace.steps.find(m => m.role === 'tool_result');
+  assert.equal(loop.content, 'Error: unknown agent Lead');
+});
@@ -0,0 +1,68 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const setScript = require('./helpers/mockScript').useMockScript();
+const { startEvalRun } = require('../src/lib/evals');
+
+let user;
+let project;
+
+beforeEach(() => {
+  db.reset();
+  user = db.seed('user', { email: 'eval@example.com', name: 'Eval' });
+  project = db.seed('project', {
+    name: 'Calculator',
+    userId: user.id,
+    systemPrompt: 'You are a calculator.',
+    enabledTools: JSON.stringify(['calculator']),
+    contextStrategy: 'sliding_window'
+  });
+});
+
+async function runSuite(...cases) {
+  for (const evalCase of cases) {
+    db.seed('evalCase', {
+      projectId: project.id,
+      name: evalCase.name,
+      input: JSON.stringify(evalCase.input),
+      assertions: JSON.stringify(evalCase.assertions)
+    });
+  }
+  const { done } = await startEvalRun({ project, user });
+  const run = await done;
+  return { run, results: JSON.parse(run.results) };
+}
+
+test('records the tool calls a case makes', async () => {
+  setScript([{
+    match: 'calculate',
+    toolCalls: [{ name: 'calculator', arguments: { expression: '6 * 7' } }],
+    reply: 'The answer is 42.'
+  }]);
+
+  const { run, results } = await runSuite({
+    name: 'multiplies',
+    input: [{ role: 'user', content: 'Please calculate 6 * 7' }],
+    assertions: [{ type: 'contains', value: '42' }]
+  });
+
+  assert.equal(run.status, 'complete');
+  assert.equal(results[0].error, null);
+  assert.equal(results[0].toolCalls.length, 1);
+  assert.equal(results[0].toolCalls[0].name, 'calculator');
+  assert.deepEqual(JSON.parse(results[0].toolCalls[0].arguments), { expression: '6 * 7' });
+  assert.equal(results[0].passed, true);
+});
+
+test('a case without tool calls records none', async () => {
+  setScript([{ reply: 'Hello!' }]);
+
+  const { results } = await runSuite({
+    name: 'greets',
+    input: [{ role: 'user', content: 'Hi' }],
+    assertions: [{ type: 'contains', value: 'Hello' }]
+  });
+
+  assert.deepEqual(results[0].toolCalls, []);
+  assert.equal(results[0].passed, true);
+});
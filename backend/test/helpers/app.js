@@ -0,0 +1,53 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const errorHandler = require('../../src/middleware/errorHandler');
+
+/**
+ * Serve routers on a random port for a test
+ * Resolves with { request, close }: request(path, { method, body, headers })
+ * sends JSON as the given user and resolves with the fetch Response.
+ *
+ * @param {Object} routes - Mount path -> router, e.g. { '/api/chat': chatRoutes }
+ */
+function startApp(routes) {
+  const app = express();
+  app.use(express.json());
+  for (const [path, router] of Object.entries(routes)) {
+    app.use(path, router);
+  }
+  app.use(errorHandler);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+
+      const request = (path, { user, method = 'GET', body, headers = {} } = {}) => fetch(`${base}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(user ? { Authorization: `Bearer ${jwt.sign({ userId: user.id }, process.env.JWT_SECRET)}` } : {}),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+
+      resolve({ request, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+/**
+ * Read a server-sent event response as [{ id, type, data }]
+ */
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split('\n\n')
+    .map(block => ({
+      id: /^id: (.*)$/m.exec(block)?.[1],
+      data: /^data: (.*)$/m.exec(block)?.[1]
+    }))
+    .filter(event => event.data)
+    .map(event => ({ id: event.id, ...JSON.parse(event.data) }));
+}
+
+module.exports = { startApp, readEvents };
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Point the mock provider at a temporary script (see lib/llm/mock.js).
+ * Must run before lib/llm is loaded; the returned function replaces the
+ * script's rules, which the provider reads on every call.
+ */
+function useMockScript() {
+  const scriptPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'mock-llm-')), 'script.json');
+  fs.writeFileSync(scriptPath, '[]');
+
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.MOCK_LLM_MODE = 'script';
+  process.env.MOCK_LLM_SCRIPT = scriptPath;
+  process.env.JWT_SECRET ||= 'test-secret';
+
+  return (rules) => fs.writeFileSync(scriptPath, JSON.stringify(rules));
+}
+
+module.exports = { useMockScript };
@@ -0,0 +1,157 @@
+const { randomUUID } = require('crypto');
+
+/**
+ * In-memory stand-in for the Prisma client, for tests that run without a
+ * database. Requiring this module puts it in place of src/lib/prisma.js,
+ * so it must be required before the modules under test.
+ *
+ * Models are created on first use and hold plain rows. Filters cover what
+ * the library code uses: equality, in, not, gt/gte/lt/lte and null;
+ * relation filters (nested objects on other keys) are ignored. include and
+ * select return the whole row.
+ */
+
+const tables = new Map();
+
+function rows(model) {
+  if (!tables.has(model)) tables.set(model, []);
+  return tables.get(model);
+}
+
+function matchValue(value, condition) {
+  if (condition === undefined) return true;
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return condition instanceof Date ? +value === +condition : value === condition;
+  }
+  if ('in' in condition && !condition.in.includes(value)) return false;
+  if ('not' in condition && matchValue(value, condition.not)) return false;
+  if ('gt' in condition && !(value > condition.gt)) return false;
+  if ('gte' in condition && !(value >= condition.gte)) return false;
+  if ('lt' in condition && !(value < condition.lt)) return false;
+  if ('lte' in condition && !(value <= condition.lte)) return false;
+  return true;
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'OR') return condition.some(part => matches(row, part));
+    if (key === 'AND') return condition.every(part => matches(row, part));
+    if (!(key in row) && condition && typeof condition === 'object') return true;
+    return matchValue(row[key], condition);
+  });
+}
+
+function sorted(list, orderBy) {
+  const [field, direction] = Object.entries(orderBy || {})[0] || [];
+  if (!field) return list;
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...list].sort((a, b) => (a[field] > b[field] ? sign : a[field] < b[field] ? -sign : 0));
+}
+
+/**
+ * _sum and _count of rows, as aggregate and groupBy return them
+ */
+function summarize(list, { _sum = {}, _count = {} }) {
+  const sums = Object.keys(_sum).map((field) => {
+    const values = list.map(row => row[field]).filter(value => value != null);
+    return [field, values.length ? values.reduce((a, b) => a + b, 0) : null];
+  });
+  const counts = Object.keys(_count).map(field => [
+    field,
+    field === '_all' ? list.length : list.filter(row => row[field] != null).length
+  ]);
+  return { _sum: Object.fromEntries(sums), _count: Object.fromEntries(counts) };
+}
+
+function model(name) {
+  const find = ({ where, orderBy } = {}) => sorted(rows(name).filter(row => matches(row, where)), orderBy);
+  const build = (data) => ({ id: randomUUID(), createdAt: new Date(), updatedAt: new Date(), ...data });
+
+  return {
+    findUnique: async (args) => find(args)[0] || null,
+    findFirst: async (args) => find(args)[0] || null,
+    findMany: async (args) => find(args),
+    count: async (args) => find(args).length,
+    create: async ({ data }) => {
+      const row = build(data);
+      rows(name).push(row);
+      return row;
+    },
+    createMany: async ({ data }) => {
+      rows(name).push(...data.map(build));
+      return { count: data.length };
+    },
+    update: async ({ where, data }) => {
+      const row = find({ where })[0];
+      if (!row) throw Object.assign(new Error('Record not found'), { code: 'P2025' });
+      return Object.assign(row, data, { updatedAt: new Date() });
+    },
+    updateMany: async ({ where, data }) => {
+      const found = find({ where });
+      found.forEach(row => Object.assign(row, data));
+      return { count: found.length };
+    },
+    upsert: async ({ where, create, update }) => {
+      const row = find({ where })[0];
+      if (row) return Object.assign(row, update);
+      return model(name).create({ data: create });
+    },
+    delete: async ({ where }) => {
+      const row = find({ where })[0];
+      if (!row) throw Object.assign(new Error('Record not found'), { code: 'P2025' });
+      tables.set(name, rows(name).filter(r => r !== row));
+      return row;
+    },
+    deleteMany: async ({ where } = {}) => {
+      const kept = rows(name).filter(row => !matches(row, where));
+      const count = rows(name).length - kept.length;
+      tables.set(name, kept);
+      return { count };
+    },
+    aggregate: async (args = {}) => summarize(find(args), args),
+    groupBy: async ({ by, ...args }) => {
+      const groups = new Map();
+      for (const row of find(args)) {
+        const key = JSON.stringify(by.map(field => row[field] ?? null));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      }
+      return [...groups.values()].map(list => ({
+        ...Object.fromEntries(by.map(field => [field, list[0][field] ?? null])),
+        ...summarize(list, args)
+      }));
+    }
+  };
+}
+
+const prisma = new Proxy({}, {
+  get(target, key) {
+    if (key === '$transaction') {
+      return (arg) => (typeof arg === 'function' ? arg(prisma) : Promise.all(arg));
+    }
+    if (key === '$disconnect' || key === '$connect') return async () => {};
+    if (typeof key !== 'string' || key === 'then') return undefined;
+    return model(key);
+  }
+});
+
+const prismaPath = require.resolve('../../src/lib/prisma');
+require.cache[prismaPath] = { id: prismaPath, filename: prismaPath, loaded: true, exports: prisma };
+
+/**
+ * Add rows to a model, returning them
+ */
+function seed(name, ...data) {
+  const created = data.map(row => ({ id: randomUUID(), createdAt: new Date(), updatedAt: new Date(), ...row }));
+  rows(name).push(...created);
+  return created.length === 1 ? created[0] : created;
+}
+
+/**
+ * Remove every row
+ */
+function reset() {
+  tables.clear();
+}
+
+module.exports = { prisma, rows, seed, reset };
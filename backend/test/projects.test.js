@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+require('./helpers/mockScript').useMockScript();
+const { startApp } = require('./helpers/app');
+const projectRoutes = require('../src/routes/projects');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/projects': projectRoutes });
+});
+
+after(() => app.close());
+
+test('a project with unreadable settings is still returned', async () => {
+  const user = db.seed('user', { email: 'projects@example.com', name: 'Projects' });
+  const project = db.seed('project', {
+    name: 'Damaged',
+    userId: user.id,
+    outputSchema: '{"type": "object"',
+    enabledTools: 'calculator',
+    conversations: [],
+    files: []
+  });
+
+  const response = await app.request(`/api/projects/${project.id}`, { user });
+
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.project.outputSchema, null);
+  assert.deepEqual(body.project.enabledTools, []);
+});
+
+test('the prompt preview renders the unsaved settings', async () => {
+  const user = db.seed('user', { email: 'preview@example.com', name: 'Preview' });
+  const project = db.seed('project', {
+    name: 'Saved name',
+    userId: user.id,
+    systemPrompt: 'You are {{project.name}}.',
+    promptVariables: JSON.stringify({ tone: 'formal' })
+  });
+  const preview = body => app.request(`/api/projects/${project.id}/prompt-preview`, { user, method: 'POST', body });
+
+  const saved = await (await preview({})).json();
+  assert.equal(saved.prompt, 'You are Saved name.');
+
+  const edited = await (await preview({
+    name: 'Edited name',
+    systemPrompt: 'You are {{project.name}}, {{tone}}.',
+    promptVariables: { tone: 'casual' }
+  })).json();
+  assert.equal(edited.prompt, 'You are Edited name, casual.');
+});
+
+test('file variables are not checked when a project is created', async () => {
+  const user = db.seed('user', { email: 'create@example.com', name: 'Create' });
+  const create = systemPrompt => app.request('/api/projects', {
+    user,
+    method: 'POST',
+    body: { name: 'Handbook', systemPrompt }
+  });
+
+  assert.equal((await create('Answer from {{file:handbook.md}}.')).status, 201);
+
+  const response = await create('Hello {{nickname}}.');
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).details[0].unknown, ['nickname']);
+});
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const { renderTemplate } = require('../src/lib/prompts');
+
+test('file texts are read once per file version', async () => {
+  const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-file-')), 'faq.md');
+  fs.writeFileSync(filePath, 'Opening hours: 9-5.');
+  const project = db.seed('project', { name: 'Shop', userId: 'user-1' });
+  const file = db.seed('file', {
+    projectId: project.id,
+    originalName: 'faq.md',
+    path: filePath,
+    mimeType: 'text/markdown',
+    indexedAt: new Date('2025-01-01')
+  });
+  const render = () => renderTemplate('FAQ:\n{{file:faq.md}}', { project });
+
+  assert.equal((await render()).prompt, 'FAQ:\nOpening hours: 9-5.');
+
+  // Served from the cache, not the disk
+  fs.rmSync(filePath);
+  assert.equal((await render()).prompt, 'FAQ:\nOpening hours: 9-5.');
+
+  // Indexing the file again reads it again
+  file.indexedAt = new Date('2025-02-01');
+  assert.equal((await render()).prompt, 'FAQ:\n[faq.md could not be read]');
+});
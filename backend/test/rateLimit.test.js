@@ -0,0 +1,35 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+require('./helpers/mockScript').useMockScript();
+
+process.env.RATE_LIMIT_MESSAGES_PER_MINUTE = '5';
+const { startApp, readEvents } = require('./helpers/app');
+const chatRoutes = require('../src/routes/chat');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/chat': chatRoutes });
+});
+
+after(() => app.close());
+
+test('compare requests count one message per lane', async () => {
+  const user = db.seed('user', { email: 'limits@example.com', name: 'Limits' });
+  const project = db.seed('project', { name: 'Limited', userId: user.id, contextStrategy: 'sliding_window' });
+  const compare = (lanes) => app.request(`/api/chat/${project.id}/compare`, {
+    user,
+    method: 'POST',
+    body: { message: 'Hello', lanes }
+  });
+
+  const first = await compare([{ temperature: 0 }, { temperature: 0.5 }, { temperature: 1 }, { temperature: 1.5 }]);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('RateLimit-Remaining'), '1');
+  await readEvents(first);
+
+  const second = await compare([{ temperature: 0 }, { temperature: 1 }]);
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).limit, 'messages');
+});
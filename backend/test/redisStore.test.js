@@ -0,0 +1,154 @@
+const net = require('net');
+const path = require('path');
+const { execFile } = require('child_process');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedisStore } = require('../src/lib/ratelimit/redis');
+
+const WINDOW = 60 * 1000;
+
+/**
+ * Read the commands (RESP arrays of bulk strings) complete in a buffer
+ * Returns { commands, rest }
+ */
+function readCommands(buffer) {
+  const commands = [];
+  let text = buffer.toString('latin1');
+  for (;;) {
+    const match = /^\*(\d+)\r\n/.exec(text);
+    if (!match) break;
+    let offset = match[0].length;
+    const args = [];
+    for (let i = 0; i < Number(match[1]); i++) {
+      const header = /^\$(\d+)\r\n/.exec(text.slice(offset));
+      if (!header) break;
+      const start = offset + header[0].length;
+      const end = start + Number(header[1]);
+      if (text.length < end + 2) break;
+      args.push(text.slice(start, end));
+      offset = end + 2;
+    }
+    if (args.length < Number(match[1])) break;
+    commands.push(args);
+    text = text.slice(offset);
+  }
+  return { commands, rest: Buffer.from(text, 'latin1') };
+}
+
+/**
+ * Fake Redis server counting in its own Map. Replies are written one
+ * byte at a time, so the client only ever sees fragments of them.
+ */
+async function startFakeRedis(port = 0) {
+  const counters = new Map();
+  const sockets = new Set();
+
+  const reply = async (socket, text) => {
+    for (const byte of Buffer.from(text)) {
+      if (socket.destroyed) return;
+      socket.write(Buffer.from([byte]));
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.setNoDelay(true);
+
+    let buffer = Buffer.alloc(0);
+    let queue = Promise.resolve();
+    socket.on('data', (chunk) => {
+      const { commands, rest } = readCommands(Buffer.concat([buffer, chunk]));
+      buffer = rest;
+      for (const [name, ...args] of commands) {
+        let text;
+        if (name.toUpperCase() === 'INFO') {
+          const info = '# Server\r\nloading:0\r\n';
+          text = `$${info.length}\r\n${info}\r\n`;
+        } else if (/^EVAL(SHA)?$/i.test(name)) {
+          // EVAL(SHA) script-or-sha numkeys key amount windowMs
+          const [, , key, amount] = args;
+          const count = (counters.get(key) || 0) + Number(amount);
+          counters.set(key, count);
+          text = `*2\r\n:${count}\r\n:${WINDOW}\r\n`;
+        } else {
+          text = '+OK\r\n';
+        }
+        queue = queue.then(() => reply(socket, text));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+  return {
+    port: server.address().port,
+    counters,
+    // Drop every connection and stop accepting new ones
+    stop: () => new Promise((resolve) => {
+      for (const socket of sockets) socket.destroy();
+      server.close(resolve);
+    })
+  };
+}
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  assert.ok(check(), 'timed out');
+};
+
+test('counts in Redis, falls back to memory while it is down and reconnects', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'log', () => {});
+
+  let redis = await startFakeRedis();
+  const { port } = redis;
+  const store = createRedisStore(`redis://127.0.0.1:${port}`);
+  t.after(() => store.close());
+
+  // Reads go to memory until the connection is ready
+  await waitFor(() => {
+    store.increment('ratelimit:probe', 0, WINDOW);
+    return redis.counters.has('ratelimit:probe');
+  });
+
+  // Counted by the server, from replies that arrive in fragments
+  assert.equal((await store.increment('ratelimit:test', 2, WINDOW)).count, 2);
+  assert.equal((await store.increment('ratelimit:test', 1, WINDOW)).count, 3);
+  assert.equal(redis.counters.get('ratelimit:test'), 3);
+
+  // Unreachable: counted in memory instead of failing
+  await redis.stop();
+  await waitFor(() => console.error.mock.calls.length > 0);
+  assert.equal((await store.increment('ratelimit:down', 1, WINDOW)).count, 1);
+  assert.equal((await store.increment('ratelimit:down', 1, WINDOW)).count, 2);
+  assert.equal(console.error.mock.calls.length, 1);
+
+  // Back on the same port: the client reconnects and counts there again
+  redis = await startFakeRedis(port);
+  await waitFor(() => console.log.mock.calls.length > 0);
+  assert.equal((await store.increment('ratelimit:up', 3, WINDOW)).count, 3);
+  assert.equal(redis.counters.get('ratelimit:up'), 3);
+  await redis.stop();
+});
+
+test('closing the store lets a script exit while Redis is unreachable', async () => {
+  const redis = await startFakeRedis();
+  await redis.stop();
+
+  const ratelimit = path.join(__dirname, '../src/lib/ratelimit');
+  const script = `
+    const { consume, closeStore } = require(${JSON.stringify(ratelimit)});
+    consume('tokens', 'user-1', 10).then(() => closeStore());
+  `;
+  // Rejects if the script is still running after the timeout
+  await new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], {
+      env: { ...process.env, RATE_LIMIT_REDIS_URL: `redis://127.0.0.1:${redis.port}` },
+      timeout: 10000
+    }, error => (error ? reject(error) : resolve()));
+  });
+});
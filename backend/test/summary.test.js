@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const setScript = require('./helpers/mockScript').useMockScript();
+const { startApp, readEvents } = require('./helpers/app');
+const chatRoutes = require('../src/routes/chat');
+const usageRoutes = require('../src/routes/usage');
+const { consume } = require('../src/lib/ratelimit');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/chat': chatRoutes, '/api/usage': usageRoutes });
+});
+
+after(() => app.close());
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.ok(check(), 'timed out');
+};
+
+test('summarizer tokens count towards the quota and the usage report', async () => {
+  const user = db.seed('user', { email: 'summary@example.com', name: 'Summary' });
+  // A budget too small for the history, so older messages are summarized
+  const project = db.seed('project', {
+    name: 'Long talks',
+    userId: user.id,
+    contextStrategy: 'sliding_window',
+    contextTokenBudget: 40
+  });
+  const conversation = db.seed('conversation', { projectId: project.id, title: 'Long talk' });
+  // The stub returns rows without relations; updateSummary reads the project
+  conversation.project = project;
+
+  let parentId = null;
+  for (const [role, content] of [
+    ['user', 'My name is Ada and I run a bakery in Leeds with two shops.'],
+    ['assistant', 'Nice to meet you, Ada. How can I help the bakery today?']
+  ]) {
+    parentId = db.seed('message', { role, content, status: 'complete', projectId: project.id, conversationId: conversation.id, parentId }).id;
+  }
+  conversation.activeLeafId = parentId;
+
+  setScript([
+    { match: 'Current summary', reply: 'Ada runs a bakery in Leeds.', usage: { promptTokens: 50, completionTokens: 10 } },
+    { reply: 'Sure.', usage: { promptTokens: 100, completionTokens: 20 } }
+  ]);
+
+  await readEvents(await app.request(`/api/chat/${project.id}/stream`, {
+    user,
+    method: 'POST',
+    body: { message: 'Which of my shops should open on Sundays?', conversationId: conversation.id }
+  }));
+
+  await waitFor(() => conversation.summary);
+  assert.equal(conversation.summary, 'Ada runs a bakery in Leeds.');
+
+  const [update] = db.rows('summaryUpdate');
+  assert.equal(update.promptTokens, 50);
+  assert.equal(update.completionTokens, 10);
+  assert.equal(update.conversationId, conversation.id);
+
+  const [minute] = await consume('tokens', user.id, 0);
+  assert.equal(minute.count, 120 + 60);
+
+  const response = await app.request(`/api/usage/projects/${project.id}`, { user });
+  const usage = await response.json();
+  assert.equal(usage.sources.summaries.totalTokens, 60);
+  assert.equal(usage.sources.replies.totalTokens, 120);
+  assert.equal(usage.totals.totalTokens, 180);
+  // The seeded reply and the new one
+  assert.equal(usage.totals.messages, 2);
+});
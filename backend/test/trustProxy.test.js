@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { parseTrustProxy } = require('../src/lib/trustProxy');
+
+test('false and empty values trust no proxy', () => {
+  for (const value of [undefined, '', ' ', 'false', 'FALSE']) {
+    assert.equal(parseTrustProxy(value), false);
+  }
+});
+
+test('hop counts, true and proxy addresses are passed on', () => {
+  assert.equal(parseTrustProxy('true'), true);
+  assert.equal(parseTrustProxy('2'), 2);
+  assert.equal(parseTrustProxy('loopback, 10.0.0.0/8'), 'loopback, 10.0.0.0/8');
+});
+
+test('with TRUST_PROXY=false clients cannot set their IP', async (t) => {
+  const app = express();
+  app.set('trust proxy', parseTrustProxy('false'));
+  app.get('/', (req, res) => res.json({ ip: req.ip }));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(() => server.close());
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/`, {
+    headers: { 'X-Forwarded-For': '203.0.113.7' }
+  });
+  assert.notEqual((await response.json()).ip, '203.0.113.7');
+});
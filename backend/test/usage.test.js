@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const setScript = require('./helpers/mockScript').useMockScript();
+const { startApp } = require('./helpers/app');
+const chatRoutes = require('../src/routes/chat');
+const usageRoutes = require('../src/routes/usage');
+const { consume } = require('../src/lib/ratelimit');
+
+let app;
+
+before(async () => {
+  app = await startApp({ '/api/chat': chatRoutes, '/api/usage': usageRoutes });
+});
+
+after(() => app.close());
+
+test('failed replies and eval runs count towards usage', async () => {
+  const user = db.seed('user', { email: 'usage@example.com', name: 'Usage' });
+  const project = db.seed('project', {
+    name: 'Structured',
+    userId: user.id,
+    contextStrategy: 'sliding_window',
+    outputSchema: JSON.stringify({ type: 'object', required: ['answer'] }),
+    outputRetries: 1
+  });
+  setScript([{ reply: 'not json', usage: { promptTokens: 30, completionTokens: 5 } }]);
+
+  // Both attempts are rejected by the output schema
+  const response = await app.request(`/api/chat/${project.id}`, {
+    user,
+    method: 'POST',
+    body: { message: 'What is the answer?' }
+  });
+  assert.equal(response.status, 422);
+  const { assistantMessage } = await response.json();
+  assert.equal(assistantMessage.status, 'failed');
+
+  const [failed] = db.rows('message').filter(m => m.role === 'assistant');
+  assert.equal(failed.promptTokens, 60);
+  assert.equal(failed.completionTokens, 10);
+
+  const [minute] = await consume('tokens', user.id, 0);
+  assert.equal(minute.count, 70);
+
+  db.seed('evalRun', {
+    status: 'failed',
+    provider: 'mock',
+    model: 'mock',
+    projectId: project.id,
+    promptTokens: 200,
+    completionTokens: 40,
+    cost: null
+  });
+  // Started, but no case has run yet
+  db.seed('evalRun', { status: 'running', provider: 'mock', model: 'mock', projectId: project.id, promptTokens: 0, completionTokens: 0 });
+
+  const usage = await (await app.request(`/api/usage/projects/${project.id}`, { user })).json();
+  assert.equal(usage.sources.replies.calls, 1);
+  assert.equal(usage.sources.replies.totalTokens, 70);
+  assert.equal(usage.sources.evals.calls, 1);
+  assert.equal(usage.sources.evals.totalTokens, 240);
+  assert.equal(usage.totals.totalTokens, 310);
+  assert.equal(usage.totals.messages, 1);
+});
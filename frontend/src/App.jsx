@@ -6,6 +6,7 @@ import Register from './pages/Register'
 import Dashboard from './pages/Dashboard'
 import ProjectChat from './pages/ProjectChat'
 import ProjectSettings from './pages/ProjectSettings'
+import ProjectEvals from './pages/ProjectEvals'
 
 // Protected route wrapper
 function ProtectedRoute({ children }) {
@@ -82,6 +83,7 @@ export default function App() {
         <Route path="dashboard" element={<Dashboard />} />
         <Route path="project/:id" element={<ProjectChat />} />
         <Route path="project/:id/settings" element={<ProjectSettings />} />
+        <Route path="project/:id/evals" element={<ProjectEvals />} />
       </Route>
 
       {/* Catch all */}
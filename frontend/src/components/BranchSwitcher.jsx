@@ -0,0 +1,30 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+
+// "< 2/3 >" control for a message with alternative branches
+export default function BranchSwitcher({ branch, disabled, onSwitch }) {
+  const { index, count, siblingIds } = branch
+
+  return (
+    <span className="inline-flex items-center gap-0.5 text-xs text-dark-400">
+      <button
+        type="button"
+        onClick={() => onSwitch(siblingIds[index - 2])}
+        disabled={disabled || index <= 1}
+        className="p-0.5 rounded hover:text-white disabled:opacity-30 disabled:hover:text-dark-400"
+        title="Previous version"
+      >
+        <ChevronLeft className="w-3.5 h-3.5" />
+      </button>
+      <span className="tabular-nums">{index}/{count}</span>
+      <button
+        type="button"
+        onClick={() => onSwitch(siblingIds[index])}
+        disabled={disabled || index >= count}
+        className="p-0.5 rounded hover:text-white disabled:opacity-30 disabled:hover:text-dark-400"
+        title="Next version"
+      >
+        <ChevronRight className="w-3.5 h-3.5" />
+      </button>
+    </span>
+  )
+}
@@ -0,0 +1,61 @@
+import { Plus, X } from 'lucide-react'
+import { MAX_LANES, newLane } from '../utils/compare'
+
+// Models (or temperatures) to answer the next message side by side
+export default function CompareLanes({ lanes, onChange, disabled }) {
+  const updateLane = (key, changes) => {
+    onChange(lanes.map(lane => (lane.key === key ? { ...lane, ...changes } : lane)))
+  }
+
+  return (
+    <div className="flex flex-wrap gap-2 max-w-4xl mx-auto mb-3">
+      {lanes.map((lane, index) => (
+        <div key={lane.key} className="flex items-center gap-1.5 p-1.5 rounded-lg bg-dark-800 border border-dark-700">
+          <span className="px-1 text-xs font-mono text-dark-500">{index + 1}</span>
+          <input
+            type="text"
+            value={lane.model}
+            onChange={(e) => updateLane(lane.key, { model: e.target.value })}
+            disabled={disabled}
+            placeholder="Project model"
+            className="w-40 px-2 py-1 rounded bg-dark-900 border border-dark-700 text-sm text-white placeholder-dark-500 focus:border-primary-500 focus:outline-none"
+          />
+          <input
+            type="number"
+            min={0}
+            max={2}
+            step={0.1}
+            value={lane.temperature}
+            onChange={(e) => updateLane(lane.key, { temperature: e.target.value })}
+            disabled={disabled}
+            placeholder="Temp."
+            title="Temperature"
+            className="w-16 px-2 py-1 rounded bg-dark-900 border border-dark-700 text-sm text-white placeholder-dark-500 focus:border-primary-500 focus:outline-none"
+          />
+          {lanes.length > 2 && (
+            <button
+              type="button"
+              onClick={() => onChange(lanes.filter(l => l.key !== lane.key))}
+              disabled={disabled}
+              className="p-1 rounded text-dark-500 hover:text-white transition-colors"
+              title="Remove lane"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          )}
+        </div>
+      ))}
+      {lanes.length < MAX_LANES && (
+        <button
+          type="button"
+          onClick={() => onChange([...lanes, newLane()])}
+          disabled={disabled}
+          className="flex items-center gap-1 px-3 py-1.5 rounded-lg border border-dashed border-dark-700 text-sm text-dark-400 hover:text-white hover:border-dark-600 transition-colors"
+        >
+          <Plus className="w-3.5 h-3.5" />
+          Lane
+        </button>
+      )}
+    </div>
+  )
+}
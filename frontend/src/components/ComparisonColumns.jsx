@@ -0,0 +1,89 @@
+import { Loader2, AlertTriangle, Trophy, Wrench } from 'lucide-react'
+import { formatTokens, formatCost } from '../utils/usage'
+
+// Replies to one message from each compare lane, side by side. Once every
+// lane has finished one of them can be kept; the others are discarded.
+export default function ComparisonColumns({ comparison, onKeep, onDismiss, keeping }) {
+  const columns = comparison.lanes.length
+
+  return (
+    <div className="space-y-3 animate-fade-in">
+      <div className={`grid gap-3 ${columns === 2 ? 'md:grid-cols-2' : columns === 3 ? 'md:grid-cols-3' : 'md:grid-cols-2 xl:grid-cols-4'}`}>
+        {comparison.lanes.map((lane, index) => {
+          const reply = lane.message
+          const failed = reply?.status === 'failed' || (!reply && lane.error)
+          const finished = reply && (reply.status === 'complete' || reply.status === 'stopped')
+          const toolCalls = lane.toolMessages.filter(m => m.role === 'tool_call').flatMap(m => m.toolCalls || [])
+
+          return (
+            <div key={index} className="flex flex-col min-w-0 rounded-2xl bg-dark-800 border border-dark-700">
+              <div className="flex items-center justify-between gap-2 px-4 py-2 border-b border-dark-700">
+                <span className="text-xs font-mono text-dark-300 truncate" title={lane.label}>{lane.label}</span>
+                {!reply && !lane.error && !comparison.done && (
+                  <Loader2 className="w-3.5 h-3.5 text-primary-400 animate-spin shrink-0" />
+                )}
+              </div>
+
+              <div className="flex-1 px-4 py-3 space-y-2 text-sm">
+                {toolCalls.length > 0 && (
+                  <p className="flex items-center gap-1.5 text-xs font-mono text-dark-400">
+                    <Wrench className="w-3 h-3" />
+                    {toolCalls.map(call => call.name).join(', ')}
+                  </p>
+                )}
+                {failed ? (
+                  <p className="flex items-start gap-2 text-red-400">
+                    <AlertTriangle className="w-4 h-4 shrink-0 mt-0.5" />
+                    <span className="break-words">{reply?.error || lane.error}</span>
+                  </p>
+                ) : reply?.data != null ? (
+                  <pre className="font-mono whitespace-pre-wrap break-words text-dark-100">{JSON.stringify(reply.data, null, 2)}</pre>
+                ) : (
+                  <p className="whitespace-pre-wrap break-words text-dark-100">
+                    {reply ? reply.content : lane.content}
+                    {!reply && !lane.error && !comparison.done && (
+                      <span className="inline-block w-2 h-4 bg-primary-400 animate-pulse ml-1" />
+                    )}
+                  </p>
+                )}
+                {lane.notice && !reply && (
+                  <p className="text-xs text-amber-400">{lane.notice}</p>
+                )}
+              </div>
+
+              <div className="flex items-center justify-between gap-2 px-4 py-2 border-t border-dark-700">
+                <span className="text-xs text-dark-500 font-mono truncate">
+                  {reply?.model && `${reply.model} · ${formatTokens((reply.promptTokens || 0) + (reply.completionTokens || 0))} tokens`}
+                  {reply?.cost != null && ` · ${formatCost(reply.cost)}`}
+                </span>
+                {comparison.done && finished && (
+                  <button
+                    onClick={() => onKeep(reply)}
+                    disabled={keeping}
+                    className="flex items-center gap-1.5 px-3 py-1 rounded-lg text-xs bg-primary-500 text-dark-900 font-semibold hover:bg-primary-400 transition-all disabled:opacity-50 shrink-0"
+                  >
+                    <Trophy className="w-3.5 h-3.5" />
+                    Keep
+                  </button>
+                )}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+
+      {comparison.done && (
+        <div className="flex items-center justify-center gap-3 text-xs text-dark-500">
+          <span>Keep the best reply to continue the conversation with it.</span>
+          <button
+            onClick={onDismiss}
+            disabled={keeping}
+            className="underline hover:text-dark-300 transition-colors disabled:opacity-50"
+          >
+            Keep all as branches
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
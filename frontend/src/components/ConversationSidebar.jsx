@@ -0,0 +1,151 @@
+import { useState } from 'react'
+import {
+  Plus,
+  MessageSquare,
+  Pencil,
+  Archive,
+  ArchiveRestore,
+  Trash2,
+  Check,
+  X
+} from 'lucide-react'
+
+// Thread list for a project's chat page
+export default function ConversationSidebar({
+  conversations,
+  activeId,
+  showArchived,
+  open,
+  onClose,
+  onSelect,
+  onNew,
+  onRename,
+  onArchive,
+  onDelete,
+  onToggleArchived
+}) {
+  const [editingId, setEditingId] = useState(null)
+  const [editTitle, setEditTitle] = useState('')
+
+  const startRename = (conversation) => {
+    setEditingId(conversation.id)
+    setEditTitle(conversation.title)
+  }
+
+  const submitRename = async (e) => {
+    e.preventDefault()
+    if (editTitle.trim()) {
+      await onRename(editingId, editTitle.trim())
+    }
+    setEditingId(null)
+  }
+
+  return (
+    <>
+      {/* Mobile overlay */}
+      {open && (
+        <div
+          className="fixed inset-0 bg-black/50 z-30 md:hidden"
+          onClick={onClose}
+        />
+      )}
+
+      <aside className={`
+        fixed md:static inset-y-0 left-0 z-40
+        w-64 flex-shrink-0 flex flex-col bg-dark-900/80 backdrop-blur-xl border-r border-dark-700/50
+        transform transition-transform duration-300 md:translate-x-0
+        ${open ? 'translate-x-0' : '-translate-x-full'}
+      `}>
+        <div className="p-4 border-b border-dark-700/50">
+          <button
+            onClick={onNew}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2.5 rounded-xl bg-primary-500 text-dark-900 font-semibold hover:bg-primary-400 transition-all"
+          >
+            <Plus className="w-4 h-4" />
+            New chat
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-2 space-y-1">
+          {conversations.length === 0 ? (
+            <p className="text-sm text-dark-500 text-center py-8">
+              {showArchived ? 'No archived chats' : 'No chats yet'}
+            </p>
+          ) : (
+            conversations.map((conversation) => (
+              <div
+                key={conversation.id}
+                onClick={() => editingId !== conversation.id && onSelect(conversation.id)}
+                className={`
+                  group flex items-center gap-2 px-3 py-2.5 rounded-lg cursor-pointer transition-all
+                  ${conversation.id === activeId
+                    ? 'bg-primary-500/20 text-primary-400'
+                    : 'text-dark-300 hover:bg-dark-800 hover:text-white'}
+                `}
+              >
+                <MessageSquare className="w-4 h-4 flex-shrink-0" />
+
+                {editingId === conversation.id ? (
+                  <form onSubmit={submitRename} className="flex-1 flex items-center gap-1 min-w-0">
+                    <input
+                      autoFocus
+                      value={editTitle}
+                      onChange={(e) => setEditTitle(e.target.value)}
+                      onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                      className="flex-1 min-w-0 px-2 py-1 rounded bg-dark-800 border border-dark-600 text-sm text-white focus:border-primary-500"
+                    />
+                    <button type="submit" className="p-1 hover:text-white">
+                      <Check className="w-3.5 h-3.5" />
+                    </button>
+                    <button type="button" onClick={() => setEditingId(null)} className="p-1 hover:text-white">
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <span className="flex-1 text-sm truncate">{conversation.title}</span>
+                    <div className="flex gap-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <button
+                        onClick={(e) => { e.stopPropagation(); startRename(conversation) }}
+                        className="p-1 rounded hover:text-white"
+                        title="Rename"
+                      >
+                        <Pencil className="w-3.5 h-3.5" />
+                      </button>
+                      <button
+                        onClick={(e) => { e.stopPropagation(); onArchive(conversation.id, !conversation.archived) }}
+                        className="p-1 rounded hover:text-white"
+                        title={conversation.archived ? 'Restore' : 'Archive'}
+                      >
+                        {conversation.archived
+                          ? <ArchiveRestore className="w-3.5 h-3.5" />
+                          : <Archive className="w-3.5 h-3.5" />}
+                      </button>
+                      <button
+                        onClick={(e) => { e.stopPropagation(); onDelete(conversation.id) }}
+                        className="p-1 rounded hover:text-red-400"
+                        title="Delete"
+                      >
+                        <Trash2 className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="p-3 border-t border-dark-700/50">
+          <button
+            onClick={onToggleArchived}
+            className="w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-dark-400 hover:bg-dark-800 hover:text-white transition-all"
+          >
+            <Archive className="w-4 h-4" />
+            {showArchived ? 'Back to chats' : 'Archived chats'}
+          </button>
+        </div>
+      </aside>
+    </>
+  )
+}
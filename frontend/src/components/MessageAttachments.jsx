@@ -0,0 +1,37 @@
+import { Image as ImageIcon } from 'lucide-react'
+import api from '../utils/api'
+
+// Thumbnails of the images sent with a message; clicking one opens the
+// full image in a new tab
+export default function MessageAttachments({ projectId, attachments, align = 'start' }) {
+  const openImage = async (attachment) => {
+    // Opened before the download so popup blockers allow it
+    const tab = window.open('', '_blank')
+    try {
+      const blob = await api.getBlob(`/attachments/${projectId}/${attachment.id}`)
+      tab.location.href = URL.createObjectURL(blob)
+    } catch (err) {
+      tab.close()
+    }
+  }
+
+  return (
+    <div className={`flex flex-wrap gap-2 mb-2 ${align === 'end' ? 'justify-end' : ''}`}>
+      {attachments.map((attachment) => (
+        <button
+          key={attachment.id}
+          type="button"
+          onClick={() => openImage(attachment)}
+          className="w-24 h-24 rounded-xl overflow-hidden bg-dark-800 border border-dark-700 hover:border-primary-500 transition-all flex items-center justify-center"
+          title={attachment.name}
+        >
+          {attachment.thumbnail ? (
+            <img src={attachment.thumbnail} alt={attachment.name} className="w-full h-full object-cover" />
+          ) : (
+            <ImageIcon className="w-6 h-6 text-dark-500" />
+          )}
+        </button>
+      ))}
+    </div>
+  )
+}
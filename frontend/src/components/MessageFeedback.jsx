@@ -0,0 +1,135 @@
+import { useState } from 'react'
+import { ThumbsUp, ThumbsDown, MessageSquare } from 'lucide-react'
+import api from '../utils/api'
+
+// Thumbs up/down on an assistant reply, with an optional comment and the
+// answer the user wanted instead. Rating a reply down opens the form.
+export default function MessageFeedback({ projectId, message, onChange, onError }) {
+  const feedback = message.feedback
+  const [open, setOpen] = useState(false)
+  const [comment, setComment] = useState('')
+  const [correction, setCorrection] = useState('')
+  const [saving, setSaving] = useState(false)
+
+  const save = async (changes) => {
+    setSaving(true)
+    try {
+      const response = await api.put(`/feedback/${projectId}/messages/${message.id}`, {
+        comment: feedback?.comment ?? null,
+        correction: feedback?.correction ?? null,
+        ...changes
+      })
+      onChange(response.data.feedback)
+      return true
+    } catch (err) {
+      onError(err.response?.data?.error || 'Failed to save feedback')
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const openForm = () => {
+    setComment(feedback?.comment || '')
+    setCorrection(feedback?.correction || '')
+    setOpen(true)
+  }
+
+  // Clicking the current rating again removes the feedback
+  const rate = async (rating) => {
+    if (feedback?.rating === rating) {
+      setSaving(true)
+      try {
+        await api.delete(`/feedback/${projectId}/messages/${message.id}`)
+        onChange(null)
+        setOpen(false)
+      } catch (err) {
+        onError(err.response?.data?.error || 'Failed to remove feedback')
+      } finally {
+        setSaving(false)
+      }
+      return
+    }
+    if (await save({ rating }) && rating === 'down' && !feedback?.comment && !feedback?.correction) openForm()
+  }
+
+  const submit = async (e) => {
+    e.preventDefault()
+    if (await save({ rating: feedback?.rating || 'down', comment: comment.trim() || null, correction: correction.trim() || null })) {
+      setOpen(false)
+    }
+  }
+
+  return (
+    <>
+      <button
+        onClick={() => rate('up')}
+        disabled={saving}
+        className={`p-0.5 rounded transition-colors disabled:opacity-50 ${
+          feedback?.rating === 'up' ? 'text-primary-400' : 'text-dark-500 hover:text-white'
+        }`}
+        title={feedback?.rating === 'up' ? 'Remove rating' : 'Good response'}
+      >
+        <ThumbsUp className="w-3.5 h-3.5" />
+      </button>
+      <button
+        onClick={() => rate('down')}
+        disabled={saving}
+        className={`p-0.5 rounded transition-colors disabled:opacity-50 ${
+          feedback?.rating === 'down' ? 'text-red-400' : 'text-dark-500 hover:text-white'
+        }`}
+        title={feedback?.rating === 'down' ? 'Remove rating' : 'Bad response'}
+      >
+        <ThumbsDown className="w-3.5 h-3.5" />
+      </button>
+      {feedback && !open && (
+        <button
+          onClick={openForm}
+          className={`p-0.5 rounded transition-colors ${
+            feedback.comment || feedback.correction ? 'text-primary-400' : 'text-dark-500 hover:text-white'
+          }`}
+          title={feedback.comment || (feedback.correction ? 'Corrected answer given' : 'Add a comment or corrected answer')}
+        >
+          <MessageSquare className="w-3.5 h-3.5" />
+        </button>
+      )}
+      {open && (
+        <form onSubmit={submit} className="basis-full mt-1 p-3 rounded-xl bg-dark-800 border border-dark-700 space-y-2">
+          <textarea
+            autoFocus
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            placeholder="What was good or bad about this reply? (optional)"
+            className="w-full px-3 py-2 rounded-lg bg-dark-900 border border-dark-700 text-sm text-white placeholder-dark-500 focus:border-primary-500 focus:outline-none resize-none"
+          />
+          <textarea
+            value={correction}
+            onChange={(e) => setCorrection(e.target.value)}
+            rows={4}
+            maxLength={20000}
+            placeholder="Corrected answer (optional)"
+            className="w-full px-3 py-2 rounded-lg bg-dark-900 border border-dark-700 text-sm text-white placeholder-dark-500 focus:border-primary-500 focus:outline-none resize-y"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setOpen(false)}
+              className="px-3 py-1.5 rounded-lg text-sm text-dark-300 hover:bg-dark-700 transition-all"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 rounded-lg text-sm bg-primary-500 text-dark-900 font-semibold hover:bg-primary-400 transition-all disabled:opacity-50"
+            >
+              Save feedback
+            </button>
+          </div>
+        </form>
+      )}
+    </>
+  )
+}
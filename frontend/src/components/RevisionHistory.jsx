@@ -0,0 +1,169 @@
+import { useState, useEffect } from 'react'
+import { History, RotateCcw, Loader2 } from 'lucide-react'
+import api from '../utils/api'
+
+const FIELD_LABELS = {
+  name: 'Name',
+  description: 'Description',
+  systemPrompt: 'System prompt',
+  promptVariables: 'Prompt variables',
+  model: 'Model',
+  temperature: 'Temperature',
+  topP: 'Top P',
+  maxTokens: 'Max tokens',
+  stopSequences: 'Stop sequences',
+  presencePenalty: 'Presence penalty',
+  frequencyPenalty: 'Frequency penalty',
+  fallbackModels: 'Fallback models',
+  contextStrategy: 'Context strategy',
+  contextTokenBudget: 'Token budget',
+  contextKeepFirst: 'Keep first messages',
+  enabledTools: 'Tools',
+  outputSchema: 'Output schema',
+  outputRetries: 'Output retries',
+  guardrails: 'Guardrails',
+  subAgents: 'Sub-agents'
+}
+
+const formatValue = (value) => {
+  if (value == null || value === '') return 'default'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+const LINE_STYLES = {
+  add: 'bg-green-500/10 text-green-300',
+  remove: 'bg-red-500/10 text-red-300 line-through decoration-red-400/50',
+  same: 'text-dark-400'
+}
+
+const LINE_MARKERS = { add: '+', remove: '-', same: ' ' }
+
+// Revisions of a project's settings: each can be compared with the one
+// before it and restored. `refreshKey` reloads the list after a save.
+export default function RevisionHistory({ projectId, refreshKey, onRestore }) {
+  const [revisions, setRevisions] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [diff, setDiff] = useState(null)
+  const [restoring, setRestoring] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api.get(`/projects/${projectId}/revisions`)
+      .then((response) => setRevisions(response.data.revisions))
+      .catch(() => setRevisions([]))
+  }, [projectId, refreshKey])
+
+  useEffect(() => {
+    setDiff(null)
+    const index = revisions.findIndex(r => r.id === selectedId)
+    const previous = revisions[index + 1]
+    if (index === -1 || !previous) return
+
+    api.get(`/projects/${projectId}/revisions/diff?from=${previous.id}&to=${selectedId}`)
+      .then((response) => setDiff(response.data))
+      .catch(() => setError('Failed to load changes'))
+  }, [projectId, revisions, selectedId])
+
+  const restore = async (revision) => {
+    if (!confirm(`Restore the settings of revision ${revision.number}? The current settings stay in the history.`)) return
+
+    setRestoring(true)
+    setError('')
+    try {
+      const response = await api.post(`/projects/${projectId}/revisions/${revision.id}/restore`)
+      setSelectedId(null)
+      onRestore(response.data.project)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore revision')
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  return (
+    <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+      <div className="flex items-center gap-3">
+        <History className="w-5 h-5 text-primary-400" />
+        <h2 className="text-lg font-semibold text-white">History</h2>
+      </div>
+
+      {error && <p className="text-sm text-red-400">{error}</p>}
+
+      {revisions.length === 0 ? (
+        <p className="text-dark-500 text-center py-4">No revisions yet</p>
+      ) : (
+        <div className="space-y-2 max-h-[32rem] overflow-y-auto">
+          {revisions.map((revision, index) => (
+            <div key={revision.id} className="rounded-xl bg-dark-900/50 border border-dark-700/50">
+              <div className="flex items-center justify-between gap-3 p-3">
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(selectedId === revision.id ? null : revision.id)}
+                  className="min-w-0 text-left"
+                >
+                  <p className="text-sm text-white">
+                    <span className="font-mono text-primary-400">#{revision.number}</span>{' '}
+                    {index === 0 && <span className="text-xs text-dark-400">(current) </span>}
+                    {revision.restoredFromId && (
+                      <span className="text-xs text-dark-400">
+                        restored from #{revisions.find(r => r.id === revision.restoredFromId)?.number ?? '?'}{' '}
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-xs text-dark-500 truncate">
+                    {new Date(revision.createdAt).toLocaleString()}
+                    {revision.author && ` · ${revision.author.name}`}
+                    {' · '}
+                    {revision.changedFields.length
+                      ? revision.changedFields.map(field => FIELD_LABELS[field] || field).join(', ')
+                      : 'Initial settings'}
+                  </p>
+                </button>
+                {index > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => restore(revision)}
+                    disabled={restoring}
+                    className="shrink-0 flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm bg-dark-700 hover:bg-dark-600 text-white transition-colors disabled:opacity-50"
+                    title="Restore these settings"
+                  >
+                    {restoring ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <RotateCcw className="w-3.5 h-3.5" />}
+                    Restore
+                  </button>
+                )}
+              </div>
+
+              {selectedId === revision.id && diff && (
+                <div className="px-3 pb-3 space-y-3">
+                  {diff.changes.length === 0 && (
+                    <p className="text-xs text-dark-500">No changes</p>
+                  )}
+                  {diff.changes.map((change) => (
+                    <div key={change.field}>
+                      <p className="text-xs font-medium text-dark-300 mb-1">{FIELD_LABELS[change.field] || change.field}</p>
+                      {change.lines ? (
+                        <pre className="text-xs font-mono rounded-lg bg-dark-900 p-2 overflow-x-auto">
+                          {change.lines.map((line, i) => (
+                            <div key={i} className={LINE_STYLES[line.type]}>
+                              {LINE_MARKERS[line.type]} {line.text}
+                            </div>
+                          ))}
+                        </pre>
+                      ) : (
+                        <p className="text-xs font-mono text-dark-400 break-words">
+                          <span className="text-red-300">{formatValue(change.from)}</span>
+                          {' → '}
+                          <span className="text-green-300">{formatValue(change.to)}</span>
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
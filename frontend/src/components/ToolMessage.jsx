@@ -0,0 +1,101 @@
+import { Wrench, CornerDownRight, Network } from 'lucide-react'
+import { formatTokens, formatCost } from '../utils/usage'
+
+// Pretty-print tool call arguments (a JSON string)
+const formatArguments = (args) => {
+  try {
+    return JSON.stringify(JSON.parse(args))
+  } catch (e) {
+    return args
+  }
+}
+
+// A task handed to a sub-agent: its tool calls (with their own
+// delegations) and its reply
+function DelegationTrace({ delegation }) {
+  const { agent, task, reply, model, usage, cost, error, steps = [] } = delegation
+
+  return (
+    <details className="max-w-[80%] lg:max-w-[60%] min-w-0 group" open={Boolean(error)}>
+      <summary className={`cursor-pointer flex items-center gap-1.5 text-xs font-mono ${error ? 'text-red-400' : 'text-dark-400'} hover:text-dark-200`}>
+        <Network className="w-3.5 h-3.5" />
+        {agent.name} {error ? 'failed' : 'answered'}
+      </summary>
+      <div className="mt-1.5 pl-3 border-l-2 border-dark-700 space-y-2">
+        <p className="text-xs text-dark-300 whitespace-pre-wrap break-words">
+          <span className="text-dark-500">Task: </span>{task}
+        </p>
+        {steps.map((step) => (
+          <ToolMessage key={step.id} message={step} />
+        ))}
+        {error ? (
+          <p className="text-xs text-red-300/80 break-words">{error}</p>
+        ) : (
+          <pre className="px-3 py-2 rounded-lg bg-dark-900 border border-dark-700 text-xs text-dark-300 whitespace-pre-wrap break-words max-h-64 overflow-y-auto">
+            {reply}
+          </pre>
+        )}
+        {usage && (
+          <p className="text-xs text-dark-500 font-mono">
+            {model} · {formatTokens(usage.promptTokens + usage.completionTokens)} tokens{cost != null && ` · ${formatCost(cost)}`}
+          </p>
+        )}
+      </div>
+    </details>
+  )
+}
+
+// A tool call made by the model, or the result returned to it
+export default function ToolMessage({ message, dimmed, title }) {
+  if (message.role === 'tool_call') {
+    return (
+      <div className={`flex gap-4 animate-fade-in ${dimmed ? 'opacity-40' : ''}`} title={title}>
+        <div className="flex-shrink-0 w-8 h-8 rounded-lg bg-dark-800 flex items-center justify-center">
+          <Wrench className="w-4 h-4 text-dark-400" />
+        </div>
+        <div className="max-w-[80%] lg:max-w-[60%] min-w-0 space-y-1.5">
+          {message.content && (
+            <p className="text-sm text-dark-300 whitespace-pre-wrap">{message.content}</p>
+          )}
+          {(message.toolCalls || []).map((call) => (
+            <div
+              key={call.id}
+              className="px-3 py-2 rounded-lg bg-dark-800/60 border border-dark-700 font-mono text-xs text-dark-200 break-all"
+            >
+              <span className="text-primary-400">{call.name}</span>({formatArguments(call.arguments)})
+            </div>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  const failed = message.content.startsWith('Error:')
+
+  if (message.delegation) {
+    return (
+      <div className={`flex gap-4 animate-fade-in ${dimmed ? 'opacity-40' : ''}`} title={title}>
+        <div className="flex-shrink-0 w-8 h-8 flex items-center justify-center">
+          <CornerDownRight className="w-4 h-4 text-dark-500" />
+        </div>
+        <DelegationTrace delegation={message.delegation} />
+      </div>
+    )
+  }
+
+  return (
+    <div className={`flex gap-4 animate-fade-in ${dimmed ? 'opacity-40' : ''}`} title={title}>
+      <div className="flex-shrink-0 w-8 h-8 flex items-center justify-center">
+        <CornerDownRight className="w-4 h-4 text-dark-500" />
+      </div>
+      <details className="max-w-[80%] lg:max-w-[60%] min-w-0 group">
+        <summary className={`cursor-pointer text-xs font-mono ${failed ? 'text-red-400' : 'text-dark-400'} hover:text-dark-200`}>
+          {message.toolName} {failed ? 'failed' : 'returned'}
+        </summary>
+        <pre className="mt-1.5 px-3 py-2 rounded-lg bg-dark-900 border border-dark-700 text-xs text-dark-300 whitespace-pre-wrap break-words max-h-64 overflow-y-auto">
+          {message.content}
+        </pre>
+      </details>
+    </div>
+  )
+}
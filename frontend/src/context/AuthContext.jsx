@@ -30,6 +30,16 @@ export function AuthProvider({ children }) {
     }
   }
 
+  // Rate limited auth requests say when to try again
+  const errorMessage = (err, fallback) => {
+    const data = err.response?.data
+    if (err.response?.status === 429 && data?.retryAfter) {
+      const minutes = Math.ceil(data.retryAfter / 60)
+      return `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    }
+    return data?.error || fallback
+  }
+
   const login = async (email, password) => {
     try {
       setError(null)
@@ -38,7 +48,7 @@ export function AuthProvider({ children }) {
       setUser(response.data.user)
       return { success: true }
     } catch (err) {
-      const message = err.response?.data?.error || 'Login failed'
+      const message = errorMessage(err, 'Login failed')
       setError(message)
       return { success: false, error: message }
     }
@@ -52,7 +62,7 @@ export function AuthProvider({ children }) {
       setUser(response.data.user)
       return { success: true }
     } catch (err) {
-      const message = err.response?.data?.error || 'Registration failed'
+      const message = errorMessage(err, 'Registration failed')
       setError(message)
       return { success: false, error: message }
     }
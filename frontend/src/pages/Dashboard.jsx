@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react'
 import { createPortal } from 'react-dom'
 import { Link, useNavigate } from 'react-router-dom'
 import api from '../utils/api'
+import { formatTokens, formatCost } from '../utils/usage'
 import { 
   Plus, 
   MessageSquare, 
@@ -12,11 +13,13 @@ import {
   Calendar,
   FileText,
   Sparkles,
+  Coins,
   X
 } from 'lucide-react'
 
 export default function Dashboard() {
   const [projects, setProjects] = useState([])
+  const [usage, setUsage] = useState({})
   const [loading, setLoading] = useState(true)
   const [showModal, setShowModal] = useState(false)
   const [newProject, setNewProject] = useState({ name: '', description: '', systemPrompt: '' })
@@ -26,6 +29,7 @@ export default function Dashboard() {
 
   useEffect(() => {
     fetchProjects()
+    fetchUsage()
   }, [])
 
   const fetchProjects = async () => {
@@ -39,6 +43,16 @@ export default function Dashboard() {
     }
   }
 
+  // All-time usage per project, keyed by project id
+  const fetchUsage = async () => {
+    try {
+      const response = await api.get('/usage')
+      setUsage(Object.fromEntries(response.data.projects.map(p => [p.projectId, p])))
+    } catch (err) {
+      console.error('Failed to fetch usage:', err)
+    }
+  }
+
   const handleCreateProject = async (e) => {
     e.preventDefault()
     setError('')
@@ -51,7 +65,7 @@ export default function Dashboard() {
       setNewProject({ name: '', description: '', systemPrompt: '' })
       navigate(`/project/${response.data.project.id}`)
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to create project')
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to create project')
     } finally {
       setCreating(false)
     }
@@ -168,6 +182,13 @@ export default function Dashboard() {
                   <FileText className="w-3.5 h-3.5" />
                   {project._count?.files || 0} files
                 </span>
+                <span
+                  className="flex items-center gap-1"
+                  title={`${usage[project.id]?.totalTokens || 0} tokens`}
+                >
+                  <Coins className="w-3.5 h-3.5" />
+                  {formatTokens(usage[project.id]?.totalTokens)} · {formatCost(usage[project.id]?.cost)}
+                </span>
               </div>
 
               <div className="mt-4 pt-4 border-t border-dark-700/50 flex items-center gap-1 text-xs text-dark-500">
@@ -1,15 +1,35 @@
 import { useState, useEffect, useRef } from 'react'
-import { useParams, Link } from 'react-router-dom'
+import { useParams, Link, useSearchParams } from 'react-router-dom'
 import api from '../utils/api'
+import ConversationSidebar from '../components/ConversationSidebar'
+import ToolMessage from '../components/ToolMessage'
+import BranchSwitcher from '../components/BranchSwitcher'
+import MessageAttachments from '../components/MessageAttachments'
+import CompareLanes from '../components/CompareLanes'
+import ComparisonColumns from '../components/ComparisonColumns'
+import MessageFeedback from '../components/MessageFeedback'
+import { readEvents } from '../utils/sse'
+import { IMAGE_TYPES, MAX_IMAGES, MAX_IMAGE_SIZE, makeThumbnail, imageFiles } from '../utils/images'
+import { newLane, toLaneSettings } from '../utils/compare'
 import { 
   Send, 
-  Settings, 
+  Settings,
+  FlaskConical, 
   Loader2, 
   Bot, 
   User, 
   ArrowLeft,
-  Trash2,
-  RefreshCw
+  RefreshCw,
+  PanelLeft,
+  FileText,
+  Pencil,
+  Square,
+  Timer,
+  AlertTriangle,
+  ImagePlus,
+  ShieldAlert,
+  Columns2,
+  X
 } from 'lucide-react'
 
 // Get API base URL for streaming
@@ -22,32 +42,102 @@ const getApiBase = () => {
   return `${window.location.protocol}//${window.location.hostname}:5000/api`
 }
 
+// Reconnects to a reply stream after a dropped connection
+const MAX_RESUME_ATTEMPTS = 3
+const RESUME_DELAY_MS = 1000
+
+// Countdown shown while rate limited, as m:ss or h:mm:ss
+const formatCountdown = (seconds) => {
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = String(seconds % 60).padStart(2, '0')
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
 export default function ProjectChat() {
   const { id } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const conversationId = searchParams.get('c')
   const [project, setProject] = useState(null)
+  const [conversations, setConversations] = useState([])
+  const [showArchived, setShowArchived] = useState(false)
+  const [threadsOpen, setThreadsOpen] = useState(false)
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(true)
   const [sending, setSending] = useState(false)
   const [streamingContent, setStreamingContent] = useState('')
+  // Shown while the server retries a failed model call or falls back
+  const [retryNotice, setRetryNotice] = useState('')
   const [error, setError] = useState('')
+  // When a rate limit lifts (ms timestamp) and the seconds left until then
+  const [retryAt, setRetryAt] = useState(null)
+  const [retrySeconds, setRetrySeconds] = useState(0)
+  // Which messages were sent to the model for the latest reply
+  const [contextWindow, setContextWindow] = useState(null)
+  // User message being edited in place
+  const [editingMessageId, setEditingMessageId] = useState(null)
+  const [editContent, setEditContent] = useState('')
+  // Images for the next message: { key, id, name, thumbnail, uploading }
+  const [attachments, setAttachments] = useState([])
+  const [dragging, setDragging] = useState(false)
+  // Compare mode: lanes for the next message, and the replies being compared
+  const [compareMode, setCompareMode] = useState(false)
+  const [lanes, setLanes] = useState([])
+  const [comparison, setComparison] = useState(null)
+  const [keeping, setKeeping] = useState(false)
   const messagesEndRef = useRef(null)
   const inputRef = useRef(null)
+  const imageInputRef = useRef(null)
+  // Conversation created by the message being streamed; its messages are already on screen
+  const streamedConversationRef = useRef(null)
+  // Aborts the reply being streamed
+  const abortControllerRef = useRef(null)
+  // Server-side stream of the reply, for stopping it
+  const streamIdRef = useRef(null)
 
   useEffect(() => {
     fetchProject()
   }, [id])
 
+  useEffect(() => {
+    fetchConversations()
+  }, [id, showArchived])
+
+  useEffect(() => {
+    setContextWindow(null)
+    if (conversationId && conversationId === streamedConversationRef.current) return
+    setComparison(null)
+    fetchMessages()
+  }, [id, conversationId])
+
   useEffect(() => {
     scrollToBottom()
   }, [messages, streamingContent])
 
+  // Leaving the page stops generation; the server keeps the partial reply
+  useEffect(() => () => abortControllerRef.current?.abort(), [])
+
+  useEffect(() => {
+    if (!retryAt) return
+    const tick = () => {
+      const seconds = Math.ceil((retryAt - Date.now()) / 1000)
+      if (seconds <= 0) {
+        setRetryAt(null)
+      } else {
+        setRetrySeconds(seconds)
+      }
+    }
+    tick()
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [retryAt])
+
   const fetchProject = async () => {
     try {
       setLoading(true)
       const response = await api.get(`/projects/${id}`)
       setProject(response.data.project)
-      setMessages(response.data.project.messages || [])
     } catch (err) {
       setError('Failed to load project')
       console.error(err)
@@ -56,126 +146,480 @@ export default function ProjectChat() {
     }
   }
 
+  const fetchConversations = async () => {
+    try {
+      const response = await api.get(`/conversations/${id}?archived=${showArchived}`)
+      setConversations(response.data.conversations)
+    } catch (err) {
+      console.error('Failed to load conversations:', err)
+    }
+  }
+
+  const fetchMessages = async () => {
+    if (!conversationId) {
+      setMessages([])
+      return
+    }
+
+    try {
+      const response = await api.get(`/conversations/${id}/${conversationId}`)
+      setMessages(response.data.conversation.messages)
+    } catch (err) {
+      setError('Failed to load conversation')
+      console.error(err)
+    }
+  }
+
+  const selectConversation = (cid) => {
+    streamedConversationRef.current = null
+    setThreadsOpen(false)
+    setSearchParams(cid ? { c: cid } : {})
+  }
+
+  const handleRenameConversation = async (cid, title) => {
+    try {
+      const response = await api.put(`/conversations/${id}/${cid}`, { title })
+      setConversations(prev => prev.map(c => c.id === cid ? { ...c, ...response.data.conversation } : c))
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to rename chat')
+    }
+  }
+
+  const handleArchiveConversation = async (cid, archived) => {
+    try {
+      await api.put(`/conversations/${id}/${cid}/archive`, { archived })
+      setConversations(prev => prev.filter(c => c.id !== cid))
+      if (cid === conversationId) selectConversation(null)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to archive chat')
+    }
+  }
+
+  const handleDeleteConversation = async (cid) => {
+    if (!confirm('Delete this chat and all its messages? This cannot be undone.')) return
+
+    try {
+      await api.delete(`/conversations/${id}/${cid}`)
+      setConversations(prev => prev.filter(c => c.id !== cid))
+      if (cid === conversationId) selectConversation(null)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete chat')
+    }
+  }
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' })
   }
 
-  // Fast streaming submit handler
-  const handleSubmit = async (e) => {
-    e.preventDefault()
-    if (!input.trim() || sending) return
-
-    const userMessage = input.trim()
-    setInput('')
+  // Stream a reply into the chat. `history` is what stays on screen
+  // meanwhile; branched replies reload the branch once done
+  const streamReply = async (path, body, { history, tempUserMsg = null, branched = false }) => {
     setSending(true)
     setError('')
     setStreamingContent('')
+    setMessages(tempUserMsg ? [...history, tempUserMsg] : history)
 
-    // Optimistically add user message
-    const tempUserMsg = {
-      id: 'temp-user-' + Date.now(),
-      role: 'user',
-      content: userMessage,
-      createdAt: new Date().toISOString()
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    streamIdRef.current = null
+    let fullContent = ''
+    let finalMessage = null
+    let finished = false
+    let lastEventId = null
+    let userMessageSaved = false
+
+    // Apply one event from the server
+    const handleEvent = (parsed) => {
+      if (parsed.type === 'conversation') {
+        // Track the thread (a new one is created for the first message)
+        const conversation = parsed.data
+        setConversations(prev => [
+          { ...prev.find(c => c.id === conversation.id), ...conversation },
+          ...prev.filter(c => c.id !== conversation.id)
+        ])
+        if (conversation.id !== conversationId) {
+          streamedConversationRef.current = conversation.id
+          setSearchParams({ c: conversation.id })
+        }
+      } else if (parsed.type === 'user_message') {
+        // Update temp user message with real one
+        userMessageSaved = true
+        setMessages(prev => 
+          prev.map(m => m.id === tempUserMsg?.id ? parsed.data : m)
+        )
+      } else if (parsed.type === 'context') {
+        setContextWindow(parsed.data)
+      } else if (parsed.type === 'tool_call' || parsed.type === 'tool_result') {
+        // Text streamed before a tool call belongs to the tool_call message
+        fullContent = ''
+        setStreamingContent('')
+        if (parsed.type === 'tool_result') setRetryNotice('')
+        setMessages(prev => [...prev, parsed.data])
+      } else if (parsed.type === 'delegation') {
+        // A sub-agent works on a task until its tool_result arrives
+        setRetryNotice(`Waiting for ${parsed.data.agent.name}…`)
+      } else if (parsed.type === 'retry') {
+        setRetryNotice(parsed.data.type === 'fallback'
+          ? `Switching to ${parsed.data.model}…`
+          : `${parsed.data.model} is busy, retrying…`)
+      } else if (parsed.type === 'output_retry') {
+        // The reply did not match the output schema and is generated again
+        fullContent = ''
+        setStreamingContent('')
+        setRetryNotice('Reply did not match the output schema, retrying…')
+      } else if (parsed.type === 'lanes') {
+        // Compare mode: one column per lane
+        setComparison({
+          done: false,
+          lanes: parsed.data.map(lane => ({ label: lane.label, content: '', toolMessages: [], notice: '', message: null, error: null }))
+        })
+      } else if (parsed.type === 'lane') {
+        const { lane, type, data } = parsed.data
+        setComparison(prev => prev && {
+          ...prev,
+          lanes: prev.lanes.map((state, index) => (index !== lane ? state : applyLaneEvent(state, type, data)))
+        })
+      } else if (parsed.type === 'chunk') {
+        // Stream content character by character
+        setRetryNotice('')
+        fullContent += parsed.data
+        setStreamingContent(fullContent)
+      } else if (parsed.type === 'done') {
+        finalMessage = parsed.data
+        finished = true
+      } else if (parsed.type === 'error') {
+        finished = true
+        throw new Error(parsed.data)
+      }
     }
-    setMessages(prev => [...prev, tempUserMsg])
 
     try {
       const token = localStorage.getItem('token')
       
       // Use regular fetch for streaming SSE
-      const response = await fetch(`${getApiBase()}/chat/${id}/stream`, {
+      let response = await fetch(`${getApiBase()}${path}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`
         },
-        body: JSON.stringify({ message: userMessage })
+        body: JSON.stringify(body),
+        signal: controller.signal
       })
 
       if (!response.ok) {
         const errorData = await response.json()
-        throw new Error(errorData.error || 'Failed to send message')
+        // Messages blocked by the project's guardrails say which rules matched
+        const requestError = new Error(errorData.violations
+          ? `${errorData.error}: ${errorData.details}`
+          : errorData.details?.[0]?.msg || errorData.details || errorData.error || 'Failed to send message')
+        if (response.status === 429) {
+          requestError.retryAfter = errorData.retryAfter ?? (parseInt(response.headers.get('Retry-After'), 10) || 60)
+        }
+        throw requestError
       }
 
-      const reader = response.body.getReader()
-      const decoder = new TextDecoder()
-      let fullContent = ''
-      let finalMessage = null
-
-      while (true) {
-        const { done, value } = await reader.read()
-        if (done) break
-
-        const chunk = decoder.decode(value)
-        const lines = chunk.split('\n')
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6)
-            if (!data || data === '[DONE]') continue
+      for (let attempt = 1; ; attempt++) {
+        try {
+          for await (const event of readEvents(response)) {
+            if (event.id) {
+              lastEventId = event.id
+              streamIdRef.current = event.id.split(':')[0]
+            }
 
+            let parsed
             try {
-              const parsed = JSON.parse(data)
-              
-              if (parsed.type === 'user_message') {
-                // Update temp user message with real one
-                setMessages(prev => 
-                  prev.map(m => m.id === tempUserMsg.id ? parsed.data : m)
-                )
-              } else if (parsed.type === 'chunk') {
-                // Stream content character by character
-                fullContent += parsed.data
-                setStreamingContent(fullContent)
-              } else if (parsed.type === 'done') {
-                finalMessage = parsed.data
-              } else if (parsed.type === 'error') {
-                throw new Error(parsed.data)
-              }
+              parsed = JSON.parse(event.data)
             } catch (parseErr) {
               // Skip invalid JSON
+              continue
             }
+            handleEvent(parsed)
           }
+        } catch (err) {
+          if (finished || err.name === 'AbortError') throw err
+          // Connection dropped; resumed below
+        }
+        if (finished) break
+
+        // The connection ended before the reply did: pick up where it left off
+        if (!lastEventId || attempt > MAX_RESUME_ATTEMPTS) {
+          throw new Error('Connection lost before the reply finished')
+        }
+        await new Promise(resolve => setTimeout(resolve, RESUME_DELAY_MS * attempt))
+        response = await fetch(`${getApiBase()}/chat/${id}/stream/resume`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Last-Event-ID': lastEventId
+          },
+          signal: controller.signal
+        })
+        if (!response.ok) {
+          throw new Error('Connection lost and the reply could not be resumed')
         }
       }
 
       // Add final assistant message
       if (finalMessage) {
         setMessages(prev => [...prev, finalMessage])
-      } else if (fullContent) {
-        // Fallback if done message wasn't received
-        setMessages(prev => [...prev, {
-          id: 'assistant-' + Date.now(),
-          role: 'assistant',
-          content: fullContent,
-          createdAt: new Date().toISOString()
-        }])
       }
       setStreamingContent('')
 
+      if (branched) {
+        await fetchMessages()
+      }
     } catch (err) {
-      console.error('Chat error:', err)
-      setError(err.message || 'Failed to send message')
-      // Remove optimistic message on error
-      setMessages(prev => prev.filter(m => m.id !== tempUserMsg.id))
       setStreamingContent('')
+
+      if (err.name === 'AbortError') {
+        // Connection dropped on purpose: the server saves the partial reply
+        if (fullContent) {
+          setMessages(prev => [...prev, {
+            id: 'assistant-' + Date.now(),
+            role: 'assistant',
+            content: fullContent,
+            stopped: true,
+            createdAt: new Date().toISOString()
+          }])
+        }
+        return
+      }
+
+      // Images of a message that was never saved can be sent again
+      if (tempUserMsg?.attachments?.length && !branched && !userMessageSaved) {
+        setAttachments(tempUserMsg.attachments.map(a => ({ ...a, key: a.id })))
+      }
+      if (err.retryAfter) {
+        // Throttled: show a countdown and give the message back to resend
+        setRetryAt(Date.now() + err.retryAfter * 1000)
+        if (tempUserMsg && !branched) setInput(tempUserMsg.content)
+      } else {
+        console.error('Chat error:', err)
+        setError(err.message || 'Failed to send message')
+      }
+      if (branched) {
+        await fetchMessages()
+      } else if (tempUserMsg) {
+        // Remove optimistic message on error
+        setMessages(prev => prev.filter(m => m.id !== tempUserMsg.id))
+      }
     } finally {
+      abortControllerRef.current = null
+      streamIdRef.current = null
+      setRetryNotice('')
       setSending(false)
       inputRef.current?.focus()
     }
   }
 
-  const handleClearChat = async () => {
-    if (!confirm('Clear all messages? This cannot be undone.')) return
+  // Ask the server to stop; it saves the partial reply and finishes the
+  // stream with it. Without a stream id yet, drop the connection instead.
+  const stopGeneration = async () => {
+    const streamId = streamIdRef.current
+    if (streamId) {
+      try {
+        await api.post(`/chat/${id}/stream/${streamId}/stop`)
+        return
+      } catch (err) {
+        console.error('Failed to stop generation:', err)
+      }
+    }
+    abortControllerRef.current?.abort()
+  }
+
+  // Upload images for the next message, showing their thumbnails meanwhile
+  const addImages = async (files) => {
+    const images = imageFiles(files).slice(0, MAX_IMAGES - attachments.length)
+    if (images.length === 0) return
+
+    const tooLarge = images.filter(file => file.size > MAX_IMAGE_SIZE)
+    if (tooLarge.length) {
+      setError(`${tooLarge.map(file => file.name).join(', ')}: images must be at most 5 MB`)
+    }
+
+    await Promise.all(images.filter(file => file.size <= MAX_IMAGE_SIZE).map(async (file) => {
+      const key = `${file.name}-${Date.now()}-${Math.random()}`
+      let thumbnail = null
+      try {
+        thumbnail = await makeThumbnail(file)
+      } catch (err) {
+        // Sent without a preview
+      }
+      setAttachments(prev => [...prev, { key, id: null, name: file.name, thumbnail, uploading: true }])
+
+      try {
+        const response = await api.uploadFile(`/attachments/${id}`, file, { thumbnail })
+        setAttachments(prev => prev.map(a => a.key === key ? { ...a, ...response.data.attachment, uploading: false } : a))
+      } catch (err) {
+        setAttachments(prev => prev.filter(a => a.key !== key))
+        setError(err.response?.data?.error || `Failed to upload ${file.name}`)
+      }
+    }))
+  }
+
+  const removeAttachment = (attachment) => {
+    setAttachments(prev => prev.filter(a => a.key !== attachment.key))
+    if (attachment.id) {
+      api.delete(`/attachments/${id}/${attachment.id}`).catch(() => {})
+    }
+  }
+
+  const handlePaste = (e) => {
+    const images = imageFiles(e.clipboardData?.files)
+    if (images.length) {
+      e.preventDefault()
+      addImages(images)
+    }
+  }
+
+  const handleDrop = (e) => {
+    e.preventDefault()
+    setDragging(false)
+    addImages(e.dataTransfer.files)
+  }
+
+  const uploadingImages = attachments.some(a => a.uploading)
 
+  // Follow one compare lane's events (the types streamReply handles)
+  const applyLaneEvent = (state, type, data) => {
+    if (type === 'chunk') return { ...state, content: state.content + data, notice: '' }
+    if (type === 'tool_call' || type === 'tool_result') {
+      return { ...state, content: '', toolMessages: [...state.toolMessages, data] }
+    }
+    if (type === 'output_retry') return { ...state, content: '', notice: 'Reply did not match the output schema, retrying…' }
+    if (type === 'retry') return { ...state, notice: `${data.model} is busy, retrying…` }
+    if (type === 'delegation') return { ...state, notice: `Waiting for ${data.agent.name}…` }
+    if (type === 'done') return { ...state, message: data, error: data ? null : 'Stopped before the model answered' }
+    if (type === 'error') return { ...state, error: data }
+    return state
+  }
+
+  const toggleCompareMode = () => {
+    if (!compareMode && lanes.length === 0) {
+      setLanes([newLane(project.model || ''), newLane()])
+    }
+    setCompareMode(!compareMode)
+  }
+
+  // Fast streaming submit handler
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if ((!input.trim() && attachments.length === 0) || uploadingImages || sending || retryAt || comparison) return
+
+    const userMessage = input.trim()
+    const sentAttachments = attachments.map(({ id, name, mimeType, size, thumbnail }) => ({ id, name, mimeType, size, thumbnail }))
+    setInput('')
+    setAttachments([])
+
+    // Optimistically add user message
+    await streamReply(compareMode ? `/chat/${id}/compare` : `/chat/${id}/stream`, {
+      message: userMessage,
+      conversationId,
+      attachmentIds: sentAttachments.map(a => a.id),
+      ...(compareMode ? { lanes: lanes.map(toLaneSettings) } : {})
+    }, {
+      history: messages,
+      tempUserMsg: {
+        id: 'temp-user-' + Date.now(),
+        role: 'user',
+        content: userMessage,
+        attachments: sentAttachments,
+        createdAt: new Date().toISOString()
+      }
+    })
+    // Compared replies can be kept once every lane has finished
+    setComparison(prev => prev && { ...prev, done: true })
+  }
+
+  // Keep one compared reply; the server deletes the others
+  const handleKeep = async (message) => {
+    setKeeping(true)
     try {
-      await api.delete(`/projects/${id}/messages`)
-      setMessages([])
+      await api.post(`/chat/${id}/messages/${message.id}/keep`)
+      setComparison(null)
+      await fetchMessages()
     } catch (err) {
-      console.error('Failed to clear chat:', err)
+      setError(err.response?.data?.error || 'Failed to keep the reply')
+    } finally {
+      setKeeping(false)
     }
   }
 
+  // Leave every compared reply as a branch of the conversation
+  const dismissComparison = async () => {
+    setComparison(null)
+    await fetchMessages()
+  }
+
+  // New reply to the user message before `message`, as a sibling branch
+  const handleRegenerate = (message) => {
+    let end = messages.indexOf(message)
+    while (end >= 0 && messages[end].role !== 'user') end--
+
+    streamReply(`/chat/${id}/messages/${message.id}/regenerate`, {}, {
+      history: messages.slice(0, end + 1),
+      branched: true
+    })
+  }
+
+  // Generate a failed reply again; the failed turn is replaced
+  const handleRetry = (message) => {
+    let end = messages.indexOf(message)
+    while (end >= 0 && messages[end].role !== 'user') end--
+
+    streamReply(`/chat/${id}/messages/${message.id}/retry`, {}, {
+      history: messages.slice(0, end + 1),
+      branched: true
+    })
+  }
+
+  const startEdit = (message) => {
+    setEditingMessageId(message.id)
+    setEditContent(message.content)
+  }
+
+  // Send an edited copy of a user message as a sibling branch
+  const submitEdit = (message) => {
+    const content = editContent.trim()
+    setEditingMessageId(null)
+    if (!content || content === message.content) return
+
+    streamReply(`/chat/${id}/messages/${message.id}/edit`, { message: content }, {
+      history: messages.slice(0, messages.indexOf(message)),
+      tempUserMsg: {
+        id: 'temp-user-' + Date.now(),
+        role: 'user',
+        content,
+        createdAt: new Date().toISOString()
+      },
+      branched: true
+    })
+  }
+
+  const handleSwitchBranch = async (messageId) => {
+    try {
+      const response = await api.put(`/conversations/${id}/${conversationId}/branch`, { messageId })
+      setMessages(response.data.messages)
+      setContextWindow(null)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to switch branch')
+    }
+  }
+
+  // Messages before the summary point are sent to the model as the summary
+  const summarizedCount = contextWindow?.summaryMessageId
+    ? messages.findIndex(m => m.id === contextWindow.summaryMessageId) + 1
+    : 0
+
+  const contextLabel = (message, index) => {
+    if (index < summarizedCount) return 'Included as part of the conversation summary'
+    if (contextWindow?.droppedIds.includes(message.id)) return 'Not sent to the model (outside the context window)'
+    return undefined
+  }
+
+  // Placeholder messages shown while streaming have no server id yet
+  const isSaved = (message) => !/^(temp-user|assistant)-\d+$/.test(message.id)
+
   const formatTime = (date) => {
     return new Date(date).toLocaleTimeString('en-US', {
       hour: 'numeric',
@@ -204,163 +648,453 @@ export default function ProjectChat() {
   }
 
   return (
-    <div className="h-[calc(100vh-64px)] lg:h-screen flex flex-col">
-      {/* Header */}
-      <div className="flex items-center justify-between px-6 py-4 border-b border-dark-700/50 bg-dark-900/50 backdrop-blur-xl">
-        <div className="flex items-center gap-4">
-          <Link
-            to="/dashboard"
-            className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors lg:hidden"
-          >
-            <ArrowLeft className="w-5 h-5" />
-          </Link>
-          <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
-            <Bot className="w-5 h-5 text-primary-400" />
+    <div className="h-[calc(100vh-64px)] lg:h-screen flex">
+      {/* Threads */}
+      <ConversationSidebar
+        conversations={conversations}
+        activeId={conversationId}
+        showArchived={showArchived}
+        open={threadsOpen}
+        onClose={() => setThreadsOpen(false)}
+        onSelect={selectConversation}
+        onNew={() => selectConversation(null)}
+        onRename={handleRenameConversation}
+        onArchive={handleArchiveConversation}
+        onDelete={handleDeleteConversation}
+        onToggleArchived={() => setShowArchived(!showArchived)}
+      />
+
+      <div
+        className="relative flex-1 min-w-0 flex flex-col"
+        onDragOver={(e) => {
+          if (!e.dataTransfer.types.includes('Files')) return
+          e.preventDefault()
+          setDragging(true)
+        }}
+        onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setDragging(false)}
+        onDrop={handleDrop}
+      >
+        {/* Drop zone for images */}
+        {dragging && (
+          <div className="absolute inset-0 z-20 m-4 rounded-2xl border-2 border-dashed border-primary-500 bg-dark-900/80 flex flex-col items-center justify-center gap-2 pointer-events-none">
+            <ImagePlus className="w-8 h-8 text-primary-400" />
+            <p className="text-white font-medium">Drop images to attach them</p>
+          </div>
+        )}
+
+        {/* Header */}
+        <div className="flex items-center justify-between px-6 py-4 border-b border-dark-700/50 bg-dark-900/50 backdrop-blur-xl">
+          <div className="flex items-center gap-4">
+            <Link
+              to="/dashboard"
+              className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors lg:hidden"
+            >
+              <ArrowLeft className="w-5 h-5" />
+            </Link>
+            <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
+              <Bot className="w-5 h-5 text-primary-400" />
+            </div>
+            <div>
+              <h1 className="font-semibold text-white">{project.name}</h1>
+              <p className="text-sm text-dark-400">
+                {conversations.find(c => c.id === conversationId)?.title || 'New chat'} · {messages.length} messages
+                {contextWindow && (
+                  <span title={`${contextWindow.messageIds.length} messages sent to the model (${contextWindow.strategy.replace('_', ' ')})`}>
+                    {' '}· ~{contextWindow.tokens.toLocaleString()} / {contextWindow.tokenBudget.toLocaleString()} tokens in context
+                  </span>
+                )}
+              </p>
+            </div>
           </div>
-          <div>
-            <h1 className="font-semibold text-white">{project.name}</h1>
-            <p className="text-sm text-dark-400">{messages.length} messages</p>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={toggleCompareMode}
+              className={`p-2 rounded-lg hover:bg-dark-800 transition-colors ${compareMode ? 'text-primary-400' : 'text-dark-400 hover:text-white'}`}
+              title={compareMode ? 'Leave compare mode' : 'Compare models side by side'}
+            >
+              <Columns2 className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setThreadsOpen(true)}
+              className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors md:hidden"
+              title="Chats"
+            >
+              <PanelLeft className="w-5 h-5" />
+            </button>
+            <Link
+              to={`/project/${id}/evals`}
+              className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+              title="Evals"
+            >
+              <FlaskConical className="w-5 h-5" />
+            </Link>
+            <Link
+              to={`/project/${id}/settings`}
+              className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+            >
+              <Settings className="w-5 h-5" />
+            </Link>
           </div>
         </div>
-        <div className="flex items-center gap-2">
-          <button
-            onClick={handleClearChat}
-            className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-red-400 transition-colors"
-            title="Clear chat"
-          >
-            <Trash2 className="w-5 h-5" />
-          </button>
-          <Link
-            to={`/project/${id}/settings`}
-            className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
-          >
-            <Settings className="w-5 h-5" />
-          </Link>
-        </div>
-      </div>
 
-      {/* Messages */}
-      <div className="flex-1 overflow-y-auto p-6 space-y-6">
-        {messages.length === 0 && !streamingContent ? (
-          <div className="h-full flex flex-col items-center justify-center text-center">
-            <div className="w-16 h-16 rounded-2xl bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center mb-4">
-              <Bot className="w-8 h-8 text-primary-400" />
+        {/* Messages */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {messages.length === 0 && !streamingContent ? (
+            <div className="h-full flex flex-col items-center justify-center text-center">
+              <div className="w-16 h-16 rounded-2xl bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center mb-4">
+                <Bot className="w-8 h-8 text-primary-400" />
+              </div>
+              <h3 className="text-lg font-semibold text-white mb-2">Start a conversation</h3>
+              <p className="text-dark-400 max-w-md">
+                {project.systemPrompt 
+                  ? 'Your agent is ready to chat. Send a message to begin!'
+                  : 'Configure a system prompt in settings to customize your agent\'s behavior'}
+              </p>
             </div>
-            <h3 className="text-lg font-semibold text-white mb-2">Start a conversation</h3>
-            <p className="text-dark-400 max-w-md">
-              {project.systemPrompt 
-                ? 'Your agent is ready to chat. Send a message to begin!'
-                : 'Configure a system prompt in settings to customize your agent\'s behavior'}
-            </p>
-          </div>
-        ) : (
-          <>
-            {messages.map((message, index) => (
-              <div
-                key={message.id}
-                className={`flex gap-4 animate-fade-in ${message.role === 'user' ? 'justify-end' : ''}`}
-                style={{ animationDelay: `${index * 30}ms` }}
-              >
-                {message.role === 'assistant' && (
+          ) : (
+            <>
+              {messages.map((message, index) => message.role === 'tool_call' || message.role === 'tool_result' ? (
+                <div key={message.id}>
+                  <ToolMessage
+                    message={message}
+                    dimmed={Boolean(contextLabel(message, index))}
+                    title={contextLabel(message, index)}
+                  />
+                  {message.branch && (
+                    <div className="ml-12 mt-1">
+                      <BranchSwitcher branch={message.branch} disabled={sending} onSwitch={handleSwitchBranch} />
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <div
+                  key={message.id}
+                  className={`flex gap-4 animate-fade-in ${message.role === 'user' ? 'justify-end' : ''} ${
+                    contextLabel(message, index) ? 'opacity-40' : ''
+                  }`}
+                  style={{ animationDelay: `${index * 30}ms` }}
+                  title={contextLabel(message, index)}
+                >
+                  {message.role === 'assistant' && (
+                    <div className="flex-shrink-0 w-8 h-8 rounded-lg bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
+                      <Bot className="w-4 h-4 text-primary-400" />
+                    </div>
+                  )}
+                  <div className={`max-w-[80%] lg:max-w-[60%] ${message.role === 'user' ? 'order-first' : ''} ${
+                    editingMessageId === message.id ? 'flex-1' : ''
+                  }`}>
+                    {message.attachments?.length > 0 && (
+                      <MessageAttachments
+                        projectId={id}
+                        attachments={message.attachments}
+                        align={message.role === 'user' ? 'end' : 'start'}
+                      />
+                    )}
+                    {editingMessageId === message.id ? (
+                      <div className="space-y-2">
+                        <textarea
+                          autoFocus
+                          value={editContent}
+                          onChange={(e) => setEditContent(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Escape' && setEditingMessageId(null)}
+                          rows={3}
+                          className="w-full px-4 py-3 rounded-2xl bg-dark-800 border border-dark-600 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none"
+                        />
+                        <div className="flex justify-end gap-2">
+                          <button
+                            onClick={() => setEditingMessageId(null)}
+                            className="px-3 py-1.5 rounded-lg text-sm text-dark-300 hover:bg-dark-800 transition-all"
+                          >
+                            Cancel
+                          </button>
+                          <button
+                            onClick={() => submitEdit(message)}
+                            disabled={!editContent.trim()}
+                            className="px-3 py-1.5 rounded-lg text-sm bg-primary-500 text-dark-900 font-semibold hover:bg-primary-400 transition-all disabled:opacity-50"
+                          >
+                            Save &amp; Send
+                          </button>
+                        </div>
+                      </div>
+                    ) : message.status === 'failed' ? (
+                      <div className="px-4 py-3 rounded-2xl rounded-tl-sm bg-red-500/10 border border-red-500/20 text-sm">
+                        <p className="flex items-center gap-2 text-red-400 font-medium">
+                          <AlertTriangle className="w-4 h-4 shrink-0" />
+                          The reply could not be generated
+                        </p>
+                        {message.error && (
+                          <p className="mt-1 text-red-300/80 break-words">{message.error}</p>
+                        )}
+                        {message.content && (
+                          <pre className="mt-2 p-2 rounded-lg bg-dark-900/60 text-xs text-dark-300 whitespace-pre-wrap break-words max-h-40 overflow-y-auto">{message.content}</pre>
+                        )}
+                        <button
+                          onClick={() => handleRetry(message)}
+                          disabled={sending || Boolean(retryAt)}
+                          className="mt-3 flex items-center gap-2 px-3 py-1.5 rounded-lg bg-dark-700 hover:bg-dark-600 text-white transition-colors disabled:opacity-50"
+                        >
+                          <RefreshCw className="w-3.5 h-3.5" />
+                          Retry
+                        </button>
+                      </div>
+                    ) : message.status === 'pending' || message.status === 'streaming' ? (
+                      <div className="px-4 py-3 rounded-2xl rounded-tl-sm bg-dark-800 text-dark-400 italic">
+                        <p className="whitespace-pre-wrap">{message.content || 'Generating…'}</p>
+                      </div>
+                    ) : message.content || !message.attachments?.length ? (
+                      <div
+                        className={`px-4 py-3 rounded-2xl ${
+                          message.role === 'user'
+                            ? 'bg-primary-500 text-dark-900 rounded-tr-sm'
+                            : 'bg-dark-800 text-dark-100 rounded-tl-sm'
+                        }`}
+                      >
+                        {message.data != null ? (
+                          <pre className="text-sm font-mono whitespace-pre-wrap break-words">{JSON.stringify(message.data, null, 2)}</pre>
+                        ) : (
+                          <p className="whitespace-pre-wrap">{message.content}</p>
+                        )}
+                      </div>
+                    ) : null}
+                    {message.sources?.length > 0 && (
+                      <div className="flex flex-wrap gap-1.5 mt-2">
+                        {message.sources.map((source) => (
+                          <span
+                            key={source.index}
+                            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-dark-800/80 border border-dark-700 text-xs text-dark-300"
+                            title={`${source.fileName}, part ${source.chunkIndex + 1}`}
+                          >
+                            <FileText className="w-3 h-3" />
+                            [{source.index}] {source.fileName}
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    {message.guardrails?.length > 0 && (
+                      <div className={`flex flex-wrap gap-1.5 mt-2 ${message.role === 'user' ? 'justify-end' : ''}`}>
+                        {message.guardrails.map((violation, i) => (
+                          <span
+                            key={i}
+                            className="inline-flex items-center gap-1 px-2 py-0.5 rounded-md bg-amber-500/10 border border-amber-500/20 text-xs text-amber-300"
+                            title={`${violation.stage} guardrail, ${violation.count} match${violation.count === 1 ? '' : 'es'}`}
+                          >
+                            <ShieldAlert className="w-3 h-3" />
+                            {violation.rule}: {violation.detail} ({violation.action === 'flag' ? 'flagged' : `${violation.action}ed`})
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    <div className={`flex flex-wrap items-center gap-2 mt-1 ${message.role === 'user' ? 'justify-end' : ''}`}>
+                      {message.branch && (
+                        <BranchSwitcher branch={message.branch} disabled={sending} onSwitch={handleSwitchBranch} />
+                      )}
+                      <span className="text-xs text-dark-500">{formatTime(message.createdAt)}</span>
+                      {message.role === 'assistant' && message.model && (
+                        <span className="text-xs text-dark-500 font-mono truncate max-w-[16rem]" title="Model that answered">
+                          {message.model}
+                        </span>
+                      )}
+                      {message.stopped && (
+                        <span className="text-xs text-amber-400" title="Generation was stopped before the reply was finished">
+                          Stopped
+                        </span>
+                      )}
+                      {!sending && !retryAt && isSaved(message) && (message.role === 'user' || message.status === 'complete' || message.status === 'stopped') && (
+                        message.role === 'user' ? (
+                          <button
+                            onClick={() => startEdit(message)}
+                            className="p-0.5 rounded text-dark-500 hover:text-white transition-colors"
+                            title="Edit message"
+                          >
+                            <Pencil className="w-3.5 h-3.5" />
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => handleRegenerate(message)}
+                            className="p-0.5 rounded text-dark-500 hover:text-white transition-colors"
+                            title="Regenerate response"
+                          >
+                            <RefreshCw className="w-3.5 h-3.5" />
+                          </button>
+                        )
+                      )}
+                      {message.role === 'assistant' && isSaved(message) && (message.status === 'complete' || message.status === 'stopped') && (
+                        <MessageFeedback
+                          projectId={id}
+                          message={message}
+                          onChange={(feedback) => setMessages(prev => prev.map(m => (m.id === message.id ? { ...m, feedback } : m)))}
+                          onError={setError}
+                        />
+                      )}
+                    </div>
+                  </div>
+                  {message.role === 'user' && (
+                    <div className="flex-shrink-0 w-8 h-8 rounded-lg bg-gradient-to-br from-purple-500 to-pink-500 flex items-center justify-center">
+                      <User className="w-4 h-4 text-white" />
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              {/* Compared replies */}
+              {comparison && (
+                <ComparisonColumns
+                  comparison={comparison}
+                  onKeep={handleKeep}
+                  onDismiss={dismissComparison}
+                  keeping={keeping}
+                />
+              )}
+
+              {/* Streaming message */}
+              {streamingContent && (
+                <div className="flex gap-4 animate-fade-in">
                   <div className="flex-shrink-0 w-8 h-8 rounded-lg bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
                     <Bot className="w-4 h-4 text-primary-400" />
                   </div>
-                )}
-                <div className={`max-w-[80%] lg:max-w-[60%] ${message.role === 'user' ? 'order-first' : ''}`}>
-                  <div
-                    className={`px-4 py-3 rounded-2xl ${
-                      message.role === 'user'
-                        ? 'bg-primary-500 text-dark-900 rounded-tr-sm'
-                        : 'bg-dark-800 text-dark-100 rounded-tl-sm'
-                    }`}
-                  >
-                    <p className="whitespace-pre-wrap">{message.content}</p>
+                  <div className="max-w-[80%] lg:max-w-[60%]">
+                    <div className="px-4 py-3 rounded-2xl rounded-tl-sm bg-dark-800 text-dark-100">
+                      <p className="whitespace-pre-wrap">{streamingContent}<span className="inline-block w-2 h-4 bg-primary-400 animate-pulse ml-1" /></p>
+                    </div>
                   </div>
-                  <p className={`text-xs text-dark-500 mt-1 ${message.role === 'user' ? 'text-right' : ''}`}>
-                    {formatTime(message.createdAt)}
-                  </p>
                 </div>
-                {message.role === 'user' && (
-                  <div className="flex-shrink-0 w-8 h-8 rounded-lg bg-gradient-to-br from-purple-500 to-pink-500 flex items-center justify-center">
-                    <User className="w-4 h-4 text-white" />
-                  </div>
-                )}
-              </div>
-            ))}
+              )}
 
-            {/* Streaming message */}
-            {streamingContent && (
-              <div className="flex gap-4 animate-fade-in">
-                <div className="flex-shrink-0 w-8 h-8 rounded-lg bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
-                  <Bot className="w-4 h-4 text-primary-400" />
-                </div>
-                <div className="max-w-[80%] lg:max-w-[60%]">
-                  <div className="px-4 py-3 rounded-2xl rounded-tl-sm bg-dark-800 text-dark-100">
-                    <p className="whitespace-pre-wrap">{streamingContent}<span className="inline-block w-2 h-4 bg-primary-400 animate-pulse ml-1" /></p>
+              {/* Typing indicator (only when sending but no streaming content yet) */}
+              {sending && !streamingContent && !comparison && (
+                <div className="flex gap-4 animate-fade-in">
+                  <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
+                    <Bot className="w-4 h-4 text-primary-400" />
                   </div>
-                </div>
-              </div>
-            )}
-
-            {/* Typing indicator (only when sending but no streaming content yet) */}
-            {sending && !streamingContent && (
-              <div className="flex gap-4 animate-fade-in">
-                <div className="w-8 h-8 rounded-lg bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
-                  <Bot className="w-4 h-4 text-primary-400" />
-                </div>
-                <div className="px-4 py-3 rounded-2xl rounded-tl-sm bg-dark-800">
-                  <div className="flex gap-1">
-                    <span className="w-2 h-2 bg-dark-400 rounded-full typing-dot" />
-                    <span className="w-2 h-2 bg-dark-400 rounded-full typing-dot" />
-                    <span className="w-2 h-2 bg-dark-400 rounded-full typing-dot" />
+                  <div className="px-4 py-3 rounded-2xl rounded-tl-sm bg-dark-800">
+                    <div className="flex gap-1">
+                      <span className="w-2 h-2 bg-dark-400 rounded-full typing-dot" />
+                      <span className="w-2 h-2 bg-dark-400 rounded-full typing-dot" />
+                      <span className="w-2 h-2 bg-dark-400 rounded-full typing-dot" />
+                    </div>
+                    {retryNotice && (
+                      <p className="mt-2 text-xs text-amber-400">{retryNotice}</p>
+                    )}
                   </div>
                 </div>
-              </div>
-            )}
-          </>
+              )}
+            </>
+          )}
+
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Error */}
+        {error && (
+          <div className="mx-6 mb-4 p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm flex items-center justify-between">
+            <span>{error}</span>
+            <button
+              onClick={() => setError('')}
+              className="p-1 hover:bg-red-500/20 rounded transition-colors"
+            >
+              <RefreshCw className="w-4 h-4" />
+            </button>
+          </div>
         )}
 
-        <div ref={messagesEndRef} />
-      </div>
+        {/* Rate limit countdown */}
+        {retryAt && (
+          <div className="mx-6 mb-4 p-4 rounded-xl bg-amber-500/10 border border-amber-500/20 text-amber-300 text-sm flex items-center gap-3">
+            <Timer className="w-4 h-4 shrink-0" />
+            <span>
+              You've reached your usage limit for now. You can send again in{' '}
+              <span className="font-mono font-semibold">{formatCountdown(retrySeconds)}</span>.
+            </span>
+          </div>
+        )}
 
-      {/* Error */}
-      {error && (
-        <div className="mx-6 mb-4 p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm flex items-center justify-between">
-          <span>{error}</span>
-          <button
-            onClick={() => setError('')}
-            className="p-1 hover:bg-red-500/20 rounded transition-colors"
-          >
-            <RefreshCw className="w-4 h-4" />
-          </button>
-        </div>
-      )}
-
-      {/* Input */}
-      <form onSubmit={handleSubmit} className="p-4 border-t border-dark-700/50 bg-dark-900/50 backdrop-blur-xl">
-        <div className="flex gap-4 max-w-4xl mx-auto">
-          <input
-            ref={inputRef}
-            type="text"
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            placeholder="Type your message..."
-            disabled={sending}
-            className="flex-1 px-4 py-3 rounded-xl bg-dark-800 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all disabled:opacity-50"
-          />
-          <button
-            type="submit"
-            disabled={!input.trim() || sending}
-            className="px-6 py-3 rounded-xl bg-primary-500 text-dark-900 font-semibold hover:bg-primary-400 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
-          >
+        {/* Input */}
+        <form onSubmit={handleSubmit} className="p-4 border-t border-dark-700/50 bg-dark-900/50 backdrop-blur-xl">
+          {compareMode && (
+            <CompareLanes lanes={lanes} onChange={setLanes} disabled={sending} />
+          )}
+          {attachments.length > 0 && (
+            <div className="flex flex-wrap gap-2 max-w-4xl mx-auto mb-3">
+              {attachments.map((attachment) => (
+                <div
+                  key={attachment.key}
+                  className="relative w-16 h-16 rounded-lg overflow-hidden bg-dark-800 border border-dark-700"
+                  title={attachment.name}
+                >
+                  {attachment.thumbnail && (
+                    <img src={attachment.thumbnail} alt={attachment.name} className="w-full h-full object-cover" />
+                  )}
+                  {attachment.uploading ? (
+                    <div className="absolute inset-0 bg-dark-900/60 flex items-center justify-center">
+                      <Loader2 className="w-4 h-4 text-primary-400 animate-spin" />
+                    </div>
+                  ) : (
+                    <button
+                      type="button"
+                      onClick={() => removeAttachment(attachment)}
+                      disabled={sending}
+                      className="absolute top-0.5 right-0.5 p-0.5 rounded bg-dark-900/80 text-dark-300 hover:text-white transition-colors"
+                      title="Remove image"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+          <div className="flex gap-4 max-w-4xl mx-auto">
+            <input
+              ref={imageInputRef}
+              type="file"
+              accept={IMAGE_TYPES.join(',')}
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                addImages(e.target.files)
+                e.target.value = ''
+              }}
+            />
+            <button
+              type="button"
+              onClick={() => imageInputRef.current?.click()}
+              disabled={sending || attachments.length >= MAX_IMAGES}
+              className="px-3 py-3 rounded-xl bg-dark-800 border border-dark-700 text-dark-400 hover:text-white transition-all disabled:opacity-50"
+              title="Attach images (or drop or paste them)"
+            >
+              <ImagePlus className="w-5 h-5" />
+            </button>
+            <input
+              ref={inputRef}
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onPaste={handlePaste}
+              placeholder={comparison ? 'Keep one of the replies to continue' : 'Type your message...'}
+              disabled={sending || Boolean(comparison)}
+              className="flex-1 px-4 py-3 rounded-xl bg-dark-800 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all disabled:opacity-50"
+            />
             {sending ? (
-              <Loader2 className="w-5 h-5 animate-spin" />
+              <button
+                type="button"
+                onClick={stopGeneration}
+                className="px-6 py-3 rounded-xl bg-dark-700 text-white font-semibold hover:bg-dark-600 transition-all flex items-center gap-2"
+                title="Stop generating"
+              >
+                <Square className="w-5 h-5 fill-current" />
+              </button>
             ) : (
-              <Send className="w-5 h-5" />
+              <button
+                type="submit"
+                disabled={(!input.trim() && attachments.length === 0) || uploadingImages || Boolean(retryAt) || Boolean(comparison)}
+                className="px-6 py-3 rounded-xl bg-primary-500 text-dark-900 font-semibold hover:bg-primary-400 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
+              >
+                <Send className="w-5 h-5" />
+              </button>
             )}
-          </button>
-        </div>
-      </form>
+          </div>
+        </form>
+      </div>
     </div>
   )
 }
@@ -0,0 +1,465 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import api from '../utils/api'
+import { formatTokens, formatCost } from '../utils/usage'
+import {
+  ArrowLeft,
+  Loader2,
+  FlaskConical,
+  Play,
+  Plus,
+  Pencil,
+  Trash2,
+  CheckCircle2,
+  XCircle,
+  Columns2
+} from 'lucide-react'
+
+// Polling interval while a run is in progress
+const POLL_INTERVAL_MS = 2000
+
+const EMPTY_CASE = {
+  name: '',
+  input: JSON.stringify([{ role: 'user', content: '' }], null, 2),
+  assertions: JSON.stringify([{ type: 'contains', value: '' }], null, 2)
+}
+
+const ASSERTION_HELP = 'contains / not_contains { value, ignoreCase }, regex { pattern, flags }, json_schema { schema }, llm_judge { rubric }'
+
+const percent = (score) => (score == null ? '–' : `${Math.round(score * 100)}%`)
+
+const STATUS_STYLES = {
+  running: 'text-amber-400',
+  complete: 'text-green-400',
+  failed: 'text-red-400'
+}
+
+function CaseResult({ result }) {
+  if (!result) {
+    return <p className="text-xs text-dark-500">Not in this run</p>
+  }
+
+  return (
+    <div className="space-y-2 min-w-0">
+      <div className="flex items-center gap-2">
+        {result.passed
+          ? <CheckCircle2 className="w-4 h-4 text-green-400 shrink-0" />
+          : <XCircle className="w-4 h-4 text-red-400 shrink-0" />}
+        <span className="text-sm text-white">{percent(result.score)}</span>
+        <span className="text-xs text-dark-500">{result.durationMs}ms</span>
+      </div>
+      {result.error && <p className="text-xs text-red-400 break-words">{result.error}</p>}
+      <ul className="space-y-1">
+        {result.assertions.map((assertion, i) => (
+          <li key={i} className={`text-xs break-words ${assertion.pass ? 'text-dark-400' : 'text-red-300'}`}>
+            <span className="font-mono">{assertion.type}</span>: {assertion.message}
+          </li>
+        ))}
+      </ul>
+      {result.toolCalls?.length > 0 && (
+        <p className="text-xs text-dark-500">Tools: {result.toolCalls.map(call => call.name).join(', ')}</p>
+      )}
+      <details>
+        <summary className="text-xs text-dark-400 cursor-pointer hover:text-white">Reply</summary>
+        <pre className="mt-1 text-xs text-dark-300 whitespace-pre-wrap break-words bg-dark-900 rounded-lg p-2 max-h-64 overflow-y-auto">
+          {result.reply || '(empty)'}
+        </pre>
+      </details>
+    </div>
+  )
+}
+
+export default function ProjectEvals() {
+  const { id } = useParams()
+
+  const [project, setProject] = useState(null)
+  const [cases, setCases] = useState([])
+  const [runs, setRuns] = useState([])
+  // Full runs shown side by side, oldest first
+  const [compareIds, setCompareIds] = useState([])
+  const [compared, setCompared] = useState({})
+  // Case being edited: { id?, name, input, assertions } with JSON text
+  const [editing, setEditing] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [starting, setStarting] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    Promise.all([
+      api.get(`/projects/${id}`),
+      api.get(`/evals/${id}/cases`),
+      api.get(`/evals/${id}/runs`)
+    ])
+      .then(([projectResponse, casesResponse, runsResponse]) => {
+        setProject(projectResponse.data.project)
+        setCases(casesResponse.data.cases)
+        setRuns(runsResponse.data.runs)
+        setCompareIds(runsResponse.data.runs.slice(0, 2).map(run => run.id).reverse())
+      })
+      .catch(() => setError('Failed to load evals'))
+      .finally(() => setLoading(false))
+  }, [id])
+
+  const running = runs.some(run => run.status === 'running')
+
+  // Poll while a run is in progress
+  useEffect(() => {
+    if (!running) return
+
+    const timer = setInterval(() => {
+      api.get(`/evals/${id}/runs`)
+        .then((response) => setRuns(response.data.runs))
+        .catch(() => {})
+    }, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [id, running])
+
+  // Load the compared runs, again whenever one of them progresses
+  useEffect(() => {
+    for (const runId of compareIds) {
+      const summary = runs.find(run => run.id === runId)
+      const loaded = compared[runId]
+      if (!summary || (loaded && loaded.status === summary.status && loaded.passed === summary.passed)) continue
+
+      api.get(`/evals/${id}/runs/${runId}`)
+        .then((response) => setCompared(prev => ({ ...prev, [runId]: response.data.run })))
+        .catch(() => {})
+    }
+  }, [id, runs, compareIds])
+
+  const toggleCompare = (runId) => {
+    setCompareIds(prev => {
+      if (prev.includes(runId)) return prev.filter(r => r !== runId)
+      const next = [...prev, runId].slice(-2)
+      // Oldest on the left
+      return next.sort((a, b) => runs.findIndex(r => r.id === b) - runs.findIndex(r => r.id === a))
+    })
+  }
+
+  const startRun = async () => {
+    setStarting(true)
+    setError('')
+    try {
+      const response = await api.post(`/evals/${id}/runs`)
+      const { results, ...run } = response.data.run
+      setRuns(prev => [run, ...prev])
+      setCompareIds(prev => [...prev, run.id].slice(-2))
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to start the run')
+    } finally {
+      setStarting(false)
+    }
+  }
+
+  const deleteRun = async (runId) => {
+    if (!confirm('Delete this run?')) return
+
+    try {
+      await api.delete(`/evals/${id}/runs/${runId}`)
+      setRuns(prev => prev.filter(run => run.id !== runId))
+      setCompareIds(prev => prev.filter(r => r !== runId))
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete run')
+    }
+  }
+
+  const editCase = (evalCase) => {
+    setEditing(evalCase
+      ? {
+          id: evalCase.id,
+          name: evalCase.name,
+          input: JSON.stringify(evalCase.input, null, 2),
+          assertions: JSON.stringify(evalCase.assertions, null, 2)
+        }
+      : EMPTY_CASE)
+  }
+
+  const saveCase = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    let input, assertions
+    try {
+      input = JSON.parse(editing.input)
+      assertions = JSON.parse(editing.assertions)
+    } catch (err) {
+      setError(`Input and assertions must be valid JSON: ${err.message}`)
+      return
+    }
+
+    setSaving(true)
+    try {
+      const payload = { name: editing.name, input, assertions }
+      if (editing.id) {
+        const response = await api.put(`/evals/${id}/cases/${editing.id}`, payload)
+        setCases(prev => prev.map(c => (c.id === editing.id ? response.data.case : c)))
+      } else {
+        const response = await api.post(`/evals/${id}/cases`, payload)
+        setCases(prev => [...prev, response.data.case])
+      }
+      setEditing(null)
+    } catch (err) {
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save case')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const deleteCase = async (caseId) => {
+    if (!confirm('Delete this case?')) return
+
+    try {
+      await api.delete(`/evals/${id}/cases/${caseId}`)
+      setCases(prev => prev.filter(c => c.id !== caseId))
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete case')
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="h-full flex items-center justify-center">
+        <Loader2 className="w-8 h-8 text-primary-400 animate-spin" />
+      </div>
+    )
+  }
+
+  if (!project) {
+    return (
+      <div className="h-full flex flex-col items-center justify-center p-8">
+        <p className="text-dark-400 mb-4">Project not found</p>
+        <Link to="/dashboard" className="text-primary-400 hover:text-primary-300">
+          Back to Dashboard
+        </Link>
+      </div>
+    )
+  }
+
+  const compareRuns = compareIds.map(runId => compared[runId]).filter(Boolean)
+  // Cases of the compared runs, by id, in the order they ran
+  const compareCases = [...new Map(
+    compareRuns.flatMap(run => run.results).map(result => [result.caseId, result.name])
+  )]
+
+  return (
+    <div className="p-6 lg:p-8 max-w-5xl mx-auto">
+      {/* Header */}
+      <div className="flex items-center justify-between gap-4 mb-8">
+        <div className="flex items-center gap-4">
+          <Link
+            to={`/project/${id}`}
+            className="p-2 rounded-lg hover:bg-dark-800 text-dark-400 hover:text-white transition-colors"
+          >
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 rounded-xl bg-gradient-to-br from-primary-500/20 to-purple-500/20 flex items-center justify-center">
+              <FlaskConical className="w-5 h-5 text-primary-400" />
+            </div>
+            <div>
+              <h1 className="text-2xl font-bold text-white">Evals</h1>
+              <p className="text-sm text-dark-400">{project.name}</p>
+            </div>
+          </div>
+        </div>
+        <button
+          onClick={startRun}
+          disabled={starting || running || cases.length === 0}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-primary-500 hover:bg-primary-600 text-white text-sm font-medium transition-colors disabled:opacity-50"
+        >
+          {starting || running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+          {running ? 'Running...' : 'Run suite'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-6 p-4 rounded-xl bg-red-500/10 border border-red-500/20 text-red-400 text-sm animate-fade-in">
+          {error}
+        </div>
+      )}
+
+      {/* Cases Section */}
+      <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-white">Cases</h2>
+          <button
+            onClick={() => editCase(null)}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-700 hover:bg-dark-600 text-white text-sm transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add case
+          </button>
+        </div>
+
+        {editing && (
+          <form onSubmit={saveCase} className="p-4 rounded-xl bg-dark-900/50 border border-dark-700/50 space-y-3">
+            <input
+              type="text"
+              value={editing.name}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              placeholder="Case name"
+              className="w-full px-4 py-2 rounded-lg bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:outline-none focus:border-primary-500"
+            />
+            <div>
+              <label className="block text-xs text-dark-400 mb-1">Input messages (JSON array of {'{ role, content }'}, ending with a user message)</label>
+              <textarea
+                value={editing.input}
+                onChange={(e) => setEditing({ ...editing, input: e.target.value })}
+                rows={5}
+                className="w-full px-4 py-2 rounded-lg bg-dark-900 border border-dark-700 text-white font-mono text-xs focus:outline-none focus:border-primary-500"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-dark-400 mb-1">Assertions (JSON array): {ASSERTION_HELP}</label>
+              <textarea
+                value={editing.assertions}
+                onChange={(e) => setEditing({ ...editing, assertions: e.target.value })}
+                rows={5}
+                className="w-full px-4 py-2 rounded-lg bg-dark-900 border border-dark-700 text-white font-mono text-xs focus:outline-none focus:border-primary-500"
+              />
+            </div>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setEditing(null)}
+                className="px-4 py-2 rounded-lg text-sm text-dark-400 hover:text-white transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={saving || !editing.name.trim()}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-primary-500 hover:bg-primary-600 text-white text-sm font-medium transition-colors disabled:opacity-50"
+              >
+                {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+                Save case
+              </button>
+            </div>
+          </form>
+        )}
+
+        {cases.length === 0 ? (
+          <p className="text-dark-500 text-center py-4">No cases yet. Add one to start testing this agent.</p>
+        ) : (
+          <div className="space-y-2">
+            {cases.map((evalCase) => (
+              <div key={evalCase.id} className="flex items-center justify-between gap-3 p-3 rounded-xl bg-dark-900/50 border border-dark-700/50">
+                <div className="min-w-0">
+                  <p className="text-sm text-white truncate">{evalCase.name}</p>
+                  <p className="text-xs text-dark-500 truncate">
+                    {evalCase.input[evalCase.input.length - 1]?.content}
+                    {' · '}
+                    {evalCase.assertions.map(a => a.type).join(', ')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <button
+                    onClick={() => editCase(evalCase)}
+                    className="p-2 rounded-lg hover:bg-dark-700 text-dark-400 hover:text-white transition-colors"
+                    title="Edit case"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => deleteCase(evalCase.id)}
+                    className="p-2 rounded-lg hover:bg-red-500/10 text-dark-400 hover:text-red-400 transition-colors"
+                    title="Delete case"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Runs Section */}
+      <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-white">Runs</h2>
+          <p className="text-xs text-dark-500">Select two runs to compare</p>
+        </div>
+
+        {runs.length === 0 ? (
+          <p className="text-dark-500 text-center py-4">No runs yet</p>
+        ) : (
+          <div className="space-y-2 max-h-80 overflow-y-auto">
+            {runs.map((run) => (
+              <div key={run.id} className="flex items-center gap-3 p-3 rounded-xl bg-dark-900/50 border border-dark-700/50">
+                <input
+                  type="checkbox"
+                  checked={compareIds.includes(run.id)}
+                  onChange={() => toggleCompare(run.id)}
+                  className="accent-primary-500"
+                />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-white">
+                    <span className="font-semibold">{percent(run.score)}</span>
+                    <span className="text-dark-400"> · {run.passed}/{run.total} passed · </span>
+                    <span className={STATUS_STYLES[run.status]}>{run.status}</span>
+                  </p>
+                  <p className="text-xs text-dark-500 truncate">
+                    {new Date(run.createdAt).toLocaleString()}
+                    {' · '}{run.model}
+                    {run.revision && ` · settings #${run.revision.number}`}
+                    {' · '}{formatTokens(run.promptTokens + run.completionTokens)} tokens
+                    {run.cost != null && ` · ${formatCost(run.cost)}`}
+                    {run.source === 'cli' && ' · CLI'}
+                  </p>
+                  {run.error && <p className="text-xs text-red-400 truncate">{run.error}</p>}
+                </div>
+                {run.status !== 'running' && (
+                  <button
+                    onClick={() => deleteRun(run.id)}
+                    className="p-2 rounded-lg hover:bg-red-500/10 text-dark-400 hover:text-red-400 transition-colors shrink-0"
+                    title="Delete run"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Compare Section */}
+      {compareRuns.length > 0 && (
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+          <div className="flex items-center gap-3">
+            <Columns2 className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">
+              {compareRuns.length === 2 ? 'Comparison' : 'Report'}
+            </h2>
+          </div>
+
+          <div className={`grid gap-4 ${compareRuns.length === 2 ? 'grid-cols-[10rem_1fr_1fr]' : 'grid-cols-[10rem_1fr]'}`}>
+            <div />
+            {compareRuns.map((run) => (
+              <div key={run.id}>
+                <p className="text-sm font-semibold text-white">{percent(run.score)} · {run.passed}/{run.total}</p>
+                <p className="text-xs text-dark-500">
+                  {new Date(run.createdAt).toLocaleString()}
+                  {run.revision && ` · settings #${run.revision.number}`}
+                </p>
+              </div>
+            ))}
+
+            {compareCases.map(([caseId, name]) => (
+              <div key={caseId} className="contents">
+                <p className="text-sm text-dark-300 break-words border-t border-dark-700/50 pt-3">{name}</p>
+                {compareRuns.map((run) => (
+                  <div key={run.id} className="border-t border-dark-700/50 pt-3 min-w-0">
+                    <CaseResult result={run.results.find(r => r.caseId === caseId)} />
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
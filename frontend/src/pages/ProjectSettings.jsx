@@ -1,6 +1,9 @@
 import { useState, useEffect, useRef } from 'react'
 import { useParams, Link, useNavigate } from 'react-router-dom'
 import api from '../utils/api'
+import RevisionHistory from '../components/RevisionHistory'
+import { formatTokens, formatCost, USAGE_RANGES, USAGE_SOURCE_LABELS, usageRangeParams } from '../utils/usage'
+import { downloadFile } from '../utils/download'
 import { 
   ArrowLeft, 
   Save, 
@@ -9,9 +12,90 @@ import {
   Trash2, 
   FileText,
   Bot,
-  AlertTriangle
+  AlertTriangle,
+  Cpu,
+  Layers,
+  ScrollText,
+  Wrench,
+  Coins,
+  Braces,
+  Eye,
+  ShieldCheck,
+  Network,
+  Download,
+  MessagesSquare
 } from 'lucide-react'
 
+// Empty inputs fall back to the provider defaults
+const toNumberOrNull = (value) => (value === '' ? null : Number(value))
+
+const toInputValue = (value) => (value ?? '')
+
+// Prompt variables are edited as "name = default value" lines
+const parsePromptVariables = (text) => Object.fromEntries(
+  text.split('\n')
+    .map(line => line.match(/^\s*([^=\s]+)\s*=\s?(.*)$/))
+    .filter(Boolean)
+    .map(([, name, value]) => [name, value.trim()])
+)
+
+const formatPromptVariables = (variables) =>
+  Object.entries(variables || {}).map(([name, value]) => `${name} = ${value}`).join('\n')
+
+// Guardrail rules, edited with an action select each ('' turns a rule off)
+const GUARDRAIL_RULES = [
+  { key: 'pii', label: 'Personal data', hint: 'Emails, phone and card numbers in messages and replies' },
+  { key: 'blockedTerms', label: 'Blocked terms', hint: 'Words and phrases in messages and replies' },
+  { key: 'maxInputLength', label: 'Message length', hint: 'Messages longer than the limit (redact truncates)' },
+  { key: 'injection', label: 'Prompt injection', hint: 'Planted instructions in file excerpts, inlined files and tool results (redact leaves them out)' }
+]
+const GUARDRAIL_ACTIONS = [
+  { value: '', label: 'Off' },
+  { value: 'flag', label: 'Flag' },
+  { value: 'redact', label: 'Redact' },
+  { value: 'block', label: 'Block' }
+]
+const PII_TYPES = [
+  { value: 'email', label: 'Emails' },
+  { value: 'phone', label: 'Phone numbers' },
+  { value: 'card', label: 'Card numbers' }
+]
+
+const toGuardrailsForm = (guardrails = {}) => ({
+  pii: { action: guardrails.pii?.action || '', types: guardrails.pii?.types || PII_TYPES.map(t => t.value) },
+  blockedTerms: { action: guardrails.blockedTerms?.action || '', terms: (guardrails.blockedTerms?.terms || []).join('\n') },
+  maxInputLength: { action: guardrails.maxInputLength?.action || '', limit: toInputValue(guardrails.maxInputLength?.limit) },
+  injection: { action: guardrails.injection?.action || '' }
+})
+
+const fromGuardrailsForm = ({ pii, blockedTerms, maxInputLength, injection }) => {
+  const guardrails = {}
+  if (pii.action) guardrails.pii = { action: pii.action, types: pii.types }
+  if (blockedTerms.action) {
+    guardrails.blockedTerms = { action: blockedTerms.action, terms: blockedTerms.terms.split('\n').map(t => t.trim()).filter(Boolean) }
+  }
+  if (maxInputLength.action) guardrails.maxInputLength = { action: maxInputLength.action, limit: toNumberOrNull(maxInputLength.limit) }
+  if (injection.action) guardrails.injection = { action: injection.action }
+  return Object.keys(guardrails).length ? guardrails : null
+}
+
+// Formats of the rated replies dataset (see /api/feedback/export)
+const DATASET_FORMATS = [
+  { value: 'openai', label: 'Chat fine-tuning (OpenAI)' },
+  { value: 'preference', label: 'Preference pairs (chosen / rejected)' }
+]
+
+// Conversation export formats (see /api/conversations/:projectId/export)
+const EXPORT_FORMATS = [
+  { value: 'md', label: 'Markdown' },
+  { value: 'html', label: 'HTML' },
+  { value: 'txt', label: 'Plain text' },
+  { value: 'json', label: 'JSON' }
+]
+
+// Delay before the system prompt preview is rendered again while typing
+const PREVIEW_DELAY_MS = 400
+
 export default function ProjectSettings() {
   const { id } = useParams()
   const navigate = useNavigate()
@@ -22,29 +106,129 @@ export default function ProjectSettings() {
   const [loading, setLoading] = useState(true)
   const [saving, setSaving] = useState(false)
   const [uploading, setUploading] = useState(false)
+  const [availableTools, setAvailableTools] = useState([])
+  const [otherProjects, setOtherProjects] = useState([])
+  const [conversations, setConversations] = useState([])
+  const [summaryConversationId, setSummaryConversationId] = useState('')
+  const [summary, setSummary] = useState('')
+  const [savingSummary, setSavingSummary] = useState(false)
+  const [usageRange, setUsageRange] = useState('30')
+  const [usage, setUsage] = useState(null)
+  // Filters of the feedback dataset download
+  const [dataset, setDataset] = useState({ format: 'openai', rating: '', from: '', to: '' })
+  const [exporting, setExporting] = useState(false)
+  // Conversation export ('' exports all conversations) and import
+  const [transcript, setTranscript] = useState({ format: 'md', conversationId: '' })
+  const [exportingHistory, setExportingHistory] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const importInputRef = useRef(null)
+  // Rendered system prompt: { prompt, unknown }
+  const [promptPreview, setPromptPreview] = useState(null)
+  // Bumped to reload the revision history after a save
+  const [revisionKey, setRevisionKey] = useState(0)
   const [error, setError] = useState('')
   const [success, setSuccess] = useState('')
   
   const [formData, setFormData] = useState({
     name: '',
     description: '',
-    systemPrompt: ''
+    systemPrompt: '',
+    promptVariables: '',
+    model: '',
+    temperature: '',
+    topP: '',
+    maxTokens: '',
+    stopSequences: '',
+    fallbackModels: '',
+    presencePenalty: '',
+    frequencyPenalty: '',
+    contextStrategy: 'sliding_window',
+    contextTokenBudget: '',
+    contextKeepFirst: '',
+    enabledTools: [],
+    subAgents: [],
+    outputSchema: '',
+    outputRetries: '',
+    guardrails: toGuardrailsForm()
   })
 
   useEffect(() => {
     fetchProject()
   }, [id])
 
+  useEffect(() => {
+    api.get('/tools')
+      .then((response) => setAvailableTools(response.data.tools))
+      .catch(() => setAvailableTools([]))
+  }, [])
+
+  useEffect(() => {
+    api.get('/projects')
+      .then((response) => setOtherProjects(response.data.projects.filter(p => p.id !== id)))
+      .catch(() => setOtherProjects([]))
+  }, [id])
+
+  useEffect(() => {
+    api.get(`/usage/projects/${id}${usageRangeParams(usageRange)}`)
+      .then((response) => setUsage(response.data))
+      .catch(() => setUsage(null))
+  }, [id, usageRange])
+
+  // Render the system prompt template as it is edited
+  useEffect(() => {
+    if (!project || !formData.systemPrompt.includes('{{')) {
+      setPromptPreview(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(() => {
+      api.post(`/projects/${id}/prompt-preview`, {
+        name: formData.name,
+        description: formData.description,
+        systemPrompt: formData.systemPrompt,
+        promptVariables: parsePromptVariables(formData.promptVariables)
+      })
+        .then((response) => !cancelled && setPromptPreview(response.data))
+        .catch(() => !cancelled && setPromptPreview(null))
+    }, PREVIEW_DELAY_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [id, project, formData.name, formData.description, formData.systemPrompt, formData.promptVariables])
+
   const fetchProject = async () => {
     try {
       const response = await api.get(`/projects/${id}`)
-      setProject(response.data.project)
+      const project = response.data.project
+      setProject(project)
       setFormData({
-        name: response.data.project.name,
-        description: response.data.project.description || '',
-        systemPrompt: response.data.project.systemPrompt || ''
+        name: project.name,
+        description: project.description || '',
+        systemPrompt: project.systemPrompt || '',
+        promptVariables: formatPromptVariables(project.promptVariables),
+        model: project.model || '',
+        temperature: toInputValue(project.temperature),
+        topP: toInputValue(project.topP),
+        maxTokens: toInputValue(project.maxTokens),
+        stopSequences: (project.stopSequences || []).join('\n'),
+        fallbackModels: (project.fallbackModels || []).join('\n'),
+        presencePenalty: toInputValue(project.presencePenalty),
+        frequencyPenalty: toInputValue(project.frequencyPenalty),
+        contextStrategy: project.contextStrategy || 'sliding_window',
+        contextTokenBudget: toInputValue(project.contextTokenBudget),
+        contextKeepFirst: toInputValue(project.contextKeepFirst),
+        enabledTools: project.enabledTools || [],
+        subAgents: project.subAgents || [],
+        outputSchema: project.outputSchema ? JSON.stringify(project.outputSchema, null, 2) : '',
+        outputRetries: toInputValue(project.outputRetries),
+        guardrails: toGuardrailsForm(project.guardrails)
       })
-      setFiles(response.data.project.files || [])
+      setFiles(project.files || [])
+      setConversations(project.conversations || [])
+      selectSummaryConversation(project.conversations?.[0])
     } catch (err) {
       setError('Failed to load project')
     } finally {
@@ -54,21 +238,167 @@ export default function ProjectSettings() {
 
   const handleSave = async (e) => {
     e.preventDefault()
-    setSaving(true)
     setError('')
     setSuccess('')
 
+    let outputSchema = null
+    if (formData.outputSchema.trim()) {
+      try {
+        outputSchema = JSON.parse(formData.outputSchema)
+      } catch (err) {
+        setError(`Output schema is not valid JSON: ${err.message}`)
+        return
+      }
+    }
+
+    setSaving(true)
     try {
-      await api.put(`/projects/${id}`, formData)
+      await api.put(`/projects/${id}`, {
+        ...formData,
+        promptVariables: parsePromptVariables(formData.promptVariables),
+        model: formData.model.trim() || null,
+        temperature: toNumberOrNull(formData.temperature),
+        topP: toNumberOrNull(formData.topP),
+        maxTokens: toNumberOrNull(formData.maxTokens),
+        stopSequences: formData.stopSequences.split('\n').filter(s => s.length > 0),
+        fallbackModels: formData.fallbackModels.split('\n').map(m => m.trim()).filter(Boolean),
+        presencePenalty: toNumberOrNull(formData.presencePenalty),
+        frequencyPenalty: toNumberOrNull(formData.frequencyPenalty),
+        contextTokenBudget: toNumberOrNull(formData.contextTokenBudget),
+        contextKeepFirst: toNumberOrNull(formData.contextKeepFirst),
+        outputSchema,
+        outputRetries: toNumberOrNull(formData.outputRetries),
+        guardrails: fromGuardrailsForm(formData.guardrails),
+        // Projects deleted since they were picked are dropped
+        subAgents: formData.subAgents.filter(projectId => otherProjects.some(p => p.id === projectId))
+      })
       setSuccess('Settings saved successfully')
+      setRevisionKey(key => key + 1)
       setTimeout(() => setSuccess(''), 3000)
     } catch (err) {
-      setError(err.response?.data?.error || 'Failed to save settings')
+      setError(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save settings')
     } finally {
       setSaving(false)
     }
   }
 
+  const toggleTool = (name) => {
+    const enabledTools = formData.enabledTools.includes(name)
+      ? formData.enabledTools.filter(t => t !== name)
+      : [...formData.enabledTools, name]
+    setFormData({ ...formData, enabledTools })
+  }
+
+  const toggleSubAgent = (projectId) => {
+    const subAgents = formData.subAgents.includes(projectId)
+      ? formData.subAgents.filter(p => p !== projectId)
+      : [...formData.subAgents, projectId]
+    setFormData({ ...formData, subAgents })
+  }
+
+  const setGuardrail = (rule, changes) => {
+    setFormData({
+      ...formData,
+      guardrails: { ...formData.guardrails, [rule]: { ...formData.guardrails[rule], ...changes } }
+    })
+  }
+
+  const togglePiiType = (type) => {
+    const { types } = formData.guardrails.pii
+    setGuardrail('pii', { types: types.includes(type) ? types.filter(t => t !== type) : [...types, type] })
+  }
+
+  const summaryConversation = conversations.find(c => c.id === summaryConversationId)
+
+  const selectSummaryConversation = (conversation) => {
+    setSummaryConversationId(conversation?.id || '')
+    setSummary(conversation?.summary || '')
+  }
+
+  const handleSaveSummary = async (value) => {
+    setSavingSummary(true)
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await api.put(
+        `/conversations/${id}/${summaryConversationId}/summary`,
+        { summary: value || null }
+      )
+      const updated = response.data.conversation
+      setConversations(conversations.map(c => c.id === updated.id ? { ...c, ...updated } : c))
+      setSummary(updated.summary || '')
+      setSuccess(response.data.message)
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save summary')
+    } finally {
+      setSavingSummary(false)
+    }
+  }
+
+  // Dates are whole days in local time, both ends included
+  const handleExportDataset = async () => {
+    setExporting(true)
+    setError('')
+
+    const params = new URLSearchParams({ format: dataset.format, projectId: id })
+    if (dataset.rating) params.set('rating', dataset.rating)
+    if (dataset.from) params.set('from', new Date(`${dataset.from}T00:00:00`).toISOString())
+    if (dataset.to) params.set('to', new Date(`${dataset.to}T23:59:59.999`).toISOString())
+
+    try {
+      await downloadFile(`/feedback/export?${params}`, `${project.name}-${dataset.format}.jsonl`)
+    } catch (err) {
+      setError(err.message || 'Failed to export the dataset')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const handleExportHistory = async () => {
+    setExportingHistory(true)
+    setError('')
+
+    const params = new URLSearchParams({ format: transcript.format })
+    if (transcript.conversationId) params.set('conversationId', transcript.conversationId)
+    const conversation = conversations.find(c => c.id === transcript.conversationId)
+
+    try {
+      await downloadFile(
+        `/conversations/${id}/export?${params}`,
+        `${conversation?.title || project.name}.${transcript.format}`
+      )
+    } catch (err) {
+      setError(err.message || 'Failed to export conversations')
+    } finally {
+      setExportingHistory(false)
+    }
+  }
+
+  const handleImportHistory = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+
+    setImporting(true)
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await api.uploadFile(`/conversations/${id}/import`, file)
+      setConversations([...response.data.conversations, ...conversations])
+      setSuccess(response.data.message)
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to import conversations')
+    } finally {
+      setImporting(false)
+      if (importInputRef.current) {
+        importInputRef.current.value = ''
+      }
+    }
+  }
+
   const handleFileUpload = async (e) => {
     const file = e.target.files?.[0]
     if (!file) return
@@ -212,10 +542,370 @@ export default function ProjectSettings() {
               placeholder="You are a helpful assistant that..."
             />
             <p className="mt-2 text-xs text-dark-500">
-              This defines your agent's personality, knowledge, and behavior.
+              This defines your agent's personality, knowledge, and behavior. Variables are filled in on every message:{' '}
+              <code className="text-dark-300">{'{{user.name}}'}</code>, <code className="text-dark-300">{'{{date}}'}</code>,{' '}
+              <code className="text-dark-300">{'{{project.name}}'}</code>, <code className="text-dark-300">{'{{file:handbook.md}}'}</code>{' '}
+              and your own variables below.
             </p>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Prompt Variables
+            </label>
+            <textarea
+              value={formData.promptVariables}
+              onChange={(e) => setFormData({ ...formData, promptVariables: e.target.value })}
+              rows={3}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none font-mono text-sm"
+              placeholder={'company = Acme Inc.\ntone = friendly'}
+            />
+            <p className="mt-2 text-xs text-dark-500">
+              One <code className="text-dark-300">name = default value</code> per line, used as <code className="text-dark-300">{'{{name}}'}</code>.
+            </p>
+          </div>
+
+          {promptPreview && (
+            <div>
+              <div className="flex items-center gap-2 mb-2">
+                <Eye className="w-4 h-4 text-dark-400" />
+                <span className="text-sm font-medium text-dark-200">Preview</span>
+              </div>
+              {promptPreview.unknown.length > 0 && (
+                <p className="mb-2 flex items-center gap-2 text-xs text-amber-400">
+                  <AlertTriangle className="w-3.5 h-3.5 shrink-0" />
+                  Unknown variables: {promptPreview.unknown.map(name => `{{${name}}}`).join(', ')}
+                </p>
+              )}
+              <pre className="px-4 py-3 rounded-xl bg-dark-900/50 border border-dark-700/50 text-sm text-dark-300 whitespace-pre-wrap break-words max-h-64 overflow-y-auto font-mono">
+                {promptPreview.prompt}
+              </pre>
+            </div>
+          )}
+        </div>
+
+        {/* Model Section */}
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 space-y-6">
+          <div className="flex items-center gap-3">
+            <Cpu className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Model</h2>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Model
+            </label>
+            <input
+              type="text"
+              value={formData.model}
+              onChange={(e) => setFormData({ ...formData, model: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all font-mono text-sm"
+              placeholder="Provider default"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Fallback Models
+            </label>
+            <textarea
+              value={formData.fallbackModels}
+              onChange={(e) => setFormData({ ...formData, fallbackModels: e.target.value })}
+              rows={2}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none font-mono text-sm"
+              placeholder="One per line, tried in order (up to 5)"
+            />
+            <p className="mt-2 text-xs text-dark-500">
+              Used when the model keeps failing after retries, e.g. when a free model is rate limited.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            {[
+              { key: 'temperature', label: 'Temperature', min: 0, max: 2, step: 0.1, placeholder: '0.7' },
+              { key: 'topP', label: 'Top P', min: 0, max: 1, step: 0.05, placeholder: 'Default' },
+              { key: 'maxTokens', label: 'Max Tokens', min: 1, max: 200000, step: 1, placeholder: '1024' },
+              { key: 'presencePenalty', label: 'Presence Penalty', min: -2, max: 2, step: 0.1, placeholder: 'Default' },
+              { key: 'frequencyPenalty', label: 'Frequency Penalty', min: -2, max: 2, step: 0.1, placeholder: 'Default' }
+            ].map(({ key, label, ...inputProps }) => (
+              <div key={key}>
+                <label className="block text-sm font-medium text-dark-200 mb-2">
+                  {label}
+                </label>
+                <input
+                  type="number"
+                  {...inputProps}
+                  value={formData[key]}
+                  onChange={(e) => setFormData({ ...formData, [key]: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+                />
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Stop Sequences
+            </label>
+            <textarea
+              value={formData.stopSequences}
+              onChange={(e) => setFormData({ ...formData, stopSequences: e.target.value })}
+              rows={3}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none font-mono text-sm"
+              placeholder="One per line (up to 4)"
+            />
+            <p className="mt-2 text-xs text-dark-500">
+              Leave a field empty to use the provider's default. Low temperature suits precise tasks like coding; higher values suit brainstorming.
+            </p>
+          </div>
+        </div>
+
+        {/* Tools Section */}
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 space-y-4">
+          <div className="flex items-center gap-3">
+            <Wrench className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Tools</h2>
+          </div>
+          <p className="text-xs text-dark-500">
+            Enabled tools can be called by the model while it answers. The model needs to support tool calling.
+          </p>
+
+          {availableTools.length === 0 ? (
+            <p className="text-dark-500 text-center py-4">No tools available</p>
+          ) : (
+            <div className="space-y-2">
+              {availableTools.map((tool) => (
+                <label
+                  key={tool.name}
+                  className="flex items-start gap-3 p-3 rounded-xl bg-dark-900/50 border border-dark-700/50 cursor-pointer hover:border-dark-600 transition-all"
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.enabledTools.includes(tool.name)}
+                    onChange={() => toggleTool(tool.name)}
+                    className="mt-1 accent-primary-500"
+                  />
+                  <div className="min-w-0">
+                    <p className="text-sm font-mono text-white">{tool.name}</p>
+                    <p className="text-xs text-dark-400">{tool.description}</p>
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Sub-agents Section */}
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 space-y-4">
+          <div className="flex items-center gap-3">
+            <Network className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Sub-agents</h2>
+          </div>
+          <p className="text-xs text-dark-500">
+            The model can hand tasks to these projects and use their replies. Each answers with its own prompt, files and tools, without seeing the conversation. Project descriptions tell the model what each one is for.
+          </p>
+
+          {otherProjects.length === 0 ? (
+            <p className="text-dark-500 text-center py-4">No other projects yet</p>
+          ) : (
+            <div className="space-y-2">
+              {otherProjects.map((other) => (
+                <label
+                  key={other.id}
+                  className="flex items-start gap-3 p-3 rounded-xl bg-dark-900/50 border border-dark-700/50 cursor-pointer hover:border-dark-600 transition-all"
+                >
+                  <input
+                    type="checkbox"
+                    checked={formData.subAgents.includes(other.id)}
+                    onChange={() => toggleSubAgent(other.id)}
+                    className="mt-1 accent-primary-500"
+                  />
+                  <div className="min-w-0">
+                    <p className="text-sm text-white">{other.name}</p>
+                    {other.description && (
+                      <p className="text-xs text-dark-400">{other.description}</p>
+                    )}
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Structured Output Section */}
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 space-y-6">
+          <div className="flex items-center gap-3">
+            <Braces className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Structured Output</h2>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Output Schema
+            </label>
+            <textarea
+              value={formData.outputSchema}
+              onChange={(e) => setFormData({ ...formData, outputSchema: e.target.value })}
+              rows={8}
+              spellCheck={false}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none font-mono text-sm"
+              placeholder={'{\n  "type": "object",\n  "properties": { "answer": { "type": "string" } },\n  "required": ["answer"]\n}'}
+            />
+          </div>
+
+          <div className="sm:w-1/2">
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Retries
+            </label>
+            <input
+              type="number"
+              min={0}
+              max={5}
+              step={1}
+              value={formData.outputRetries}
+              onChange={(e) => setFormData({ ...formData, outputRetries: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+              placeholder="2"
+            />
+          </div>
+          <p className="text-xs text-dark-500">
+            With a JSON Schema, replies must be JSON matching it. Invalid replies are sent back to the model with the errors, up to the number of retries. Leave the schema empty for free-text replies.
+          </p>
+        </div>
+
+        {/* Guardrails Section */}
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 space-y-4">
+          <div className="flex items-center gap-3">
+            <ShieldCheck className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Guardrails</h2>
+          </div>
+          <p className="text-xs text-dark-500">
+            Checks on messages, file excerpts and replies. Block rejects the message or withholds the reply, redact replaces the matched text and flag only records what was found on the message.
+          </p>
+
+          <div className="space-y-3">
+            {GUARDRAIL_RULES.map((rule) => {
+              const settings = formData.guardrails[rule.key]
+              return (
+                <div key={rule.key} className="p-3 rounded-xl bg-dark-900/50 border border-dark-700/50 space-y-3">
+                  <div className="flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm text-white">{rule.label}</p>
+                      <p className="text-xs text-dark-400">{rule.hint}</p>
+                    </div>
+                    <select
+                      value={settings.action}
+                      onChange={(e) => setGuardrail(rule.key, { action: e.target.value })}
+                      className="px-3 py-2 rounded-lg bg-dark-900 border border-dark-700 text-white text-sm focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+                    >
+                      {GUARDRAIL_ACTIONS.map((action) => (
+                        <option key={action.value} value={action.value}>{action.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  {settings.action && rule.key === 'pii' && (
+                    <div className="flex flex-wrap gap-4">
+                      {PII_TYPES.map((type) => (
+                        <label key={type.value} className="flex items-center gap-2 text-sm text-dark-300 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={settings.types.includes(type.value)}
+                            onChange={() => togglePiiType(type.value)}
+                            className="accent-primary-500"
+                          />
+                          {type.label}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
+                  {settings.action && rule.key === 'blockedTerms' && (
+                    <textarea
+                      value={settings.terms}
+                      onChange={(e) => setGuardrail('blockedTerms', { terms: e.target.value })}
+                      rows={3}
+                      className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none text-sm"
+                      placeholder="One term per line"
+                    />
+                  )}
+
+                  {settings.action && rule.key === 'maxInputLength' && (
+                    <input
+                      type="number"
+                      min={1}
+                      step={1}
+                      value={settings.limit}
+                      onChange={(e) => setGuardrail('maxInputLength', { limit: e.target.value })}
+                      className="w-full sm:w-1/2 px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+                      placeholder="Characters, e.g. 4000"
+                    />
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+
+        {/* Context Window Section */}
+        <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 space-y-6">
+          <div className="flex items-center gap-3">
+            <Layers className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Context Window</h2>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">
+              Strategy
+            </label>
+            <select
+              value={formData.contextStrategy}
+              onChange={(e) => setFormData({ ...formData, contextStrategy: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            >
+              <option value="sliding_window">Sliding window (most recent messages)</option>
+              <option value="drop_middle">Drop middle (opening and most recent messages)</option>
+              <option value="keep_first">Keep first N + most recent messages</option>
+            </select>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-dark-200 mb-2">
+                Token Budget
+              </label>
+              <input
+                type="number"
+                min={256}
+                step={1}
+                value={formData.contextTokenBudget}
+                onChange={(e) => setFormData({ ...formData, contextTokenBudget: e.target.value })}
+                className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+                placeholder="8000"
+              />
+            </div>
+            {formData.contextStrategy === 'keep_first' && (
+              <div>
+                <label className="block text-sm font-medium text-dark-200 mb-2">
+                  Keep First Messages
+                </label>
+                <input
+                  type="number"
+                  min={0}
+                  max={100}
+                  step={1}
+                  value={formData.contextKeepFirst}
+                  onChange={(e) => setFormData({ ...formData, contextKeepFirst: e.target.value })}
+                  className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+                  placeholder="2"
+                />
+              </div>
+            )}
+          </div>
+          <p className="text-xs text-dark-500">
+            The system prompt and the newest message are always sent. Older messages are included until the token budget is reached.
+          </p>
+
           <button
             type="submit"
             disabled={saving}
@@ -233,6 +923,270 @@ export default function ProjectSettings() {
         </div>
       </form>
 
+      {/* Conversation Summary Section */}
+      <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+        <div className="flex items-center gap-3">
+          <ScrollText className="w-5 h-5 text-primary-400" />
+          <h2 className="text-lg font-semibold text-white">Conversation Summary</h2>
+        </div>
+        <p className="text-xs text-dark-500">
+          When a chat outgrows the context window, older messages are condensed into this summary and sent to the model in their place.
+          {summaryConversation?.summaryUpdatedAt && ` Last updated ${new Date(summaryConversation.summaryUpdatedAt).toLocaleString()}.`}
+        </p>
+        {conversations.length === 0 ? (
+          <p className="text-dark-500 text-center py-4">No chats yet</p>
+        ) : (
+          <>
+            <select
+              value={summaryConversationId}
+              onChange={(e) => selectSummaryConversation(conversations.find(c => c.id === e.target.value))}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            >
+              {conversations.map((conversation) => (
+                <option key={conversation.id} value={conversation.id}>
+                  {conversation.title}
+                </option>
+              ))}
+            </select>
+            <textarea
+              value={summary}
+              onChange={(e) => setSummary(e.target.value)}
+              rows={6}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white placeholder-dark-500 focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all resize-none text-sm"
+              placeholder="No summary yet"
+            />
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => handleSaveSummary(summary.trim())}
+                disabled={savingSummary || summary === (summaryConversation?.summary || '')}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-700 hover:bg-dark-600 text-white text-sm transition-colors disabled:opacity-50"
+              >
+                {savingSummary ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                Save Summary
+              </button>
+              {summaryConversation?.summary && (
+                <button
+                  type="button"
+                  onClick={() => handleSaveSummary(null)}
+                  disabled={savingSummary}
+                  className="px-4 py-2 rounded-lg text-dark-400 hover:bg-red-500/10 hover:text-red-400 text-sm transition-colors disabled:opacity-50"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Usage Section */}
+      <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Coins className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Usage</h2>
+          </div>
+          <select
+            value={usageRange}
+            onChange={(e) => setUsageRange(e.target.value)}
+            className="px-3 py-2 rounded-lg bg-dark-900 border border-dark-700 text-white text-sm focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+          >
+            {USAGE_RANGES.map((range) => (
+              <option key={range.value} value={range.value}>{range.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {!usage ? (
+          <p className="text-dark-500 text-center py-4">Usage unavailable</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {[
+                ['Replies', usage.totals.messages],
+                ['Prompt tokens', formatTokens(usage.totals.promptTokens)],
+                ['Completion tokens', formatTokens(usage.totals.completionTokens)],
+                ['Cost', formatCost(usage.totals.cost)]
+              ].map(([label, value]) => (
+                <div key={label} className="p-3 rounded-xl bg-dark-900/50 border border-dark-700/50">
+                  <p className="text-xs text-dark-500">{label}</p>
+                  <p className="text-lg font-semibold text-white">{value}</p>
+                </div>
+              ))}
+            </div>
+
+            {Object.entries(USAGE_SOURCE_LABELS)
+              .filter(([source]) => usage.sources?.[source]?.calls > 0)
+              .map(([source, label]) => (
+                <p key={source} className="text-sm text-dark-400">
+                  Includes {label.toLowerCase()}: {formatTokens(usage.sources[source].totalTokens)} tokens · {formatCost(usage.sources[source].cost)}
+                </p>
+              ))}
+
+            {usage.models.length > 0 && (
+              <div className="space-y-2">
+                {usage.models.map((row) => (
+                  <div key={row.model || 'unknown'} className="flex items-center justify-between gap-3 text-sm">
+                    <span className="font-mono text-dark-300 truncate">{row.model || 'Unknown model'}</span>
+                    <span className="text-dark-400 shrink-0">
+                      {formatTokens(row.totalTokens)} tokens · {formatCost(row.cost)}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {usage.totals.unpriced > 0 && (
+              <p className="text-xs text-dark-500">
+                {usage.totals.unpriced} {usage.totals.unpriced === 1 ? 'model call uses a model' : 'model calls use models'} without a price and {usage.totals.unpriced === 1 ? 'is' : 'are'} not included in the cost.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Conversation Export & Import Section */}
+      <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <MessagesSquare className="w-5 h-5 text-primary-400" />
+            <h2 className="text-lg font-semibold text-white">Export &amp; Import</h2>
+          </div>
+          <label className="cursor-pointer">
+            <input
+              ref={importInputRef}
+              type="file"
+              onChange={handleImportHistory}
+              className="hidden"
+              accept=".json,application/json"
+              disabled={importing}
+            />
+            <span className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-700 hover:bg-dark-600 text-white text-sm transition-colors">
+              {importing ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+              Import
+            </span>
+          </label>
+        </div>
+        <p className="text-sm text-dark-400">
+          Download conversations with the system prompt and the time of every message, or import a ChatGPT <code className="text-dark-300">conversations.json</code>, a JSON list of <code className="text-dark-300">{'{ role, content }'}</code> messages or a JSON export.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">Conversations</label>
+            <select
+              value={transcript.conversationId}
+              onChange={(e) => setTranscript({ ...transcript, conversationId: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            >
+              <option value="">All, including archived</option>
+              {conversations.map((conversation) => (
+                <option key={conversation.id} value={conversation.id}>{conversation.title}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">Format</label>
+            <select
+              value={transcript.format}
+              onChange={(e) => setTranscript({ ...transcript, format: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            >
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleExportHistory}
+          disabled={exportingHistory}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-700 hover:bg-dark-600 text-white text-sm transition-colors disabled:opacity-50"
+        >
+          {exportingHistory ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+          Download
+        </button>
+      </div>
+
+      {/* Feedback Dataset Section */}
+      <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8 space-y-4">
+        <div className="flex items-center gap-3">
+          <Download className="w-5 h-5 text-primary-400" />
+          <h2 className="text-lg font-semibold text-white">Feedback Dataset</h2>
+        </div>
+        <p className="text-sm text-dark-400">
+          Download the replies rated in chat as JSONL for fine-tuning. Chat examples use replies rated up and the corrected answers; preference pairs set corrections and replies rated up against the replies rated down.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">Format</label>
+            <select
+              value={dataset.format}
+              onChange={(e) => setDataset({ ...dataset, format: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            >
+              {DATASET_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">Rating</label>
+            <select
+              value={dataset.rating}
+              onChange={(e) => setDataset({ ...dataset, rating: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            >
+              <option value="">All ratings</option>
+              <option value="up">Rated up</option>
+              <option value="down">Rated down</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">Rated from</label>
+            <input
+              type="date"
+              value={dataset.from}
+              onChange={(e) => setDataset({ ...dataset, from: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-dark-200 mb-2">Rated until</label>
+            <input
+              type="date"
+              value={dataset.to}
+              onChange={(e) => setDataset({ ...dataset, to: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl bg-dark-900 border border-dark-700 text-white focus:border-primary-500 focus:ring-1 focus:ring-primary-500 transition-all"
+            />
+          </div>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleExportDataset}
+          disabled={exporting}
+          className="flex items-center gap-2 px-4 py-2 rounded-lg bg-dark-700 hover:bg-dark-600 text-white text-sm transition-colors disabled:opacity-50"
+        >
+          {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+          Download JSONL
+        </button>
+      </div>
+
+      <RevisionHistory
+        projectId={id}
+        refreshKey={revisionKey}
+        onRestore={() => {
+          fetchProject()
+          setRevisionKey(key => key + 1)
+          setSuccess('Revision restored')
+          setTimeout(() => setSuccess(''), 3000)
+        }}
+      />
+
       {/* Files Section */}
       <div className="p-6 rounded-2xl bg-dark-800/50 border border-dark-700/50 mb-8">
         <div className="flex items-center justify-between mb-6">
@@ -271,7 +1225,14 @@ export default function ProjectSettings() {
                   </div>
                   <div>
                     <p className="text-sm text-white truncate max-w-[200px]">{file.originalName}</p>
-                    <p className="text-xs text-dark-500">{formatFileSize(file.size)}</p>
+                    <p className="text-xs text-dark-500">
+                      {formatFileSize(file.size)}
+                      {file.indexError ? (
+                        <span className="text-red-400" title={file.indexError}> · Indexing failed</span>
+                      ) : file.indexedAt ? (
+                        <span> · Indexed ({file._count?.chunks ?? 0} chunks)</span>
+                      ) : null}
+                    </p>
                   </div>
                 </div>
                 <button
@@ -58,11 +58,14 @@ class ApiClient {
     return this.request('DELETE', endpoint)
   }
 
-  // Special method for file uploads
-  async uploadFile(endpoint, file) {
+  // Special method for file uploads; `fields` are sent as extra form fields
+  async uploadFile(endpoint, file, fields = {}) {
     const url = `${this.baseUrl}${endpoint}`
     const formData = new FormData()
     formData.append('file', file)
+    for (const [name, value] of Object.entries(fields)) {
+      if (value != null) formData.append(name, value)
+    }
 
     const headers = {}
     const token = localStorage.getItem('token')
@@ -86,6 +89,29 @@ class ApiClient {
 
     return { data: json, status: response.status }
   }
+
+  // Start downloading a protected file; the body is left to the caller
+  // so large exports can be streamed
+  async download(endpoint) {
+    const headers = {}
+    const token = localStorage.getItem('token')
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`
+    }
+
+    const response = await fetch(`${this.baseUrl}${endpoint}`, { headers })
+    if (!response.ok) {
+      const json = await response.json().catch(() => ({}))
+      throw new Error(json.error || 'Download failed')
+    }
+    return response
+  }
+
+  // Download a protected file (e.g. an image) as a Blob
+  async getBlob(endpoint) {
+    const response = await this.download(endpoint)
+    return response.blob()
+  }
 }
 
 const api = new ApiClient()
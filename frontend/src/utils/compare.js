@@ -0,0 +1,14 @@
+// Compare mode lanes: settings that answer the same message side by side
+
+export const MAX_LANES = 4
+
+let nextLaneKey = 0
+
+// A lane with the project's settings, optionally on another model
+export const newLane = (model = '') => ({ key: nextLaneKey++, model, temperature: '' })
+
+// Lane settings as sent to /compare; empty fields keep the project's
+export const toLaneSettings = ({ model, temperature }) => ({
+  model: model.trim() || null,
+  temperature: temperature === '' ? null : Number(temperature)
+})
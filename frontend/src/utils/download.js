@@ -0,0 +1,34 @@
+import api from './api'
+
+// Save a downloaded Blob as a file
+const saveBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// Download an export to a file. Where the browser lets the file be picked
+// first, the response is streamed straight to disk; elsewhere it is
+// collected in memory. Resolves false if the user cancels the picker.
+export const downloadFile = async (endpoint, filename) => {
+  if (window.showSaveFilePicker) {
+    let handle
+    try {
+      handle = await window.showSaveFilePicker({ suggestedName: filename })
+    } catch (err) {
+      if (err.name === 'AbortError') return false
+      throw err
+    }
+    const response = await api.download(endpoint)
+    await response.body.pipeTo(await handle.createWritable())
+    return true
+  }
+
+  saveBlob(await api.getBlob(endpoint), filename)
+  return true
+}
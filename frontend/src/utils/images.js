@@ -0,0 +1,22 @@
+// Images that can be attached to a chat message (see routes/attachments.js)
+export const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+export const MAX_IMAGES = 4
+export const MAX_IMAGE_SIZE = 5 * 1024 * 1024
+
+const THUMBNAIL_SIZE = 256
+
+// Scale an image file down to a JPEG data URL for previews
+export const makeThumbnail = async (file) => {
+  const bitmap = await createImageBitmap(file)
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale))
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale))
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  return canvas.toDataURL('image/jpeg', 0.8)
+}
+
+// Image files among dropped or pasted files
+export const imageFiles = (files) =>
+  Array.from(files || []).filter(file => IMAGE_TYPES.includes(file.type))
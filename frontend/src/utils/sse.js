@@ -0,0 +1,58 @@
+// Server-sent events reader for fetch responses. Lines split across
+// network chunks and multi-byte characters split across reads are
+// buffered until the rest arrives.
+
+// Line breaks, leaving a trailing \r alone in case its \n is in the next chunk
+const LINE_BREAK = /\r\n|\r(?!$)|\n/
+
+// Yields { id, data } for each event; comments (keep-alives) are skipped
+export async function* readEvents(response) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let id
+  let data = []
+
+  const processLine = (line) => {
+    if (line === '') {
+      const event = data.length ? { id, data: data.join('\n') } : null
+      id = undefined
+      data = []
+      return event
+    }
+    if (line.startsWith(':')) return null
+
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    let value = colon === -1 ? '' : line.slice(colon + 1)
+    if (value.startsWith(' ')) value = value.slice(1)
+
+    if (field === 'data') data.push(value)
+    else if (field === 'id') id = value
+    return null
+  }
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split(LINE_BREAK)
+      buffer = lines.pop()
+
+      for (const line of lines) {
+        const event = processLine(line)
+        if (event) yield event
+      }
+    }
+
+    buffer += decoder.decode()
+    for (const line of [...buffer.split(/\r\n|\r|\n/), '']) {
+      const event = processLine(line)
+      if (event) yield event
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
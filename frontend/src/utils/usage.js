@@ -0,0 +1,33 @@
+// Formatting for token usage and cost totals from /api/usage
+
+export const formatTokens = (tokens) => {
+  if (tokens >= 1e6) return `${(tokens / 1e6).toFixed(1)}M`
+  if (tokens >= 1e3) return `${(tokens / 1e3).toFixed(1)}k`
+  return String(tokens || 0)
+}
+
+export const formatCost = (cost) => {
+  if (!cost) return '$0.00'
+  if (cost < 0.01) return `$${cost.toFixed(4)}`
+  return `$${cost.toFixed(2)}`
+}
+
+// Model calls other than replies that /api/usage counts, by source
+export const USAGE_SOURCE_LABELS = {
+  summaries: 'Conversation summaries',
+  evals: 'Eval runs'
+}
+
+// Date range presets for usage queries; days: null means all time
+export const USAGE_RANGES = [
+  { value: '7', label: 'Last 7 days', days: 7 },
+  { value: '30', label: 'Last 30 days', days: 30 },
+  { value: 'all', label: 'All time', days: null }
+]
+
+export const usageRangeParams = (value) => {
+  const range = USAGE_RANGES.find(r => r.value === value)
+  if (!range?.days) return ''
+  const from = new Date(Date.now() - range.days * 24 * 60 * 60 * 1000)
+  return `?from=${encodeURIComponent(from.toISOString())}`
+}